@@ -38,6 +38,8 @@ const P = point;
 const vector = psflib.vector;
 const V = vector;
 const extent = psflib.extent;
+const Angle = psflib.Angle;
+const Polygon = psflib.Polygon;
 const ConversionFactors = psflib.ConversionFactors;
 const AffineTransformation = psflib.AffineTransformation;
 const Resize = psflib.Resize;
@@ -48,69 +50,188 @@ const ROT180 = psflib.ROT180;
 const ROT270 = psflib.ROT270;
 const ReflectAroundXAxis = psflib.ReflectAroundXAxis;
 const Component = psflib.Component;
+const GablePrismNet = psflib.GablePrismNet;
+const RoofNet = psflib.RoofNet;
+const ROOF_STYLES = psflib.ROOF_STYLES;
 const Page = psflib.Page;
 const Kit = psflib.Kit;
 
 class SimpleHouse extends Kit {
 
-  getDefaultOptions() {
+  getOptionSchema() {
     return {
-      houseWidth: "20 ft",
-      windowWidth: "3 ft",
-      doorWidth: "4 ft",
-      houseDepth: "30 ft",
-      foundationHeight: "2 ft",
-      windowBaseHeight: "3 ft",
-      windowHeight: "5 ft",
-      storyHeight: "10 ft",
-      ridgeHeight: "10 ft",
-      atticWindowBaseHeight: "2 ft",
-      atticWindowHeight: "2 ft",
-      atticWindowWidth: "2 ft",
+      houseWidth: {type: "length", default: "20 ft", min: "8 ft",
+                   help: "width of the peaked (gable) walls"},
+      windowWidth: {type: "length", default: "3 ft", min: "1 ft",
+                    help: "width of each window"},
+      doorWidth: {type: "length", default: "4 ft", min: "2 ft",
+                  help: "width of the front door"},
+      houseDepth: {type: "length", default: "30 ft", min: "8 ft",
+                   help: "length of the straight side walls"},
+      foundationHeight: {type: "length", default: "2 ft", min: 0,
+                         help: "height of the basement band"},
+      windowBaseHeight: {type: "length", default: "3 ft", min: 0,
+                         help: "floor to bottom of window"},
+      windowHeight: {type: "length", default: "5 ft", min: "1 ft",
+                     help: "height of each window"},
+      storyHeight: {type: "length", default: "10 ft", min: "6 ft",
+                    help: "floor to floor height"},
+      roofPitch: {type: "angle", default: "12:12", min: "1 deg",
+                  max: "75 deg", help: "roof slope, e.g. 6:12 or 30 deg"},
+      ridgeHeight: {type: "length",
+                    default: "houseWidth / 2 * tan(roofPitch)",
+                    min: "1 in", help: "eaves to ridge (gable roofs)"},
+      roofStyle: {type: "enum", values: ROOF_STYLES, default: "gable",
+                  help: "the shape of the roof (walls construction)"},
+      roofLowerPitch: {type: "angle", default: "60 deg", min: "1 deg",
+                       max: "85 deg",
+                       help: "slope of the lower panels of a gambrel or " +
+                             "mansard roof"},
+      roofBreakInset: {type: "length", default: "houseWidth / 5",
+                       min: "6 in",
+                       help: "walls to where a gambrel or mansard roof " +
+                             "changes slope"},
+      eaveOverhang: {type: "length", default: "1 ft", min: 0,
+                     help: "how far the roof sticks out past the side " +
+                           "walls"},
+      rakeOverhang: {type: "length", default: "1 ft", min: 0,
+                     help: "how far the roof sticks out past the gables"},
+      fascia: {type: "length", default: "8 in", min: 0,
+               help: "height of the board along the eaves (0 for none)"},
+      wallColor: {type: "color", default: "white",
+                  help: "siding color"},
+      basementColor: {type: "color", default: "#BBBBBB",
+                      help: "foundation color"},
+      trimColor: {type: "color", default: "black",
+                  help: "window and door trim color"},
+      southFacade: {type: "string", default: "W D / W W",
+                    help: "openings in the front gable, bottom story " +
+                          "first:  W window, D door, . blank"},
+      northFacade: {type: "string", default: "W D / W W",
+                    help: "openings in the back gable"},
+      eastFacade: {type: "string", default: "W W W / W W W",
+                   help: "openings in the east side wall"},
+      westFacade: {type: "string", default: "W W W / W W W",
+                   help: "openings in the west side wall"},
+      construction: {type: "enum", values: ["walls", "net"],
+                     default: "walls",
+                     help: "separate walls and a roof, or one net " +
+                           "which folds up into the whole house (it " +
+                           "has to fit on one page, e.g. in N scale)"},
     };
   }
 
   build() {
-    const southWall = new PeakedWall(this._options, {});
+    if (this._options.construction == "net") {
+      this.buildNet();
+      return;
+    }
+    const o = this._options;
+    // A gable roof's pitch follows ridgeHeight, so the two always agree.
+    const roof = new RoofNet(o, {
+      width: o.houseWidth, depth: o.houseDepth, style: o.roofStyle,
+      pitch: (o.roofStyle == "gable") ?
+        Angle.fromRiseRun(o.ridgeHeight, worldM(o.houseWidth).dividedBy(2)) :
+        o.roofPitch,
+      lowerPitch: o.roofLowerPitch, breakInset: o.roofBreakInset,
+      fillColor: "gray"});
+    const southWall = new PeakedWall(o, {facade: o.southFacade,
+                                         gable: roof.gableEnd("front")});
     this.addPiece(southWall);
-    const northWall = new PeakedWall(this._options, {});
+    const northWall = new PeakedWall(o, {facade: o.northFacade,
+                                         gable: roof.gableEnd("back")});
     this.addPiece(northWall);
-    const eastWall = new StraightWall(this._options, {});
+    const eastWall = new StraightWall(o, {facade: o.eastFacade,
+      aboveEaves: roof.sideWallHeight("right")});
     this.addPiece(eastWall);
-    const westWall = new StraightWall(this._options, {});
+    const westWall = new StraightWall(o, {facade: o.westFacade,
+      aboveEaves: roof.sideWallHeight("left")});
     this.addPiece(westWall);
-    const eastRoof = new RoofSlab(this._options, {});
-    this.addPiece(eastRoof);
-    const westRoof = new RoofSlab(this._options, {});
-    this.addPiece(westRoof);
+    this.addPiece(roof);
+
+    // Going around the house:  south, east, north, west.
+    this.join(southWall, "right", eastWall, "left");
+    this.join(eastWall, "right", northWall, "left");
+    this.join(northWall, "right", westWall, "left");
+    this.join(westWall, "right", southWall, "left");
+    // The roof sits on the tops of the walls and overhangs them.
+    const walls = {front: southWall, right: eastWall, back: northWall,
+                   left: westWall};
+    for (const eave of roof.eaves()) {
+      this.join(roof, eave.edge, walls[eave.side], "top",
+                {overhang: eave.overhang});
+    }
+  }
+
+  // The whole house as one piece, which folds up and closes with tabs.
+  buildNet() {
+    const o = this._options;
+    const firstFloor = worldM(o.foundationHeight);
+    const house = new GablePrismNet(o, {
+      width: o.houseWidth, depth: o.houseDepth,
+      wallHeight: firstFloor.plus(worldM(o.storyHeight).times(2)),
+      ridgeHeight: o.ridgeHeight, bottom: false, fillColor: o.wallColor,
+      faceColors: {"right roof": "gray", "left roof": "gray"}});
+    // Seen from the south, the east wall is on the right.
+    const facades = {front: o.southFacade, right: o.eastFacade,
+                     back: o.northFacade, left: o.westFacade};
+    for (const name of Object.keys(facades)) {
+      const face = house.face(name);
+      face.addSubComponent(new Foundation(o, {
+        width: face.getExtent().x()}), point(0, 0));
+      face.layoutFacade(facades[name], wallOpenings(o), {
+        y: firstFloor, storyHeight: o.storyHeight,
+        blankWidth: o.windowWidth});
+    }
+    this.addPiece(house);
   }
 }
 
+// The basement band along the bottom of a wall of the net.
+class Foundation extends Component {
+  constructor(oldOptions, newOptions) {
+    super(oldOptions, newOptions);
+    const g = this._geometry;
+    const width = worldM(this.get("width"));
+    const height = worldM(this.get("foundationHeight"));
+    g.outline = [point(0, 0), point(0, height), point(width, height),
+                 point(width, 0)];
+  }
+
+  // No getExtent() here:  the library measures the outline drawn below.
+
+  render(pen) {
+    const g = this._geometry;
+    pen.set({drawColor: "black", fillColor: this.get("basementColor")});
+    pen.polygon(g.outline, "fill");
+    pen.openPath(g.outline.slice(1, 3));
+  }
+}
+
+// The kinds of openings a facade description can put in a wall, made
+// with the given (house) options.
+function wallOpenings(options) {
+  return {
+    W: {make: (overrides) => new Window(options, overrides),
+        sill: (opening) => opening.get("windowBaseHeight")},
+    D: {make: (overrides) => new Door(options, overrides)},
+  };
+}
+
 class PeakedWall extends Component {
   constructor(oldOptions, newOptions) {
     super(oldOptions, newOptions);
     const g = this._geometry;
 
-    g.windowWidth = worldM(this.get("windowWidth"));
-    g.atticWindowWidth = worldM(this.get("atticWindowWidth"));
-    g.doorWidth = worldM(this.get("doorWidth"));
     g.houseWidth = worldM(this.get("houseWidth"));
-    g.spacing = g.houseWidth.minus(g.windowWidth).minus(g.doorWidth).dividedBy(3);
     g.xMid = g.houseWidth.dividedBy(2);
     g.foundationHeight = worldM(this.get("foundationHeight"));
     g.storyHeight = worldM(this.get("storyHeight"));
     g.ridgeHeight = worldM(this.get("ridgeHeight"));
-    g.windowBaseHeight = worldM(this.get("windowBaseHeight"));
 
     g.xA = worldM(0);
-    g.xB = g.xA.plus(g.spacing);
-    g.xC = g.xB.plus(g.windowWidth);
-    g.xD = g.xMid.minus(g.atticWindowWidth).dividedBy(2);
     g.xE = g.xMid;
-    g.xF = g.xD.plus(g.atticWindowWidth);
-    g.xG = g.xC.plus(g.spacing);
-    g.xH = g.xG.plus(g.doorWidth);
-    g.xI = g.xH.plus(g.spacing);
+    g.xI = g.houseWidth;
 
     g.yGround = worldM(0);
     g.yFirstFloor = g.yGround.plus(g.foundationHeight);
@@ -118,38 +239,48 @@ class PeakedWall extends Component {
     g.yEaves = g.ySecondFloor.plus(g.storyHeight);
     g.yRidge = g.yEaves.plus(g.ridgeHeight);
 
-    g.wallOutline = [
-      point(g.xA, g.yGround), point(g.xA, g.yEaves),
-      point(g.xE, g.yRidge), point(g.xI, g.yEaves),
-      point(g.xI, g.yGround) ];
+    // Up the left side, over whatever the roof needs on top of the
+    // wall (see RoofNet.gableEnd()), and down the right side.  Under
+    // the high side of a shed roof, the side just goes on up.
+    const gable = this.get("gable");
+    const top = ((gable === null) ? [] : gable.points().slice(2).reverse())
+      .map((p) => point(p.x(), g.yEaves.plus(p.y())));
+    if (top.length == 0 || top[0].x()._toBare() > 0) {
+      top.unshift(point(g.xA, g.yEaves));
+    }
+    if (top[top.length - 1].x()._toBare() < g.xI._toBare()) {
+      top.push(point(g.xI, g.yEaves));
+    }
+    g.wallOutline = new Polygon([point(g.xA, g.yGround)].concat(
+      top, [point(g.xI, g.yGround)]));
+    // the side walls' tabs get glued behind our sides
+    const roofEdges = top.slice(1);
+    this.setOutline(g.wallOutline, ["receives tab"].concat(
+      roofEdges.map(() => "free"), ["receives tab", "free"]));
+    this.setEdgeNames(["left"].concat((roofEdges.length == 1) ? ["top"] :
+      roofEdges.map((p, i) => `roof ${i + 1}`), ["right", "bottom"]));
 
     g.basementOutline = [
       point(g.xA, g.yGround), point(g.xA, g.foundationHeight),
       point(g.xI, g.foundationHeight), point(g.xI, g.yGround) ];
 
-    const window1 = new Window(this._options, {});
-    var position = point(g.xB, g.yFirstFloor.plus(g.windowBaseHeight));
-    this.addSubComponent(window1, position);
-    const window2 = new Window(this._options, {});
-    position = point(g.xB, g.ySecondFloor.plus(g.windowBaseHeight));
-    this.addSubComponent(window2, position);
-    const window3 = new Window(this._options, {});
-    position = point(g.xG, g.ySecondFloor.plus(g.windowBaseHeight));
-    this.addSubComponent(window3, position);
-    const door1 = new Door(this._options, {});
-    position = point(g.xG, g.foundationHeight);
-    this.addSubComponent(door1, position);
+    this.layoutFacade(this.get("facade"), wallOpenings(oldOptions), {
+      right: g.houseWidth, y: g.yFirstFloor, storyHeight: g.storyHeight,
+      blankWidth: worldM(this.get("windowWidth"))});
   }
 
   getExtent() {
-    return extent(this._geometry.houseWidth, this._geometry.yRidge);
+    return this._geometry.wallOutline.boundingBox().extent;
   }
 
   render(pen) {
+    // The library draws the outline and the tabs; see setOutline() above.
+    const g = this._geometry;
     pen.set({drawColor: "black", fillColor: this.get("wallColor")});
-    pen.polygon(this._geometry.wallOutline, "fillAndStroke");
+    pen.polygon(g.wallOutline, "fill");
     pen.set({drawColor: "black", fillColor: this.get("basementColor")});
-    pen.polygon(this._geometry.basementOutline, "fillAndStroke");
+    pen.polygon(g.basementOutline, "fill");
+    pen.openPath(g.basementOutline.slice(1, 3));
   }
 }
 
@@ -160,9 +291,7 @@ class StraightWall extends Component {
 
     g.houseDepth = worldM(this.get("houseDepth"));
     g.foundationHeight = worldM(this.get("foundationHeight"));
-    g.windowBaseHeight = worldM(this.get("windowBaseHeight"));
     g.storyHeight = worldM(this.get("storyHeight"));
-    g.windowWidth = worldM(this.get("windowWidth"));
 
     g.xA = worldM(0);
     g.xQ = g.xA.plus(g.houseDepth);
@@ -170,10 +299,14 @@ class StraightWall extends Component {
     g.yFirstFloor = g.yGround.plus(g.foundationHeight);
     g.ySecondFloor = g.yFirstFloor.plus(g.storyHeight);
     g.yEaves = g.ySecondFloor.plus(g.storyHeight);
+    // higher than the eaves under the high side of a shed roof
+    g.yTop = g.yEaves.plus(worldM(this.get("aboveEaves")));
 
-    g.wallOutline = [
-      point(g.xA, g.yGround), point(g.xA, g.yEaves),
-      point(g.xQ, g.yEaves), point(g.xQ, g.yGround) ];
+    g.wallOutline = new Polygon([
+      point(g.xA, g.yGround), point(g.xA, g.yTop),
+      point(g.xQ, g.yTop), point(g.xQ, g.yGround) ]);
+    this.setOutline(g.wallOutline, ["tab", "free", "tab", "free"]);
+    this.setEdgeNames(["left", "top", "right", "bottom"]);
 
     g.basementOutline = [
       point(g.xA, g.yGround),
@@ -181,30 +314,23 @@ class StraightWall extends Component {
       point(g.houseDepth, g.foundationHeight),
       point(g.houseDepth, g.yGround) ];
 
-    const allWindows = g.windowWidth.times(3);
-    const spacing = g.houseDepth.minus(allWindows).dividedBy(4);
-    const increment = spacing.plus(g.windowWidth);
-    for (let row = 0; row < 2; row++) {
-      const base = g.yFirstFloor.plus(g.windowBaseHeight);
-      const y = g.storyHeight.times(row).plus(base);
-      for (let col = 0; col < 3; col++) {
-        const x = increment.times(col).plus(spacing);
-        const w = new Window(this._options, {});
-        const position = point(x, y);
-        this.addSubComponent(w, position);
-      }
-    }
+    this.layoutFacade(this.get("facade"), wallOpenings(oldOptions), {
+      right: g.houseDepth, y: g.yFirstFloor, storyHeight: g.storyHeight,
+      blankWidth: worldM(this.get("windowWidth"))});
   }
 
   getExtent() {
-    return extent(this._geometry.houseDepth, this._geometry.yEaves);
+    return this._geometry.wallOutline.boundingBox().extent;
   }
 
   render(pen) {
+    // The library draws the outline and the tabs; see setOutline() above.
+    const g = this._geometry;
     pen.set({drawColor: "black", fillColor: this.get("wallColor")});
-    pen.polygon(this._geometry.wallOutline, "fillAndStroke");
+    pen.polygon(g.wallOutline, "fill");
     pen.set({drawColor: "black", fillColor: this.get("basementColor")});
-    pen.polygon(this._geometry.basementOutline, "fillAndStroke");
+    pen.polygon(g.basementOutline, "fill");
+    pen.openPath(g.basementOutline.slice(1, 3));
   }
 }
 
@@ -247,12 +373,12 @@ class Door extends Component {
     super(oldOptions, newOptions);
     const g = this._geometry;
 
-    g.windowWidth = worldM(this.get("windowWidth"));
+    g.doorWidth = worldM(this.get("doorWidth"));
     g.windowHeight = worldM(this.get("windowHeight"));
     g.windowBaseHeight = worldM(this.get("windowBaseHeight"));
 
     g.xLeft = worldM(0);
-    g.xRight = g.xLeft.plus(g.windowWidth);
+    g.xRight = g.xLeft.plus(g.doorWidth);
     g.yBottom = worldM(0);
     g.yDoorTop = g.windowHeight.plus(g.windowBaseHeight);
 
@@ -262,7 +388,7 @@ class Door extends Component {
   }
 
   getExtent() {
-    return extent(this._geometry.windowWidth, this._geometry.yDoorTop);
+    return extent(this._geometry.doorWidth, this._geometry.yDoorTop);
   }
 
   render(pen) {
@@ -271,42 +397,20 @@ class Door extends Component {
   }
 }
 
-class RoofSlab extends Component {
-  constructor(oldOptions, newOptions) {
-    super(oldOptions, newOptions);
-    const g = this._geometry;
-
-    g.houseWidth = worldM(this.get("houseWidth"));
-    g.houseDepth = worldM(this.get("houseDepth"));
-    g.ridgeHeight = worldM(this.get("ridgeHeight"));
-
-    g.x0 = worldM(0);
-    g.x1 = g.houseDepth;
-    g.y0 = worldM(0);
-    const p1 = point(0, 0);
-    const p2 = point(g.houseWidth.dividedBy(2), g.ridgeHeight);
-    g.y1 = (p1.minus(p2)).length();
-
-    g.outline = [
-      point(g.x0, g.y0), point(g.x0, g.y1),
-      point(g.x1, g.y1), point(g.x1, g.y0) ];
-  }
-
-  getExtent() {
-    return extent(this._geometry.houseDepth, this._geometry.ridgeHeight);
-  }
-
-  render(pen) {
-    pen.set({drawColor: "black", fillColor: "gray"});
-    pen.polygon(this._geometry.outline, "fillAndStroke");
-  }
-}
-
 function main() {
   const kit = new SimpleHouse();
   kit.generate({wallColor: "peachpuff",
                 basementColor: "#BBBBBB",
                 trimColor: "red"});
+  for (const warning of kit.warnings()) {
+    console.warn(`${kit}: ${warning}`);
+  }
+}
+
+// Generate the house when run from the command line, not when a test
+// requires this file.
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {SimpleHouse};
@@ -0,0 +1,84 @@
+/* MIT License
+
+Copyright (c) 2025 Michael S. Kenniston
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const psflib = require('./psflib');
+const ROOF_STYLES = psflib.ROOF_STYLES;
+const {SimpleHouse} = require('./SimpleHouse');
+
+describe("SimpleHouse", () => {
+  const pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), "simplehouse-"));
+  afterAll(() => fs.rmSync(pdfDir, {recursive: true, force: true}));
+
+  // generate() throws if validate() finds any problem, and that includes
+  // every join whose edges don't match up.
+  function generate(options) {
+    const kit = new SimpleHouse();
+    kit.generate(Object.assign({
+      pdfFileName: path.join(pdfDir, "SimpleHouse.pdf")}, options));
+    expect(kit.validate()).toEqual([]);
+    expect(kit.warnings()).toEqual([]);
+    return kit;
+  }
+
+  test.each(ROOF_STYLES)("the walls and a %s roof fit together", (style) => {
+    const kit = generate({roofStyle: style, roofPitch: "30 deg"});
+    const roof = kit.joins()[4].a;
+    expect(roof).toBeInstanceOf(psflib.RoofNet);
+    // four corners, and the roof over each wall it rests on
+    expect(kit.joins().length).toEqual(4 + roof.eaves().length);
+  });
+
+  test("the high side of a shed roof rests on a taller wall", () => {
+    const kit = generate({roofStyle: "shed", roofPitch: "45 deg",
+                          houseWidth: "20 ft"});
+    // the corners are joined south-east, east-north, north-west, west-south
+    const [, southEast, , northWest] = kit.joins();
+    const [south, east, north, west] = [southEast.a, southEast.b,
+                                        northWest.a, northWest.b];
+    const feet = (m) => m._toBare() / 0.3048;
+    expect(feet(west.edgeLength("left")) - feet(east.edgeLength("left")))
+      .toBeCloseTo(20);
+    expect(feet(south.edgeLength("left"))).toBeCloseTo(
+      feet(west.edgeLength("right")));
+    expect(feet(north.edgeLength("right"))).toBeCloseTo(
+      feet(west.edgeLength("left")));
+  });
+
+  test.each(["hip", "mansard"])("a %s roof fits a house wider than it " +
+                                 "is deep", (style) => {
+    const kit = generate({roofStyle: style, houseWidth: "30 ft",
+                          houseDepth: "20 ft"});
+    expect(kit.joins().length).toEqual(8);
+  });
+
+  test("a shallow roof pitch is fine", () => {
+    generate({roofPitch: "10 deg"});
+  });
+
+  test("the net construction still works", () => {
+    generate({construction: "net", scale: "N"});
+  });
+});
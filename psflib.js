@@ -210,6 +210,8 @@ many scales, so here we arbitrarily picked LGB usage.
 
 These letter names are just a convenience, so if you want any others
 you can force whatever you like by using numbers, e.g. "1:480".
+You can also give a scale its own name at runtime, see registerScale()
+below (and registerUnit() for units).
 
 If that's not enough, for more scales than you can shake a stick at, see:
   http://www.gardenstatecentral.com/scale_calc.html
@@ -281,6 +283,184 @@ class ConversionFactors {
       description: `Custom ${name} scale`,
     };
   }
+
+  /*
+    The tables above cover the common cases, but programs (and users)
+    can add their own entries at runtime, for example:
+
+      ConversionFactors.registerUnit("smoot", "67 in", ["smoots"]);
+      ConversionFactors.registerScale("Sn3", "1:64", "Sn3 narrow gauge");
+
+    A new name may not collide with any name already accepted, and
+    that includes every SI-prefixed form like "km" or "millimetres".
+    The listUnits() and listScales() methods return everything that
+    has been defined so far, e.g. for a UI to offer as choices.
+  */
+
+  static registerUnit(name, meters, aliases) {
+    const op = "ConversionFactors.registerUnit";
+    const names = [name].concat(aliases || []);
+    if (typeof meters != 'number') {
+      meters = worldM(meters)._toBare();
+    }
+    if (! (isFinite(meters) && meters > 0)) {
+      throw new Error(`${op}: invalid size ${meters} for unit "${name}"`);
+    }
+    for (const n of names) {
+      if (typeof n != 'string' || ! n.match(/^[a-zμA-ZÅ\'\"\-]+$/)) {
+        throw new Error(`${op}: invalid unit name ${JSON.stringify(n)}`);
+      }
+      if (ConversionFactors._isUnit(n) ||
+          names.indexOf(n) != names.lastIndexOf(n)) {
+        throw new Error(`${op}: unit "${n}" already exists`);
+      }
+    }
+    for (const n of names) {
+      _UNIT_TABLE[n] = meters;
+    }
+  }
+
+  static _isUnit(name) {
+    try {
+      ConversionFactors.unit(name);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  static registerScale(name, ratio, description) {
+    const op = "ConversionFactors.registerScale";
+    if (typeof name != 'string' || name == '' || name.includes(':')) {
+      throw new Error(`${op}: invalid scale name ${JSON.stringify(name)}`);
+    }
+    if (_SCALE_TABLE.hasOwnProperty(name)) {
+      throw new Error(`${op}: scale "${name}" already exists`);
+    }
+    if (typeof ratio == 'string') {
+      ratio = ConversionFactors.scale(ratio).ratio;
+    }
+    if (! (typeof ratio == 'number' && isFinite(ratio) && ratio > 0)) {
+      throw new Error(`${op}: invalid ratio ${ratio} for scale "${name}"`);
+    }
+    _SCALE_TABLE[name] = {
+      ratio: ratio,
+      description: description || `${name} scale`,
+    };
+  }
+
+  // Returns [{name, meters}, ...], smallest unit first.  Of the metric
+  // units, only the short forms ("mm", "km", ...) are listed.
+  static listUnits() {
+    const result = [];
+    for (const name in _UNIT_TABLE) {
+      result.push({name: name, meters: _UNIT_TABLE[name]});
+    }
+    for (const prefix in _SHORT_PREFIX_TABLE) {
+      result.push({name: `${prefix}m`, meters: _SHORT_PREFIX_TABLE[prefix]});
+    }
+    return result.sort((a, b) => a.meters - b.meters);
+  }
+
+  // Returns [{name, ratio, description}, ...] in the order defined.
+  static listScales() {
+    const result = [];
+    for (const name in _SCALE_TABLE) {
+      const entry = _SCALE_TABLE[name];
+      result.push({
+        name: name,
+        ratio: entry.ratio,
+        description: entry.description,
+      });
+    }
+    return result;
+  }
+}
+
+/*
+    ==== SCALE CONTEXT ====
+
+A ScaleContext records which scale (e.g. "HO" or "1:120") is in effect,
+and does the conversions between WORLD and PRINTED measurements for
+that scale.  Each Kit owns its own ScaleContext, created from its
+"scale" option when generate() is called, so the same process can
+build the same Kit in HO, then N, then O (or have several Kits alive
+at once, each at its own scale).
+
+While a Kit is building or rendering, its ScaleContext is "active",
+which means that Measurement.toPrinted() and toWorld() will use it
+if you don't pass a context explicitly.  Each Component also remembers
+the context that was active when it was constructed (see
+Component.scaleContext()), and each DrawingPen carries the context of
+the Kit doing the rendering (see DrawingPen.scaleContext()).
+
+Outside of a Kit you must pass a context explicitly, for example:
+
+  const n = new ScaleContext("N");
+  worldM("40 ft").toPrinted(n)    // 3 inches, more or less
+
+*/
+
+let _activeScaleContext = null;
+
+class ScaleContext {
+  constructor(scaleName) {
+    const entry = ConversionFactors.scale(scaleName);
+    this._scaleName = scaleName;
+    this._ratio = entry.ratio;
+    this._description = entry.description;
+  }
+
+  toString() {
+    return `ScaleContext("${this._scaleName}")`;
+  }
+
+  scaleName() {
+    return this._scaleName;
+  }
+
+  ratio() {
+    return this._ratio;
+  }
+
+  description() {
+    return this._description;
+  }
+
+  toPrinted(m) {
+    return worldM(m).toPrinted(this);
+  }
+
+  toWorld(m) {
+    return printedM(m).toWorld(this);
+  }
+
+  static current() {  // returns null if no Kit is building or rendering
+    return _activeScaleContext;
+  }
+
+  // Make "context" the active one while "action" runs, then restore
+  // whatever was active before (so nested or alternating Kits work).
+  static _runWith(context, action) {  // only for library internal use
+    const previous = _activeScaleContext;
+    _activeScaleContext = context;
+    try {
+      return action();
+    } finally {
+      _activeScaleContext = previous;
+    }
+  }
+
+  static _resolve(context, opName) {  // only for library internal use
+    if (context === undefined || context === null) {
+      context = _activeScaleContext;
+    }
+    if (! (context instanceof ScaleContext)) {
+      throw new Error(`${opName}: no ScaleContext given and ` +
+        "no Kit is active");
+    }
+    return context;
+  }
 }
 
 /*
@@ -347,6 +527,10 @@ example the following are all acceptable inputs:
   "3 metre"    // alternate spellings are allowed
   "-5 m"       // negative values are allowed
   "+3 cm"      // a plus sign is redundant but allowed
+  "1/8 in"     // fractions are allowed
+  "3 1/2 in"   // so are mixed numbers,
+  `5' 6-3/4"`  // with either a space or a hyphen before the fraction
+  "2½ in"      // and the common Unicode fraction characters
   ...          // all SI units and most U.S. Customary units may also be used
 
 Whenever any method takes a Measurement object as a paramter, you can also
@@ -357,13 +541,29 @@ to read.
 The library also provides additional methods on Measurement objects.
 
 Arithemetic: plus(), minus(), times(), and dividedBy().
+             (A length times a length is an Area, see below.)
 Comparison:  greaterThan(), greaterThanOrEqual(), lessThan(),
              lessThanOrEqual(), EqualTo(), notEqualTo().
-Conversion:  toWorld(), toPrinted().
+Conversion:  toWorld(), toPrinted() -- using a ScaleContext (see above)
+Formatting:  format() -- back into human-readable units (see below)
 Convenience: worldM(), printedM() -- shortcuts to the constructor
 
 */
 
+// Fractions (see the examples above) are recognized by this pattern.
+// A sign is allowed in front, and either "a/b" or one of the Unicode
+// glyphs may follow an optional whole number.
+
+const _FRACTION_GLYPHS = {
+  '½': 1/2, '⅓': 1/3, '⅔': 2/3, '¼': 1/4, '¾': 3/4,
+  '⅕': 1/5, '⅖': 2/5, '⅗': 3/5, '⅘': 4/5, '⅙': 1/6, '⅚': 5/6,
+  '⅛': 1/8, '⅜': 3/8, '⅝': 5/8, '⅞': 7/8,
+};
+
+const _FRACTION_REGEX = new RegExp(
+  '^([+-]?)(?:([0-9]+)(?:\\s+|-))?([0-9]+)/([0-9]+)|' +
+  `^([+-]?)(?:([0-9]+)\\s*)?([${Object.keys(_FRACTION_GLYPHS).join('')}])`);
+
 const WORLD = 'world';
 const PRINTED = 'printed';
 
@@ -431,6 +631,7 @@ class Measurement {
     const tokens = [];
     let index = 0;
     const regexes = {
+      fraction: _FRACTION_REGEX,
       number: /^[0123456789\.\+\-]+/,
       units: /^[a-zμA-ZÅ\'\"\-]+/,
       whitespace: /^\s+/,
@@ -440,6 +641,15 @@ class Measurement {
       for (const type in regexes) {
         const match = input.substring(index).match(regexes[type]);
         if (match) {
+          if (type == 'fraction' && match[4] !== undefined &&
+              Number(match[4]) == 0) {
+            throw new Error('Measurement.constructor: ' +
+              `zero denominator at index ${index} of ${input}`);
+          }
+          if (type == 'number' && input[index + match[0].length] == '/') {
+            throw new Error('Measurement.constructor: ' +
+              `invalid fraction at index ${index} of ${input}`);
+          }
           if (type !== 'whitespace') { // Ignore whitespace tokens
             tokens.push(match[0]);
           }
@@ -448,6 +658,10 @@ class Measurement {
           break;
         }
       }
+      if (! matched && input[index] == '/') {
+        throw new Error('Measurement.constructor: ' +
+          `invalid fraction at index ${index} of ${input}`);
+      }
       if (! matched) {
         throw new Error('Measurement.constructor: ' +
           `unexpected character at index ${index} of ${input}`);
@@ -469,11 +683,11 @@ class Measurement {
       if ((typeof numToken) == 'number') {
         num = numToken;
       } else if ((typeof numToken) == 'string')  {
-        if (! (numToken.match(/^[0123456789\.\+\-]+$/))) {
+        num = Measurement._parseNumber(numToken);
+        if (isNaN(num)) {
           throw new Error("Measurement.constructor: " +
             `invalid number token "${numToken}"`);
         }
-        num = Number(numToken);
       } else {
         throw new Error("Measurement.constructor: " +
           `invalid number token "${JSON.stringify(numToken)}"`);
@@ -488,10 +702,158 @@ class Measurement {
     this._value = value;
   }
 
+  static _parseNumber(token) {  // returns NaN if token isn't a number
+    const f = token.match(_FRACTION_REGEX);
+    if (f && f[0] == token) {
+      if (f[7] !== undefined) {  // whole number (optional) and glyph
+        const whole = (f[6] === undefined) ? 0 : Number(f[6]);
+        const value = whole + _FRACTION_GLYPHS[f[7]];
+        return (f[5] == '-') ? -value : value;
+      }
+      if (Number(f[4]) == 0) {
+        return NaN;
+      }
+      const whole = (f[2] === undefined) ? 0 : Number(f[2]);
+      const value = whole + Number(f[3]) / Number(f[4]);
+      return (f[1] == '-') ? -value : value;
+    }
+    if (! token.match(/^[0123456789\.\+\-]+$/)) {
+      return NaN;
+    }
+    return Number(token);
+  }
+
   toString() {
     return `${this._referenceFrame}M("${this._value} m")`;
   }
 
+  /*
+    format() is the reverse of the constructor:  it turns a Measurement
+    back into a string a human would write.  The first argument lists
+    the units to use, largest first, separated by spaces; any unit the
+    constructor accepts is allowed.  Feet and inches get the usual
+    ' and " marks, everything else gets its name after a space:
+
+      worldM("6.1849 m").format("ft in", {denominator: 16})  // 20' 3-1/2"
+      worldM("1 in").format("mm", {decimals: 1})             // 25.4 mm
+      worldM("6.096 m").format()                             // 6.096 m
+
+    The options are:
+
+      denominator - show the last unit as a mixed fraction, rounded to
+                    the nearest 1/denominator (e.g. 16 or 32)
+      decimals    - show the last unit with exactly this many decimals
+      frame       - WORLD or PRINTED; converts first if needed
+      context     - the ScaleContext to use for that conversion
+                    (defaults to the active one, see ScaleContext)
+
+    Without denominator or decimals, the last unit is shown to at most
+    six decimals, with trailing zeros dropped.  Larger units which come
+    out as zero are left off, so 6 inches in "ft in" is just 6".
+  */
+
+  format(unitSpec, options) {
+    if (unitSpec === undefined) {
+      unitSpec = "m";
+    }
+    options = options || {};
+
+    let m = this;
+    const frame = options.frame || this._referenceFrame;
+    if (frame != WORLD & frame != PRINTED) {
+      throw new Error(`Measurement.format: invalid frame "${frame}"`);
+    }
+    if (frame != this._referenceFrame) {
+      m = (frame == PRINTED) ? this.toPrinted(options.context) :
+                               this.toWorld(options.context);
+    }
+
+    const unitNames = `${unitSpec}`.trim().split(/\s+/);
+    if (unitNames[0] == '') {
+      throw new Error("Measurement.format: no units given");
+    }
+    const sizes = unitNames.map((name) => ConversionFactors.unit(name));
+    for (let i = 1; i < sizes.length; i++) {
+      if (sizes[i] >= sizes[i - 1]) {
+        throw new Error("Measurement.format: units " +
+          `"${unitSpec}" must be in decreasing order of size`);
+      }
+    }
+
+    // Count in "ticks" of the smallest amount we will show, so that
+    // rounding carries correctly, e.g. 11.99 in -> 1' 0" (not 0' 12").
+    const last = sizes.length - 1;
+    let ticksPerLastUnit = 1e6;
+    const den = options.denominator;
+    const dec = options.decimals;
+    if (den !== undefined) {
+      if (! (Number.isInteger(den) && den > 0)) {
+        throw new Error("Measurement.format: " +
+          `invalid denominator ${JSON.stringify(den)}`);
+      }
+      ticksPerLastUnit = den;
+    } else if (dec !== undefined) {
+      if (! (Number.isInteger(dec) && dec >= 0)) {
+        throw new Error("Measurement.format: " +
+          `invalid decimals ${JSON.stringify(dec)}`);
+      }
+      ticksPerLastUnit = Math.pow(10, dec);
+    }
+    const tickSize = sizes[last] / ticksPerLastUnit;
+    let ticks = Math.round(Math.abs(m._value) / tickSize);
+
+    const parts = [];
+    for (let i = 0; i < last; i++) {
+      const ticksPerUnit = sizes[i] / tickSize;
+      const count = Math.floor((ticks + 1e-9) / ticksPerUnit);
+      ticks = Math.max(0, ticks - count * ticksPerUnit);
+      if (count > 0 || parts.length > 0) {
+        parts.push(`${count}${Measurement._unitLabel(unitNames[i])}`);
+      }
+    }
+    ticks = Math.round(ticks);
+
+    let lastText;
+    if (den !== undefined) {
+      lastText = Measurement._mixedFraction(ticks, den);
+    } else if (dec !== undefined) {
+      lastText = (ticks / ticksPerLastUnit).toFixed(dec);
+    } else {
+      lastText = `${Number((ticks / ticksPerLastUnit).toFixed(6))}`;
+    }
+    parts.push(lastText + Measurement._unitLabel(unitNames[last]));
+
+    const isZero = parts.length == 1 && ticks == 0;
+    const sign = (m._value < 0 && ! isZero) ? '-' : '';
+    return sign + parts.join(' ');
+  }
+
+  static _unitLabel(name) {
+    if (["ft", "foot", "feet", "'"].includes(name)) {
+      return "'";
+    }
+    if (["in", "inch", "inches", '"'].includes(name)) {
+      return '"';
+    }
+    return ` ${name}`;
+  }
+
+  static _mixedFraction(ticks, den) {  // e.g. (56, 16) => "3-1/2"
+    const whole = Math.floor(ticks / den);
+    let num = ticks % den;
+    if (num == 0) {
+      return `${whole}`;
+    }
+    let a = num;
+    let b = den;
+    while (b != 0) {  // Euclid's algorithm to reduce the fraction
+      [a, b] = [b, a % b];
+    }
+    num /= a;
+    const fraction = `${num}/${den / a}`;
+    return (whole == 0) ? fraction : `${whole}-${fraction}`;
+  }
+
   referenceFrame() {
     return this._referenceFrame;
   }
@@ -511,6 +873,10 @@ class Measurement {
   }
 
   _checkCompatible(rhs, opName) {
+    if (rhs instanceof Area) {
+      throw new Error(`Measurement.${opName}: arithmetic ` +
+        "not allowed between a length and an Area");
+    }
     if (rhs instanceof Measurement) {
       if (this._referenceFrame!= rhs._referenceFrame) {
         throw new Error(`Measurement.${opName}: arithmetic ` +
@@ -543,8 +909,12 @@ class Measurement {
       result._value = this._value * factor;
       return result;
     }
+    if (factor instanceof Measurement || factor instanceof Area) {
+      factor = this._checkCompatible(factor, "times");
+      return Area._fromBare(this._referenceFrame, this._value * factor._value);
+    }
     throw new Error("Measurement.times: " +
-      `factor is ${factor} but must be a number`);
+      `factor is ${factor} but must be a number or a Measurement`);
   }
 
   dividedBy(divisor) {
@@ -593,30 +963,26 @@ class Measurement {
     return (this._value != rhs._value);
   }
 
-  static _setConversionFactor(scaleName) {
-    Object.defineProperty(Measurement, '_conversionFactor', {
-      writeable: false,
-      configurable: false,
-      enumerable: false,
-      value:  ConversionFactors.scale(scaleName).ratio,
-    });
-  }
+  // The optional "context" is a ScaleContext; if omitted we use the
+  // context of whichever Kit is currently building or rendering.
 
-  toWorld() {
+  toWorld(context) {
     if (this._referenceFrame == WORLD) {
       throw new Error(`Measurement.toWorld: arg is already a worldM`);
     }
+    context = ScaleContext._resolve(context, "Measurement.toWorld");
     const result = worldM(0);
-    result._value = this._value / Measurement._conversionFactor;
+    result._value = this._value / context.ratio();
     return result;
   }
 
-  toPrinted() {
+  toPrinted(context) {
     if (this._referenceFrame== PRINTED) {
       throw new Error(`Measurement.toPrinted: arg is already a printedM`);
     }
+    context = ScaleContext._resolve(context, "Measurement.toPrinted");
     const result = printedM(0);
-    result._value = this._value * Measurement._conversionFactor;
+    result._value = this._value * context.ratio();
     return result;
   }
 }
@@ -636,134 +1002,435 @@ function printedM(spec) {
 }
 
 /*
-    ==== MEASUREMENT PAIR ====
-
-The MeasurementPair class simply defines an ordered pair of Measurement
-objects, along with convenient operations on them.
-
-There are three ways in which such a pair can be used, and the class
-requires you to specify which use you intend each time you create a pair:
-
-    POINT - Represent a point in space (or on paper), using standard
-	Cartesian coordinates (x, y).  This is the most common use.
-
-    VECTOR -  Represent a direction and length.  You can visualize this
-	as an arrow, motion, or change.  For example, you can add a
-	vector to a point to get a new point.  You can also add two
-	vectors with the intuitive result.  (But note that a point "P"
-	is really just the place that the vector "P" ends up when it
-	starts from the origin, so the two uses are closely related.)
-
-    EXTENT - Represent how big something is, so we can figure out where it
-	fits.  To match the usual mathematical convention, "X" (width)
-	always comes first, followed by "Y" (height).
-
-To maintain consistency with mathematics, all three cases use standard
-Cartesian coordinates:
-
-  - The origin (0, 0) is at the lower left corner of the page.
-  - X increases as you move toward the right edge of the page.
-  - Y increases as you move toward the top edge of the page.
+    ==== AREA ====
 
-The libary provides useful methods for the MeasurementPair class as well:
+Multiplying two Measurements (lengths) gives an Area, such as the area
+of a wall or of the paper a kit uses.  An Area has a referenceFrame
+just like a Measurement does, and the same rules apply:  you can't mix
+WORLD with PRINTED, nor add an Area to a length.  Converting between
+frames uses the square of the scale ratio, so 1 square foot in HO is
+1/87.1/87.1 square feet of paper.
 
-Access:      x(), y() -- to extract the individual coordinates
-Arithemetic: plus(), minus(), times(), dividedBy(), length().
-Convenience: point(), vector(), extent() -- shortcuts to the constructor
+Dividing an Area by a length gives back a length, and dividing an Area
+by an Area gives a plain number (e.g. the fraction of the paper used).
 
+When you write an Area as a string, use any length unit squared, in
+any of these forms, or one of the few units which are only for areas:
 
-The vast majority of MeasurementPairs will use WORLD measurements.
-The exception is that internally all the points eventually get mapped
-into PRINTED coordinates so they can be correctly rendered into the PDF
-file, but the library handles that automatically.
+  "12 sq ft"        // also "square feet"
+  "3 m²"            // also "3 m^2"
+  "1 sq ft 72 sq in"  // multiple parts will be added together
+  "2 acres"         // also "acre", "hectare", "hectares", "ha"
 
-The jsPdf library uses yet another different coordinate system
-(reference framework), which places the origin in the upper left
-corner and inverts the Y-axis, but the library handles that
-automatically as well.
+Arithemetic: plus(), minus(), times(), and dividedBy().
+Comparison:  the same as for Measurement.
+Conversion:  toWorld(), toPrinted(), format()
+Convenience: worldArea(), printedArea() -- shortcuts to the constructor
 
 */
 
-const POINT = 'point';
-const VECTOR = 'vector';
-const EXTENT = 'extent';
+const _AREA_UNIT_TABLE = {
+  acre:      4840 * _YARD * _YARD,
+  acres:     4840 * _YARD * _YARD,
+  hectare:   1e4,
+  hectares:  1e4,
+  ha:        1e4,
+};
 
-class MeasurementPair {
-  constructor(type, x, y) {
-    if (arguments.length != 3) {
-      throw new Error("MeasurementPair.constructor: must have exactly 3 args");
+class Area {
+  constructor(referenceFrame, spec) {
+    const numArgs = arguments.length;
+    if (numArgs != 2) {
+      throw new Error("Area.constructor: " +
+        `found ${numArgs} args when expecting 2`);
     }
-    if (! (x instanceof Measurement)) {
-      x = worldM(x);
+    if (referenceFrame != WORLD & referenceFrame != PRINTED) {
+      throw new Error("Area.constructor: " +
+        `invalid referenceFrame "${referenceFrame}"`);
     }
-    if (! (y instanceof Measurement)) {
-      y = worldM(y);
+    this._referenceFrame = referenceFrame;
+    this._value = 0;
+    if (spec instanceof Area) {
+      if (referenceFrame != spec._referenceFrame) {
+        throw new Error("Area.constructor: invalid attempt to clone " +
+          `${spec._referenceFrame} into ${referenceFrame}`);
+      }
+      this._value = spec._value;
+      return;
     }
-    if (x.referenceFrame() != y.referenceFrame()) {
-      throw new Error("MeasurementPair.constructor: args must be same referenceFrame");
+    if (spec === 0 | spec === "0") {
+      return;
     }
-    this._type = type;
-    this._x = x;
-    this._y = y;
+    if (typeof spec != 'string' || spec.trim() == '') {
+      throw new Error(`Area.constructor: invalid spec ${JSON.stringify(spec)}`);
+    }
+    this._value = Area._parseArea(spec);
   }
 
-  toString() {
-    return `${this._type}(${this._x}, ${this._y})`;
+  static _parseArea(input) {
+    const tokens = [];
+    let index = 0;
+    while (index < input.length) {
+      const rest = input.substring(index);
+      const match = rest.match(/^\s+/) ||
+                    rest.match(_FRACTION_REGEX) ||
+                    rest.match(/^[0123456789\.\+\-]+/) ||
+                    rest.match(/^[a-zμA-ZÅ\'\"\-]+(²|\^2)?/);
+      if (! match) {
+        throw new Error('Area.constructor: ' +
+          `unexpected character at index ${index} of ${input}`);
+      }
+      if (match[0].trim() != '') {
+        tokens.push(match[0]);
+      }
+      index += match[0].length;
+    }
+
+    let value = 0;
+    let i = 0;
+    while (i < tokens.length) {
+      const num = Measurement._parseNumber(tokens[i]);
+      if (isNaN(num)) {
+        throw new Error(`Area.constructor: invalid number token "${tokens[i]}"`);
+      }
+      const unit = tokens.slice(i + 1, i + 3);
+      if (unit[0] == "sq" || unit[0] == "square") {
+        if (unit[1] === undefined) {
+          throw new Error(`Area.constructor: missing unit after "${unit[0]}"`);
+        }
+        value += num * Area.unit(`${unit[0]} ${unit[1]}`);
+        i += 3;
+      } else {
+        if (unit[0] === undefined) {
+          throw new Error(`Area.constructor: missing unit after ${num}`);
+        }
+        value += num * Area.unit(unit[0]);
+        i += 2;
+      }
+    }
+    return value;
   }
 
-  referenceFrame() {
-    return this._x.referenceFrame();
+  // Returns the size of an area unit in square meters.
+  static unit(name) {
+    if (_AREA_UNIT_TABLE.hasOwnProperty(name)) {
+      return _AREA_UNIT_TABLE[name];
+    }
+    const m = name.match(/^(?:sq|square)\s+(.+)$/) ||
+              name.match(/^(.+?)(?:²|\^2)$/);
+    if (m) {
+      const length = ConversionFactors.unit(m[1]);
+      return length * length;
+    }
+    throw new Error(`invalid area unit "${name}"`);
   }
 
-  type() {
-    return this._type;
+  toString() {
+    return `${this._referenceFrame}Area("${this._value} m²")`;
   }
 
-  x() {
-    return this._x;
+  referenceFrame() {
+    return this._referenceFrame;
   }
 
-  y() {
-    return this._y;
+  _toBare() {  // only for library internal use
+    return this._value;
   }
 
-  _checkCompatible(rhs, allowed, resultType) {
-    if (Array.isArray(rhs)) {
-      rhs = new MeasurementPair(this._type,
-              new Measurement(this.referenceFrame(), rhs[0]),
-              new Measurement(this.referenceFrame(), rhs[1]));
-    }
-    if (! (rhs instanceof MeasurementPair)) {
-      throw new Error("MeasurementPair.plus/minus: rhs must be a MeasurementPair");
+  static _fromBare(referenceFrame, value) {  // only for library internal use
+    if (typeof value != 'number') {
+      throw new Error("Area._fromBare: " +
+        `value ${JSON.stringify(value)} is not a number`);
     }
-    const typeCombo = this._type + rhs._type;
-    if (! (allowed.includes(typeCombo))) {
-      throw new Error(`Measurement: arithmetic not allowed between pair types ${this._type} and ${rhs._type}`);
+    const result = new Area(referenceFrame, 0);
+    result._value = value;
+    return result;
+  }
+
+  _checkCompatible(rhs, opName) {
+    if (! (rhs instanceof Area)) {
+      if (rhs instanceof Measurement) {
+        throw new Error(`Area.${opName}: arithmetic ` +
+          "not allowed between an Area and a length");
+      }
+      rhs = new Area(this._referenceFrame, rhs);
     }
-    if (this.referenceFrame() != rhs.referenceFrame()) {
-      throw new Error(`Measurement: arithmetic not allowed between different referenceFrames ${this._referenceFrame()} and ${rhs._referenceFrame()}`);
+    if (this._referenceFrame != rhs._referenceFrame) {
+      throw new Error(`Area.${opName}: arithmetic ` +
+        "not allowed between different referenceFrames " +
+        `${this._referenceFrame} and ${rhs._referenceFrame}`);
     }
-    return [rhs, resultType[typeCombo]];
+    return rhs;
   }
 
   plus(addend) {
-    if (arguments.length != 1) {
-      throw new Error("MeasurementPair.plus: takes exactly 1 argument");
-    }
-    const [rhs, resultType] = this._checkCompatible(
-      addend,
-      ['pointvector', 'vectorvector'],
-      {pointvector: POINT, vectorvector: VECTOR});
-    const x = this.x().plus(rhs.x());
-    const y = this.y().plus(rhs.y());
-    return new MeasurementPair(resultType, x, y);
+    addend = this._checkCompatible(addend, "plus");
+    return Area._fromBare(this._referenceFrame, this._value + addend._value);
   }
 
   minus(subtrahend) {
-    if (arguments.length != 1) {
-      throw new Error("MeasurementPair.minus: takes exactly 1 argument");
-    }
-    const [rhs, resultType] = this._checkCompatible(
+    subtrahend = this._checkCompatible(subtrahend, "minus");
+    return Area._fromBare(this._referenceFrame,
+                          this._value - subtrahend._value);
+  }
+
+  times(factor) {
+    if (typeof factor == 'number') {
+      return Area._fromBare(this._referenceFrame, this._value * factor);
+    }
+    throw new Error("Area.times: " +
+      `factor is ${factor} but must be a number`);
+  }
+
+  dividedBy(divisor) {
+    if (typeof divisor == 'number') {
+      if (divisor == 0) {
+        throw new Error('Area.dividedBy: invalid division by zero');
+      }
+      return Area._fromBare(this._referenceFrame, this._value / divisor);
+    }
+    if (divisor instanceof Measurement) {
+      if (this._referenceFrame != divisor._referenceFrame) {
+        throw new Error("Area.dividedBy: arithmetic " +
+          "not allowed between different referenceFrames " +
+          `${this._referenceFrame} and ${divisor._referenceFrame}`);
+      }
+      if (divisor._value == 0) {
+        throw new Error('Area.dividedBy: invalid division by zero');
+      }
+      return Measurement._fromBare(this._referenceFrame,
+                                   this._value / divisor._value);
+    }
+    divisor = this._checkCompatible(divisor, "dividedBy");
+    if (divisor._value == 0) {
+      throw new Error('Area.dividedBy: invalid division by zero');
+    }
+    return this._value / divisor._value;  // dimensionless ratio
+  }
+
+  greaterThan(rhs) {
+    rhs = this._checkCompatible(rhs, "greaterThan");
+    return (this._value > rhs._value);
+  }
+
+  greaterThanOrEqualTo(rhs) {
+    rhs = this._checkCompatible(rhs, "greaterThanOrEqualTo");
+    return (this._value >= rhs._value);
+  }
+
+  lessThan(rhs) {
+    rhs = this._checkCompatible(rhs, "lessThan");
+    return (this._value < rhs._value);
+  }
+
+  lessThanOrEqualTo(rhs) {
+    rhs = this._checkCompatible(rhs, "lessThanOrEqualTo");
+    return (this._value <= rhs._value);
+  }
+
+  equalTo(rhs) {
+    rhs = this._checkCompatible(rhs, "equalTo");
+    return (this._value == rhs._value);
+  }
+
+  notEqualTo(rhs) {
+    rhs = this._checkCompatible(rhs, "notEqualTo");
+    return (this._value != rhs._value);
+  }
+
+  toWorld(context) {
+    if (this._referenceFrame == WORLD) {
+      throw new Error(`Area.toWorld: arg is already a worldArea`);
+    }
+    const ratio = ScaleContext._resolve(context, "Area.toWorld").ratio();
+    return Area._fromBare(WORLD, this._value / (ratio * ratio));
+  }
+
+  toPrinted(context) {
+    if (this._referenceFrame == PRINTED) {
+      throw new Error(`Area.toPrinted: arg is already a printedArea`);
+    }
+    const ratio = ScaleContext._resolve(context, "Area.toPrinted").ratio();
+    return Area._fromBare(PRINTED, this._value * ratio * ratio);
+  }
+
+  // Unlike Measurement.format(), this takes just one unit, e.g.
+  //   worldArea("150 sq ft").format("m²", {decimals: 2})  // 13.94 m²
+  // The options are "decimals", "frame" and "context", as for Measurement.
+
+  format(unitName, options) {
+    if (unitName === undefined) {
+      unitName = "m²";
+    }
+    options = options || {};
+    let a = this;
+    const frame = options.frame || this._referenceFrame;
+    if (frame != WORLD & frame != PRINTED) {
+      throw new Error(`Area.format: invalid frame "${frame}"`);
+    }
+    if (frame != this._referenceFrame) {
+      a = (frame == PRINTED) ? this.toPrinted(options.context) :
+                               this.toWorld(options.context);
+    }
+    const value = a._value / Area.unit(unitName);
+    const dec = options.decimals;
+    if (dec === undefined) {
+      return `${Number(value.toFixed(6))} ${unitName}`;
+    }
+    if (! (Number.isInteger(dec) && dec >= 0)) {
+      throw new Error(`Area.format: invalid decimals ${JSON.stringify(dec)}`);
+    }
+    return `${value.toFixed(dec)} ${unitName}`;
+  }
+}
+
+function worldArea(spec) {
+  if ((spec instanceof Area) & (spec._referenceFrame == WORLD)) {
+    return spec;
+  }
+  return new Area(WORLD, spec);
+}
+
+function printedArea(spec) {
+  if ((spec instanceof Area) & (spec._referenceFrame == PRINTED)) {
+    return spec;
+  }
+  return new Area(PRINTED, spec);
+}
+
+/*
+    ==== MEASUREMENT PAIR ====
+
+The MeasurementPair class simply defines an ordered pair of Measurement
+objects, along with convenient operations on them.
+
+There are three ways in which such a pair can be used, and the class
+requires you to specify which use you intend each time you create a pair:
+
+    POINT - Represent a point in space (or on paper), using standard
+	Cartesian coordinates (x, y).  This is the most common use.
+
+    VECTOR -  Represent a direction and length.  You can visualize this
+	as an arrow, motion, or change.  For example, you can add a
+	vector to a point to get a new point.  You can also add two
+	vectors with the intuitive result.  (But note that a point "P"
+	is really just the place that the vector "P" ends up when it
+	starts from the origin, so the two uses are closely related.)
+
+    EXTENT - Represent how big something is, so we can figure out where it
+	fits.  To match the usual mathematical convention, "X" (width)
+	always comes first, followed by "Y" (height).
+
+To maintain consistency with mathematics, all three cases use standard
+Cartesian coordinates:
+
+  - The origin (0, 0) is at the lower left corner of the page.
+  - X increases as you move toward the right edge of the page.
+  - Y increases as you move toward the top edge of the page.
+
+The libary provides useful methods for the MeasurementPair class as well:
+
+Access:      x(), y() -- to extract the individual coordinates
+Arithemetic: plus(), minus(), times(), dividedBy(), length().
+Area:        area() -- width times height, for EXTENTs only
+Vectors:     dot(), cross(), normalized(), perpendicular(), rotatedBy(),
+             direction(), angleTo(), projectOnto() -- for VECTORs only
+Points:      distanceTo(), lerp() -- for POINTs only
+Convenience: point(), vector(), extent() -- shortcuts to the constructor
+
+
+The vast majority of MeasurementPairs will use WORLD measurements.
+The exception is that internally all the points eventually get mapped
+into PRINTED coordinates so they can be correctly rendered into the PDF
+file, but the library handles that automatically.
+
+The jsPdf library uses yet another different coordinate system
+(reference framework), which places the origin in the upper left
+corner and inverts the Y-axis, but the library handles that
+automatically as well.
+
+*/
+
+const POINT = 'point';
+const VECTOR = 'vector';
+const EXTENT = 'extent';
+
+class MeasurementPair {
+  constructor(type, x, y) {
+    if (arguments.length != 3) {
+      throw new Error("MeasurementPair.constructor: must have exactly 3 args");
+    }
+    if (! (x instanceof Measurement)) {
+      x = worldM(x);
+    }
+    if (! (y instanceof Measurement)) {
+      y = worldM(y);
+    }
+    if (x.referenceFrame() != y.referenceFrame()) {
+      throw new Error("MeasurementPair.constructor: args must be same referenceFrame");
+    }
+    this._type = type;
+    this._x = x;
+    this._y = y;
+  }
+
+  toString() {
+    return `${this._type}(${this._x}, ${this._y})`;
+  }
+
+  referenceFrame() {
+    return this._x.referenceFrame();
+  }
+
+  type() {
+    return this._type;
+  }
+
+  x() {
+    return this._x;
+  }
+
+  y() {
+    return this._y;
+  }
+
+  _checkCompatible(rhs, allowed, resultType) {
+    if (Array.isArray(rhs)) {
+      rhs = new MeasurementPair(this._type,
+              new Measurement(this.referenceFrame(), rhs[0]),
+              new Measurement(this.referenceFrame(), rhs[1]));
+    }
+    if (! (rhs instanceof MeasurementPair)) {
+      throw new Error("MeasurementPair.plus/minus: rhs must be a MeasurementPair");
+    }
+    const typeCombo = this._type + rhs._type;
+    if (! (allowed.includes(typeCombo))) {
+      throw new Error(`Measurement: arithmetic not allowed between pair types ${this._type} and ${rhs._type}`);
+    }
+    if (this.referenceFrame() != rhs.referenceFrame()) {
+      throw new Error(`Measurement: arithmetic not allowed between different referenceFrames ${this.referenceFrame()} and ${rhs.referenceFrame()}`);
+    }
+    return [rhs, resultType[typeCombo]];
+  }
+
+  plus(addend) {
+    if (arguments.length != 1) {
+      throw new Error("MeasurementPair.plus: takes exactly 1 argument");
+    }
+    const [rhs, resultType] = this._checkCompatible(
+      addend,
+      ['pointvector', 'vectorvector'],
+      {pointvector: POINT, vectorvector: VECTOR});
+    const x = this.x().plus(rhs.x());
+    const y = this.y().plus(rhs.y());
+    return new MeasurementPair(resultType, x, y);
+  }
+
+  minus(subtrahend) {
+    if (arguments.length != 1) {
+      throw new Error("MeasurementPair.minus: takes exactly 1 argument");
+    }
+    const [rhs, resultType] = this._checkCompatible(
       subtrahend,
       ['pointpoint', 'pointvector', 'vectorvector'],
       {pointpoint: VECTOR, pointvector: POINT, vectorvector: VECTOR});
@@ -805,6 +1472,134 @@ class MeasurementPair {
     const hypotenuse = Math.sqrt(x * x + y * y);
     return Measurement._fromBare(this.referenceFrame(), hypotenuse);
   }
+
+  area() {
+    if (this._type != EXTENT) {
+      throw new Error(`MeasurementPair.area: only an extent has an area, ` +
+        `not a ${this._type}`);
+    }
+    return this._x.times(this._y);
+  }
+
+  /*
+    The rest of the methods only make sense for one type of pair, e.g.
+    it is meaningless to rotate a point (without saying what to rotate
+    it around), or to find the distance between two vectors.
+  */
+
+  _requireType(type, opName) {
+    if (this._type != type) {
+      throw new Error(`MeasurementPair.${opName}: only allowed on a ` +
+        `${type}, not a ${this._type}`);
+    }
+  }
+
+  _bare() {  // only for library internal use
+    return [this._x._toBare(), this._y._toBare()];
+  }
+
+  _pairFromBare(type, x, y) {  // only for library internal use
+    const frame = this.referenceFrame();
+    return new MeasurementPair(type,
+      Measurement._fromBare(frame, x), Measurement._fromBare(frame, y));
+  }
+
+  dot(other) {
+    this._requireType(VECTOR, "dot");
+    const [rhs] = this._checkCompatible(other, ['vectorvector'], {});
+    return this._x.times(rhs._x).plus(this._y.times(rhs._y));
+  }
+
+  // The z-component of the 3D cross product, i.e. the signed area of
+  // the parallelogram:  positive if "other" is counterclockwise of this.
+  cross(other) {
+    this._requireType(VECTOR, "cross");
+    const [rhs] = this._checkCompatible(other, ['vectorvector'], {});
+    return this._x.times(rhs._y).minus(this._y.times(rhs._x));
+  }
+
+  // A vector in the same direction with the given length, which
+  // defaults to 1 meter (so that x and y are the cosine and sine).
+  normalized(length) {
+    this._requireType(VECTOR, "normalized");
+    const [x, y] = this._bare();
+    const len = Math.sqrt(x * x + y * y);
+    if (len == 0) {
+      throw new Error("MeasurementPair.normalized: zero-length vector");
+    }
+    let newLength = 1;
+    if (length !== undefined) {
+      newLength = new Measurement(this.referenceFrame(), length)._toBare();
+    }
+    return this._pairFromBare(VECTOR, x * newLength / len, y * newLength / len);
+  }
+
+  perpendicular() {  // rotated 90 degrees counterclockwise
+    this._requireType(VECTOR, "perpendicular");
+    return vector(this._y.times(-1), this._x);
+  }
+
+  rotatedBy(theta) {  // counterclockwise
+    this._requireType(VECTOR, "rotatedBy");
+    theta = angle(theta);
+    const [x, y] = this._bare();
+    const cos = theta.cos();
+    const sin = theta.sin();
+    return this._pairFromBare(VECTOR, x * cos - y * sin, x * sin + y * cos);
+  }
+
+  direction() {  // counterclockwise from the positive X axis
+    this._requireType(VECTOR, "direction");
+    const [x, y] = this._bare();
+    if (x == 0 && y == 0) {
+      throw new Error("MeasurementPair.direction: zero-length vector");
+    }
+    return Angle._fromRadians(Math.atan2(y, x));
+  }
+
+  // The counterclockwise angle to turn this vector to line up with
+  // "other", between -180 and +180 degrees.
+  angleTo(other) {
+    this._requireType(VECTOR, "angleTo");
+    const [rhs] = this._checkCompatible(other, ['vectorvector'], {});
+    const [x1, y1] = this._bare();
+    const [x2, y2] = rhs._bare();
+    if ((x1 == 0 && y1 == 0) || (x2 == 0 && y2 == 0)) {
+      throw new Error("MeasurementPair.angleTo: zero-length vector");
+    }
+    return Angle._fromRadians(
+      Math.atan2(x1 * y2 - y1 * x2, x1 * x2 + y1 * y2));
+  }
+
+  projectOnto(other) {
+    this._requireType(VECTOR, "projectOnto");
+    const [rhs] = this._checkCompatible(other, ['vectorvector'], {});
+    const [x1, y1] = this._bare();
+    const [x2, y2] = rhs._bare();
+    const lengthSquared = x2 * x2 + y2 * y2;
+    if (lengthSquared == 0) {
+      throw new Error("MeasurementPair.projectOnto: zero-length vector");
+    }
+    const t = (x1 * x2 + y1 * y2) / lengthSquared;
+    return this._pairFromBare(VECTOR, x2 * t, y2 * t);
+  }
+
+  distanceTo(other) {
+    this._requireType(POINT, "distanceTo");
+    const [rhs] = this._checkCompatible(other, ['pointpoint'], {});
+    return rhs.minus(this).length();
+  }
+
+  // The point a fraction "t" of the way from this point to "other",
+  // so t=0 gives this point, t=1 gives other, and t=0.5 the midpoint.
+  lerp(other, t) {
+    this._requireType(POINT, "lerp");
+    const [rhs] = this._checkCompatible(other, ['pointpoint'], {});
+    if (typeof t != 'number') {
+      throw new Error("MeasurementPair.lerp: t must be a number");
+    }
+    return this.plus(rhs.minus(this).times(t));
+  }
 }
 
 function point(m1, m2) {
@@ -820,390 +1615,4083 @@ function extent(m1, m2) {
 }
 
 /*
-    ==== PIECE ====
+    ==== ANGLE ====
+
+Angles get the same treatment as Measurements:  an Angle is a value
+type that knows its own units, so a pitch or a rotation can't be
+confused with a plain number, and option strings are checked when
+they are turned into Angles.  Internally we keep radians, but you
+can write any of these:
+
+  "30 deg"     // degrees, also "degree", "degrees", or "30°"
+  "0.5 rad"    // radians, also "radian", "radians"
+  "1/4 turn"   // whole turns; fractions work just as for Measurements
+  "100 grad"   // gradians (a.k.a. gons), 100 to a right angle
+  "30 deg 15 arcmin 10 arcsec"  // multiple parts are added together
+  "6:12"       // carpenter's roof pitch:  6 inches rise per 12 of run
+  "6/12"       // the same pitch, another common way to write it
+  [45, "deg"]  // a list works too
+  0            // zero needs no units
+
+The library provides these methods on Angles:
+
+Access:      degrees(), radians(), pitch() -- as plain numbers
+Arithemetic: plus(), minus(), times(), dividedBy().
+Comparison:  greaterThan(), greaterThanOrEqualTo(), lessThan(),
+             lessThanOrEqualTo(), equalTo(), notEqualTo().
+Trig:        sin(), cos(), tan() -- dimensionless numbers
+             rise(run), slopeLength(run) -- Measurements, in the
+             same referenceFrame as the run you pass in
+             Angle.fromRiseRun(rise, run) -- the reverse of rise()
+Convenience: angle() -- shortcut to the constructor
 
-The Piece class is really just a wrapper around a top-level Component, i.e.
-something which can be shuffled around on a page to use the page more
-efficiently.  We put this functionality in its own class instead of just
-incorporating it into Component for two reasons:
-(1) Conceptual clarity -- Components which are not top-level don't
-need the extra stuff.
-(2) Clean interface -- because Piece interfaces with the external bin-sort
-library, it has to deal with measurements in "bare" Numbers (not Measurements),
-and we don't want to pollute the library API (and the rest of the code)
-with bare Numbers, nor with the details of the bin-pack record formats.
+*/
+
+const _ANGLE_UNIT_TABLE = {
+  deg:      Math.PI / 180,
+  degree:   Math.PI / 180,
+  degrees:  Math.PI / 180,
+  '°':      Math.PI / 180,
+  rad:      1,
+  radian:   1,
+  radians:  1,
+  arcmin:   Math.PI / 10800,
+  arcmins:  Math.PI / 10800,
+  arcsec:   Math.PI / 648000,
+  arcsecs:  Math.PI / 648000,
+  grad:     Math.PI / 200,
+  grads:    Math.PI / 200,
+  gon:      Math.PI / 200,
+  gons:     Math.PI / 200,
+  turn:     2 * Math.PI,
+  turns:    2 * Math.PI,
+};
+
+class Angle {
+  constructor(spec) {
+    const numArgs = arguments.length;
+    if (numArgs != 1) {
+      throw new Error("Angle.constructor: " +
+        `found ${numArgs} args when expecting 1`);
+    }
+    if (spec instanceof Angle) {
+      this._value = spec._value;
+      return;
+    }
+    if (spec === 0 | spec === "0") {
+      this._value = 0;
+      return;
+    }
+    if (typeof spec == 'string') {
+      const pitch = spec.match(/^\s*([0-9.]+)\s*[:\/]\s*([0-9.]+)\s*$/);
+      if (pitch) {
+        this._fromPitch(spec, Number(pitch[1]), Number(pitch[2]));
+        return;
+      }
+      spec = this._tokenize(spec);
+    }
+    if (Array.isArray(spec) && spec.length > 0) {
+      this._parse(spec);
+      return;
+    }
+    throw new Error(`Angle.constructor: invalid spec ${JSON.stringify(spec)}`);
+  }
+
+  _fromPitch(spec, rise, run) {
+    if (isNaN(rise) | isNaN(run) | run == 0) {
+      throw new Error(`Angle.constructor: invalid pitch "${spec}"`);
+    }
+    this._value = Math.atan2(rise, run);
+  }
+
+  _tokenize(input) {
+    const tokens = [];
+    let index = 0;
+    while (index < input.length) {
+      const rest = input.substring(index);
+      const match = rest.match(/^\s+/) ||
+                    rest.match(_FRACTION_REGEX) ||
+                    rest.match(/^[0123456789\.\+\-]+/) ||
+                    rest.match(/^[a-z°]+/);
+      if (! match) {
+        throw new Error('Angle.constructor: ' +
+          `unexpected character at index ${index} of ${input}`);
+      }
+      if (match[0].trim() != '') {
+        tokens.push(match[0]);
+      }
+      index += match[0].length;
+    }
+    return tokens;
+  }
+
+  _parse(tokens) {
+    if (tokens.length % 2 != 0) {
+      throw new Error("Angle.constructor: " +
+        `${JSON.stringify(tokens)} has odd number of tokens`);
+    }
+    let value = 0;
+    for (let index = 0; index < tokens.length; index += 2) {
+      const numToken = tokens[index];
+      let num = numToken;
+      if (typeof numToken == 'string') {
+        num = Measurement._parseNumber(numToken);
+      }
+      if (typeof num != 'number' || isNaN(num)) {
+        throw new Error("Angle.constructor: " +
+          `invalid number token ${JSON.stringify(numToken)}`);
+      }
+      const unitToken = tokens[index + 1];
+      if (! _ANGLE_UNIT_TABLE.hasOwnProperty(unitToken)) {
+        throw new Error(`invalid angle unit "${unitToken}"`);
+      }
+      value += num * _ANGLE_UNIT_TABLE[unitToken];
+    }
+    this._value = value;
+  }
+
+  toString() {
+    return `angle("${this.degrees()} deg")`;
+  }
+
+  static _fromRadians(value) {  // only for library internal use
+    if (typeof value != 'number') {
+      throw new Error("Angle._fromRadians: " +
+        `value ${JSON.stringify(value)} is not a number`);
+    }
+    const result = new Angle(0);
+    result._value = value;
+    return result;
+  }
+
+  radians() {
+    return this._value;
+  }
+
+  degrees() {
+    return this._value * 180 / Math.PI;
+  }
+
+  pitch() {  // inches of rise per 12 inches of run
+    return 12 * Math.tan(this._value);
+  }
+
+  plus(addend) {
+    return Angle._fromRadians(this._value + angle(addend)._value);
+  }
+
+  minus(subtrahend) {
+    return Angle._fromRadians(this._value - angle(subtrahend)._value);
+  }
+
+  times(factor) {
+    if (typeof factor != 'number') {
+      throw new Error(`Angle.times: factor is ${factor} but must be a number`);
+    }
+    return Angle._fromRadians(this._value * factor);
+  }
+
+  dividedBy(divisor) {
+    if (typeof divisor == 'number') {
+      if (divisor == 0) {
+        throw new Error('Angle.dividedBy: invalid division by zero');
+      }
+      return Angle._fromRadians(this._value / divisor);
+    }
+    divisor = angle(divisor);
+    if (divisor._value == 0) {
+      throw new Error('Angle.dividedBy: invalid division by zero');
+    }
+    return this._value / divisor._value;  // dimensionless ratio
+  }
+
+  greaterThan(rhs) {
+    return this._value > angle(rhs)._value;
+  }
+
+  greaterThanOrEqualTo(rhs) {
+    return this._value >= angle(rhs)._value;
+  }
+
+  lessThan(rhs) {
+    return this._value < angle(rhs)._value;
+  }
+
+  lessThanOrEqualTo(rhs) {
+    return this._value <= angle(rhs)._value;
+  }
+
+  equalTo(rhs) {
+    return this._value == angle(rhs)._value;
+  }
+
+  notEqualTo(rhs) {
+    return this._value != angle(rhs)._value;
+  }
+
+  sin() {
+    return Math.sin(this._value);
+  }
+
+  cos() {
+    return Math.cos(this._value);
+  }
+
+  tan() {
+    return Math.tan(this._value);
+  }
+
+  // How high a slope at this angle climbs over a horizontal "run".
+  rise(run) {
+    if (! (run instanceof Measurement)) {
+      run = worldM(run);
+    }
+    return run.times(this.tan());
+  }
+
+  // How long a slope at this angle is over a horizontal "run",
+  // e.g. the length of a rafter.
+  slopeLength(run) {
+    if (! (run instanceof Measurement)) {
+      run = worldM(run);
+    }
+    const cos = this.cos();
+    if (Math.abs(cos) < 1e-12) {
+      throw new Error("Angle.slopeLength: slope is vertical");
+    }
+    return run.dividedBy(cos);
+  }
+
+  static fromRiseRun(rise, run) {
+    if (! (rise instanceof Measurement)) {
+      rise = worldM(rise);
+    }
+    if (! (run instanceof Measurement)) {
+      run = worldM(run);
+    }
+    rise._checkCompatible(run, "fromRiseRun");
+    return Angle._fromRadians(Math.atan2(rise._toBare(), run._toBare()));
+  }
+}
+
+function angle(spec) {
+  if (spec instanceof Angle) {
+    return spec;
+  }
+  return new Angle(spec);
+}
+
+/*
+    ==== SEGMENT AND POLYGON ====
+
+A Segment is the straight line between two POINTs, and a Polygon is a
+closed outline through three or more POINTs (the last point connects
+back to the first, so don't repeat it).  Both are built on
+MeasurementPair, so they know their referenceFrame, and all the
+answers come back as Measurements, Areas, or POINTs.
+
+A Component can keep its outlines as Polygons instead of plain lists
+of points, and then ask questions about them, e.g. to figure out its
+own extent, or to check that a window fits inside a wall.  The
+DrawingPen accepts a Polygon wherever it accepts a list of points.
+
+Segment:  start(), end(), vector(), length(), midpoint(),
+          intersection(otherSegment) -- a POINT, or null if none
+Polygon:  points(), edges(), signedArea(), area(), perimeter(),
+          centroid(), boundingBox(), contains(point),
+          isCounterClockwise(), reversed(), intersections(segment),
+          selfIntersections(), isSimple(),
+          offset(distance, options), outset(...), inset(...)
+          Polygon.regular(sides, sideLength) -- counterclockwise from
+          (0, 0) along the X axis
+
+Signed areas follow the usual mathematical convention:  positive when
+the points go around counterclockwise, negative when clockwise.
+
+*/
+
+const _GEOMETRY_EPSILON = 1e-9;  // relative tolerance, for round-off
+
+function _checkPoint(pt, frame, opName) {
+  if (! (pt instanceof MeasurementPair) || pt.type() != POINT) {
+    throw new Error(`${opName}: ${pt} is not a point`);
+  }
+  if (frame !== undefined && pt.referenceFrame() != frame) {
+    throw new Error(`${opName}: points must all be in the same ` +
+      "referenceFrame");
+  }
+  return pt;
+}
+
+// Intersection of segments p1-p2 and p3-p4, all given as bare [x, y].
+// Returns the bare point, or null.  If the segments are collinear and
+// overlap we return the first point of the overlap.
+function _intersectBare(p1, p2, p3, p4) {
+  const r = [p2[0] - p1[0], p2[1] - p1[1]];
+  const s = [p4[0] - p3[0], p4[1] - p3[1]];
+  const q = [p3[0] - p1[0], p3[1] - p1[1]];
+  const scale = Math.max(Math.abs(r[0]), Math.abs(r[1]),
+                         Math.abs(s[0]), Math.abs(s[1]), 1e-300);
+  const eps = _GEOMETRY_EPSILON;
+  const denom = r[0] * s[1] - r[1] * s[0];
+  const qxr = q[0] * r[1] - q[1] * r[0];
+  if (Math.abs(denom) <= eps * scale * scale) {
+    if (Math.abs(qxr) > eps * scale * scale) {
+      return null;  // parallel, never meet
+    }
+    // collinear:  project p3 and p4 onto p1-p2 and look for overlap
+    const rr = r[0] * r[0] + r[1] * r[1];
+    if (rr == 0) {
+      return null;
+    }
+    const t0 = (q[0] * r[0] + q[1] * r[1]) / rr;
+    const t1 = t0 + (s[0] * r[0] + s[1] * r[1]) / rr;
+    const lo = Math.max(0, Math.min(t0, t1));
+    const hi = Math.min(1, Math.max(t0, t1));
+    if (lo > hi + eps) {
+      return null;
+    }
+    return [p1[0] + lo * r[0], p1[1] + lo * r[1]];
+  }
+  const t = (q[0] * s[1] - q[1] * s[0]) / denom;
+  const u = qxr / denom;
+  if (t < -eps || t > 1 + eps || u < -eps || u > 1 + eps) {
+    return null;
+  }
+  return [p1[0] + t * r[0], p1[1] + t * r[1]];
+}
+
+class Segment {
+  constructor(start, end) {
+    if (arguments.length != 2) {
+      throw new Error("Segment.constructor: must have exactly 2 args");
+    }
+    _checkPoint(start, undefined, "Segment.constructor");
+    _checkPoint(end, start.referenceFrame(), "Segment.constructor");
+    this._start = start;
+    this._end = end;
+  }
+
+  toString() {
+    return `Segment(${this._start}, ${this._end})`;
+  }
+
+  referenceFrame() {
+    return this._start.referenceFrame();
+  }
+
+  start() {
+    return this._start;
+  }
+
+  end() {
+    return this._end;
+  }
+
+  vector() {
+    return this._end.minus(this._start);
+  }
+
+  length() {
+    return this.vector().length();
+  }
+
+  midpoint() {
+    return this._start.lerp(this._end, 0.5);
+  }
+
+  intersection(other) {
+    if (! (other instanceof Segment)) {
+      throw new Error("Segment.intersection: arg must be a Segment");
+    }
+    if (other.referenceFrame() != this.referenceFrame()) {
+      throw new Error("Segment.intersection: segments must be in the " +
+        "same referenceFrame");
+    }
+    const hit = _intersectBare(this._start._bare(), this._end._bare(),
+                               other._start._bare(), other._end._bare());
+    if (hit === null) {
+      return null;
+    }
+    return this._start._pairFromBare(POINT, hit[0], hit[1]);
+  }
+}
+
+class Polygon {
+  constructor(points) {
+    if (arguments.length != 1 || ! Array.isArray(points)) {
+      throw new Error("Polygon.constructor: arg must be a list of points");
+    }
+    if (points.length < 3) {
+      throw new Error("Polygon.constructor: needs at least 3 points");
+    }
+    const frame = _checkPoint(points[0], undefined,
+                              "Polygon.constructor").referenceFrame();
+    for (const pt of points) {
+      _checkPoint(pt, frame, "Polygon.constructor");
+    }
+    this._points = points.slice();
+  }
+
+  toString() {
+    return `Polygon(${this._points.length} points)`;
+  }
+
+  static regular(sides, sideLength) {
+    if (! Number.isInteger(sides) || sides < 3) {
+      throw new Error("Polygon.regular: sides must be an integer, at least 3");
+    }
+    sideLength = (sideLength instanceof Measurement) ?
+      sideLength : worldM(sideLength);
+    const frame = sideLength.referenceFrame();
+    const length = sideLength._toBare();
+    const points = [];
+    let [x, y] = [0, 0];
+    for (let i = 0; i < sides; i++) {
+      points.push(point(Measurement._fromBare(frame, x),
+                        Measurement._fromBare(frame, y)));
+      const turn = 2 * Math.PI * i / sides;
+      x += length * Math.cos(turn);
+      y += length * Math.sin(turn);
+    }
+    return new Polygon(points);
+  }
+
+  referenceFrame() {
+    return this._points[0].referenceFrame();
+  }
+
+  points() {
+    return this._points.slice();
+  }
+
+  edges() {
+    const result = [];
+    const n = this._points.length;
+    for (let i = 0; i < n; i++) {
+      result.push(new Segment(this._points[i], this._points[(i + 1) % n]));
+    }
+    return result;
+  }
+
+  _bare() {  // only for library internal use
+    return this._points.map((pt) => pt._bare());
+  }
+
+  signedArea() {
+    const pts = this._bare();
+    let sum = 0;
+    for (let i = 0; i < pts.length; i++) {  // the "shoelace" formula
+      const [x1, y1] = pts[i];
+      const [x2, y2] = pts[(i + 1) % pts.length];
+      sum += x1 * y2 - x2 * y1;
+    }
+    return Area._fromBare(this.referenceFrame(), sum / 2);
+  }
+
+  area() {
+    return Area._fromBare(this.referenceFrame(),
+                          Math.abs(this.signedArea()._toBare()));
+  }
+
+  perimeter() {
+    let sum = new Measurement(this.referenceFrame(), 0);
+    for (const edge of this.edges()) {
+      sum = sum.plus(edge.length());
+    }
+    return sum;
+  }
+
+  centroid() {
+    const pts = this._bare();
+    let a = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < pts.length; i++) {
+      const [x1, y1] = pts[i];
+      const [x2, y2] = pts[(i + 1) % pts.length];
+      const cross = x1 * y2 - x2 * y1;
+      a += cross;
+      cx += (x1 + x2) * cross;
+      cy += (y1 + y2) * cross;
+    }
+    if (a == 0) {
+      throw new Error("Polygon.centroid: polygon has zero area");
+    }
+    return this._points[0]._pairFromBare(POINT, cx / (3 * a), cy / (3 * a));
+  }
+
+  // Returns {min, max, extent}:  the lower-left and upper-right corners
+  // (POINTs) and the EXTENT between them.
+  boundingBox() {
+    const pts = this._bare();
+    const xs = pts.map((pt) => pt[0]);
+    const ys = pts.map((pt) => pt[1]);
+    const first = this._points[0];
+    const min = first._pairFromBare(POINT, Math.min(...xs), Math.min(...ys));
+    const max = first._pairFromBare(POINT, Math.max(...xs), Math.max(...ys));
+    const diff = max.minus(min);
+    return {min: min, max: max, extent: extent(diff.x(), diff.y())};
+  }
+
+  isCounterClockwise() {
+    return this.signedArea()._toBare() > 0;
+  }
+
+  reversed() {
+    return new Polygon(this._points.slice().reverse());
+  }
+
+  // Points on the boundary count as inside.
+  contains(pt) {
+    _checkPoint(pt, this.referenceFrame(), "Polygon.contains");
+    const [px, py] = pt._bare();
+    const pts = this._bare();
+    for (const [a, b] of this._bareEdges(pts)) {
+      if (_intersectBare(a, b, [px, py], [px, py]) !== null) {
+        return true;
+      }
+    }
+    let inside = false;
+    for (const [a, b] of this._bareEdges(pts)) {  // even-odd ray casting
+      if ((a[1] > py) != (b[1] > py)) {
+        const x = a[0] + (py - a[1]) * (b[0] - a[0]) / (b[1] - a[1]);
+        if (px < x) {
+          inside = ! inside;
+        }
+      }
+    }
+    return inside;
+  }
+
+  _bareEdges(pts) {
+    return pts.map((pt, i) => [pt, pts[(i + 1) % pts.length]]);
+  }
+
+  // All the points where the segment crosses (or touches) the outline.
+  intersections(segment) {
+    if (! (segment instanceof Segment)) {
+      throw new Error("Polygon.intersections: arg must be a Segment");
+    }
+    const result = [];
+    for (const edge of this.edges()) {
+      const hit = edge.intersection(segment);
+      if (hit !== null &&
+          ! result.some((pt) => pt.distanceTo(hit)._toBare() == 0)) {
+        result.push(hit);
+      }
+    }
+    return result;
+  }
+
+  // Returns a list of {edge1, edge2, point} for every pair of edges
+  // (by index) that cross, apart from neighbors meeting at a corner.
+  selfIntersections() {
+    const edges = this.edges();
+    const n = edges.length;
+    const result = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const neighbors = (j == i + 1) || (i == 0 && j == n - 1);
+        const hit = edges[i].intersection(edges[j]);
+        if (hit === null) {
+          continue;
+        }
+        if (neighbors) {
+          // Neighbors always share a corner; they only count if they
+          // fold back over each other.
+          const v1 = edges[i].vector();
+          const v2 = edges[j].vector();
+          const cross = v1.cross(v2)._toBare();
+          const dot = v1.dot(v2)._toBare();
+          const scale = v1.length()._toBare() * v2.length()._toBare();
+          const antiParallel = Math.abs(cross) <= _GEOMETRY_EPSILON * scale &&
+                               dot < 0;
+          if (! antiParallel) {
+            continue;
+          }
+        }
+        result.push({edge1: i, edge2: j, point: hit});
+      }
+    }
+    return result;
+  }
+
+  isSimple() {
+    return this.selfIntersections().length == 0;
+  }
+
+  /*
+    offset() makes a new Polygon whose edges are all "distance" away
+    from this one's:  a positive distance grows the outline (e.g. for
+    bleed or a cutting margin), a negative one shrinks it (e.g. for a
+    window reveal).  outset() and inset() do the same thing but always
+    take a positive distance.
+
+    The distance may be a PRINTED Measurement even though the polygon
+    is WORLD (or vice versa), so that "1 mm" of bleed is 1 mm on paper
+    at any scale.  A string or list is taken to be in the polygon's
+    own frame.  The options are:
+
+      join       - what to do at corners where the new edges pull
+                   apart:  "miter" (the default) extends the edges until
+                   they meet, "bevel" cuts the corner off straight,
+                   and "round" fills it with an arc
+      miterLimit - a miter more than this many times "distance" from
+                   the corner gets beveled instead (default 4), so that
+                   sharp points don't turn into long spikes
+      arcStep    - an Angle, the largest step used to draw round
+                   corners (default 10 degrees)
+      context    - the ScaleContext for converting the distance
+                   (defaults to the active one)
+
+    Where the new edges overlap instead (concave corners when growing,
+    convex ones when shrinking), each corner is cut off where its two
+    edges cross.  That only looks at neighboring edges, so if growing
+    would close up a notch (the far sides of it run into each other),
+    or shrinking would make the outline vanish or turn inside out, we
+    throw an Error rather than return an outline which crosses itself.
+  */
+
+  offset(distance, options) {
+    options = options || {};
+    const frame = this.referenceFrame();
+    if (! (distance instanceof Measurement)) {
+      distance = new Measurement(frame, distance);
+    } else if (distance.referenceFrame() != frame) {
+      distance = (frame == WORLD) ? distance.toWorld(options.context) :
+                                    distance.toPrinted(options.context);
+    }
+    const join = options.join || "miter";
+    if (! ["miter", "bevel", "round"].includes(join)) {
+      throw new Error(`Polygon.offset: invalid join "${join}"`);
+    }
+    const miterLimit = (options.miterLimit === undefined) ? 4 :
+                       options.miterLimit;
+    const arcStep = angle(options.arcStep || "10 deg").radians();
+    if (arcStep <= 0) {
+      throw new Error("Polygon.offset: arcStep must be positive");
+    }
+
+    const orientation = this.isCounterClockwise() ? 1 : -1;
+    if (this.signedArea()._toBare() == 0) {
+      throw new Error("Polygon.offset: polygon has zero area");
+    }
+    const d = distance._toBare();
+    if (d == 0) {
+      return new Polygon(this._points);
+    }
+
+    // Work with a copy that has no repeated points, since those have no
+    // direction to offset along.
+    const pts = this._bare().filter((pt, i, all) => {
+      const next = all[(i + 1) % all.length];
+      return pt[0] != next[0] || pt[1] != next[1];
+    });
+    const n = pts.length;
+    const result = [];
+    for (let i = 0; i < n; i++) {
+      const prev = pts[(i + n - 1) % n];
+      const cur = pts[i];
+      const next = pts[(i + 1) % n];
+      const n1 = Polygon._outwardNormal(prev, cur, orientation);
+      const n2 = Polygon._outwardNormal(cur, next, orientation);
+      const a = [cur[0] + d * n1[0], cur[1] + d * n1[1]];
+      const b = [cur[0] + d * n2[0], cur[1] + d * n2[1]];
+      const turn = (cur[0] - prev[0]) * (next[1] - cur[1]) -
+                   (cur[1] - prev[1]) * (next[0] - cur[0]);
+      const straight = Math.abs(n1[0] - n2[0]) + Math.abs(n1[1] - n2[1]) <
+                       _GEOMETRY_EPSILON;
+      if (straight) {
+        result.push(a);
+        continue;
+      }
+      const miter = Polygon._lineIntersection(
+        a, [a[0] + (cur[0] - prev[0]), a[1] + (cur[1] - prev[1])],
+        b, [b[0] + (next[0] - cur[0]), b[1] + (next[1] - cur[1])]);
+      const pullsApart = (turn * orientation * d) > 0;
+      if (! pullsApart) {
+        result.push(miter);
+      } else if (join == "miter" &&
+                 Math.hypot(miter[0] - cur[0], miter[1] - cur[1]) <=
+                   miterLimit * Math.abs(d)) {
+        result.push(miter);
+      } else if (join == "round") {
+        const start = Math.atan2(a[1] - cur[1], a[0] - cur[0]);
+        let sweep = Math.atan2(b[1] - cur[1], b[0] - cur[0]) - start;
+        while (sweep > Math.PI) {
+          sweep -= 2 * Math.PI;
+        }
+        while (sweep < -Math.PI) {
+          sweep += 2 * Math.PI;
+        }
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / arcStep));
+        for (let k = 0; k <= steps; k++) {
+          const theta = start + sweep * k / steps;
+          result.push([cur[0] + Math.abs(d) * Math.cos(theta),
+                       cur[1] + Math.abs(d) * Math.sin(theta)]);
+        }
+      } else {  // bevel, or a miter that was too long
+        result.push(a, b);
+      }
+    }
+
+    const first = this._points[0];
+    const offset = new Polygon(
+      result.map((pt) => first._pairFromBare(POINT, pt[0], pt[1])));
+    if (d < 0) {
+      // Every corner of a good inset is at least |d| from every edge of
+      // the original, and the inset must not cross itself.
+      const edges = this._bareEdges(pts);
+      const tooClose = result.some((pt) => edges.some(([p1, p2]) =>
+        Polygon._distanceToSegment(pt, p1, p2) < -d * (1 - 1e-6)));
+      const area = offset.signedArea()._toBare() * orientation;
+      if (tooClose || area <= 0 || ! offset.isSimple()) {
+        throw new Error("Polygon.offset: inset of " +
+          `${distance.times(-1).format()} ` +
+          "is too large for this shape");
+      }
+    } else if (! offset.isSimple()) {
+      throw new Error(`Polygon.offset: outset of ${distance.format()} ` +
+        "closes up a notch in this shape");
+    }
+    return offset;
+  }
+
+  outset(distance, options) {
+    return this.offset(this._positive(distance, "outset"), options);
+  }
+
+  inset(distance, options) {
+    return this.offset(this._positive(distance, "inset").times(-1),
+                       options);
+  }
+
+  _positive(distance, opName) {
+    if (! (distance instanceof Measurement)) {
+      distance = new Measurement(this.referenceFrame(), distance);
+    }
+    if (distance._toBare() < 0) {
+      throw new Error(`Polygon.${opName}: distance must not be negative`);
+    }
+    return distance;
+  }
+
+  // The unit normal of edge p1-p2 pointing out of the polygon, which is
+  // to the right when going counterclockwise (orientation = 1).
+  static _outwardNormal(p1, p2, orientation) {
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const len = Math.hypot(dx, dy);
+    return [orientation * dy / len, -orientation * dx / len];
+  }
+
+  static _distanceToSegment(pt, p1, p2) {  // all bare [x, y]
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const lengthSquared = dx * dx + dy * dy;
+    let t = 0;
+    if (lengthSquared > 0) {
+      t = ((pt[0] - p1[0]) * dx + (pt[1] - p1[1]) * dy) / lengthSquared;
+      t = Math.max(0, Math.min(1, t));
+    }
+    return Math.hypot(pt[0] - (p1[0] + t * dx), pt[1] - (p1[1] + t * dy));
+  }
+
+  // Where the (infinite) lines through p1-p2 and p3-p4 cross.
+  static _lineIntersection(p1, p2, p3, p4) {
+    const r = [p2[0] - p1[0], p2[1] - p1[1]];
+    const s = [p4[0] - p3[0], p4[1] - p3[1]];
+    const denom = r[0] * s[1] - r[1] * s[0];
+    if (denom == 0) {
+      return p3;
+    }
+    const t = ((p3[0] - p1[0]) * s[1] - (p3[1] - p1[1]) * s[0]) / denom;
+    return [p1[0] + t * r[0], p1[1] + t * r[1]];
+  }
+}
+
+/*
+    ==== PIECE ====
+
+The Piece class is really just a wrapper around a top-level Component, i.e.
+something which can be shuffled around on a page to use the page more
+efficiently.  We put this functionality in its own class instead of just
+incorporating it into Component for two reasons:
+(1) Conceptual clarity -- Components which are not top-level don't
+need the extra stuff.
+(2) Clean interface -- because Piece interfaces with the external bin-sort
+library, it has to deal with measurements in "bare" Numbers (not Measurements),
+and we don't want to pollute the library API (and the rest of the code)
+with bare Numbers, nor with the details of the bin-pack record formats.
+
+*/
+
+class Piece {
+  constructor(comp) {
+    // These fields are required or produced by the bin-pack code.
+    // We omit leading underscores because the bin-pack lib wants it that way.
+    // Bin-pack also requires bare numbers, not Measurements.
+    // The box includes any glue tabs, which can stick out past (0, 0).
+    const {min, max} = comp.outerBounds();
+    this._offset = min._bare();
+    this.width = max.x()._toBare() - this._offset[0];
+    this.height = max.y()._toBare() - this._offset[1];
+    this.x = null;  // gets filled in by the bin-packer
+    this.y = null;  // gets filled in by the bin-packer
+    this.area = this.width * this.height;
+    this.component = comp;
+  }
+
+  toString() {
+    return `Piece(${this.component})`;
+  }
+}
+
+/*
+    ==== AFFINE_TRANSFORMATION ====
+
+There is a whole set of classes which define the transformations we
+might want to do on our coordinates.  The most obvious is that something
+that (e.g. in N-scale) is 120 inches long in real life should be printed as
+only 1 inch long.
+
+We define subclasses for each of the types of transformations to make
+the code clearer and to simplify the specification of parameters, since
+each type uses a limited subset of all available value combinations.
+
+Any transformation can be undone with inverse(), which is how a position
+on the printed page (e.g. a click in a preview) gets mapped back to the
+coordinates it came from.  decompose() goes the other way and explains a
+matrix as a translation, a rotation, a shear and a resize, which
+compose back into the original in that order:
+
+    const parts = xform.decompose();
+    new Translate(parts.translation.x(), parts.translation.y())
+      .compose(new Rotate(parts.rotation))
+      .compose(new Shear(parts.shear, 0))
+      .compose(new Resize(parts.xFactor, parts.yFactor));
+
+Each transformation also knows which reference frame it expects its
+input in and which frame its output is in.  Almost all of them work
+within one frame (WORLD unless you say otherwise), but the last step on
+the way to the page turns WORLD into PRINTED:
+
+    new Resize(1000 * ratio).withFrames(WORLD, PRINTED)
+
+The frames are checked whenever a transformation is applied or composed,
+so a chain assembled in the wrong order throws instead of quietly
+drawing in the wrong place.  applyToVector() and applyToExtent() are like
+applyToPoint() but ignore the translation part, since a direction or a
+size doesn't depend on where it is; applyToExtent() gives the size of
+the (axis-aligned) box around the transformed rectangle.
+
+*/
+
+class AffineTransformation {
+  constructor(matrix, inputFrame=WORLD, outputFrame=inputFrame) {
+    if (matrix.length != 3 | matrix[0].length != 3 |
+        matrix[1].length != 3 | matrix[2].length != 3) {
+      throw new Error(
+        "AffineTransformation.constructor: invalid matrix shape");
+    }
+    for (const frame of [inputFrame, outputFrame]) {
+      if (frame != WORLD & frame != PRINTED) {
+        throw new Error("AffineTransformation.constructor: " +
+          `invalid referenceFrame "${frame}"`);
+      }
+    }
+    this._matrix = matrix;
+    this._inputFrame = inputFrame;
+    this._outputFrame = outputFrame;
+  }
+
+  toString() {
+    return `AffineTransformation(${this._matrix})`;
+  }
+
+  inputFrame() {
+    return this._inputFrame;
+  }
+
+  outputFrame() {
+    return this._outputFrame;
+  }
+
+  // The same matrix, relabeled to take and give the given frames.
+  withFrames(inputFrame, outputFrame=inputFrame) {
+    return new AffineTransformation(this._matrix, inputFrame, outputFrame);
+  }
+
+  _checkInput(pair, type, opName) {
+    if (! (pair instanceof MeasurementPair) || pair.type() != type) {
+      const article = (type == EXTENT) ? 'an' : 'a';
+      throw new Error(`AffineTransformation.${opName}: ${pair} is not ` +
+        `${article} ${type}`);
+    }
+    if (pair.referenceFrame() != this._inputFrame) {
+      throw new Error(`AffineTransformation.${opName}: ` +
+        `expected a ${this._inputFrame} ${type} but got a ` +
+        `${pair.referenceFrame()} one`);
+    }
+  }
+
+  /*
+    Because we know that all matrixes start with final row [0,0,1] and
+    all points are padded to [x,y,1], we could eliminate about
+    half of all the multiplications in applyToPoint() and compose().
+    That would be a tiny bit faster, but it would make the code much
+    harder to read, understand, and verify, so we don't do that.
+  */
+
+  applyToPoint(pt) {
+    this._checkInput(pt, POINT, "applyToPoint");
+    return this._apply(POINT, pt, 1);
+  }
+
+  applyToVector(v) {
+    this._checkInput(v, VECTOR, "applyToVector");
+    return this._apply(VECTOR, v, 0);
+  }
+
+  applyToExtent(size) {
+    this._checkInput(size, EXTENT, "applyToExtent");
+    const a = this._matrix;
+    const w = size.x()._toBare();
+    const h = size.y()._toBare();
+    return new MeasurementPair(EXTENT,
+      Measurement._fromBare(this._outputFrame,
+                            Math.abs(a[0][0]*w) + Math.abs(a[0][1]*h)),
+      Measurement._fromBare(this._outputFrame,
+                            Math.abs(a[1][0]*w) + Math.abs(a[1][1]*h)));
+  }
+
+  // A point is padded to [x,y,1] and a vector to [x,y,0], which is what
+  // makes the translation column drop out for vectors.
+  _apply(type, pair, pad) {
+    const a = this._matrix;
+    const b = [pair.x()._toBare(), pair.y()._toBare(), pad];
+    const result =
+      [ a[0][0]*b[0] + a[0][1]*b[1] + a[0][2]*b[2],
+        a[1][0]*b[0] + a[1][1]*b[1] + a[1][2]*b[2],
+        a[2][0]*b[0] + a[2][1]*b[1] + a[2][2]*b[2] ];
+    return new MeasurementPair(type,
+      Measurement._fromBare(this._outputFrame, result[0]),
+      Measurement._fromBare(this._outputFrame, result[1]));
+  }
+
+  isIdentity() {
+    const identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    return this._inputFrame == this._outputFrame &&
+      this._matrix.every((row, i) => row.every((value, j) =>
+        Math.abs(value - identity[i][j]) <= _GEOMETRY_EPSILON));
+  }
+
+  _determinant() {
+    const m = this._matrix;
+    return m[0][0] * m[1][1] - m[0][1] * m[1][0];
+  }
+
+  inverse() {
+    const m = this._matrix;
+    const det = this._determinant();
+    if (Math.abs(det) <= _GEOMETRY_EPSILON) {
+      throw new Error("AffineTransformation.inverse: " +
+        "transformation is not invertible");
+    }
+    const a = m[1][1] / det;
+    const b = -m[0][1] / det;
+    const c = -m[1][0] / det;
+    const d = m[0][0] / det;
+    return new AffineTransformation([
+      [a, b, -(a * m[0][2] + b * m[1][2])],
+      [c, d, -(c * m[0][2] + d * m[1][2])],
+      [0, 0, 1]], this._outputFrame, this._inputFrame);
+  }
+
+  decompose() {
+    const m = this._matrix;
+    const xFactor = Math.hypot(m[0][0], m[1][0]);
+    if (Math.abs(this._determinant()) <= _GEOMETRY_EPSILON) {
+      throw new Error("AffineTransformation.decompose: " +
+        "transformation is not invertible");
+    }
+    const theta = Math.atan2(m[1][0], m[0][0]);
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    // undo the rotation on the second column to get shear and y factor
+    const sheared = cos * m[0][1] + sin * m[1][1];
+    const yFactor = cos * m[1][1] - sin * m[0][1];
+    return {
+      translation: vector(
+        Measurement._fromBare(this._outputFrame, m[0][2]),
+        Measurement._fromBare(this._outputFrame, m[1][2])),
+      rotation: Angle._fromRadians(theta),
+      shear: sheared / yFactor,
+      xFactor: xFactor,
+      yFactor: yFactor,
+    };
+  }
+
+  compose(xform2) {
+    if (! (xform2 instanceof AffineTransformation)) {
+      throw new Error('AffineTransformation.compose needs another ' +
+                      'AffineTransformation');
+    }
+    // xform2 is applied first, so its output is our input
+    if (xform2._outputFrame != this._inputFrame) {
+      throw new Error('AffineTransformation.compose: cannot feed ' +
+        `${xform2._outputFrame} output into a transformation expecting ` +
+        `${this._inputFrame} input`);
+    }
+    const a = this._matrix;
+    const b = xform2._matrix;
+    const result =
+      [
+        [ a[0][0]*b[0][0] + a[0][1]*b[1][0] + a[0][2]*b[2][0],
+          a[0][0]*b[0][1] + a[0][1]*b[1][1] + a[0][2]*b[2][1],
+          a[0][0]*b[0][2] + a[0][1]*b[1][2] + a[0][2]*b[2][2],
+        ],
+        [ a[1][0]*b[0][0] + a[1][1]*b[1][0] + a[1][2]*b[2][0],
+          a[1][0]*b[0][1] + a[1][1]*b[1][1] + a[1][2]*b[2][1],
+          a[1][0]*b[0][2] + a[1][1]*b[1][2] + a[1][2]*b[2][2],
+        ],
+        [ a[2][0]*b[0][0] + a[2][1]*b[1][0] + a[2][2]*b[2][0],
+          a[2][0]*b[0][1] + a[2][1]*b[1][1] + a[2][2]*b[2][1],
+          a[2][0]*b[0][2] + a[2][1]*b[1][2] + a[2][2]*b[2][2],
+        ],
+      ];
+    return new AffineTransformation(
+      result, xform2._inputFrame, this._outputFrame);
+  }
+}
+
+// A mathematician would call Resize "Scale", but we already use
+// that term for things like "HO scale".  Calling this class "Resize"
+// still has a clear, accurate meaning but avoids confusion.
+
+class Resize extends AffineTransformation {
+  constructor(factor, yFactor=factor) {
+    super([[factor, 0, 0], [0, yFactor, 0], [0, 0, 1]]);
+  }
+}
+
+class Identity extends AffineTransformation {
+  constructor() {
+    super([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+  }
+}
+
+// Translate works in the frame of its arguments:  WORLD unless they are
+// PRINTED Measurements.
+
+class Translate extends AffineTransformation {
+  constructor(dx, dy) {
+    const frame = (dx instanceof Measurement) ? dx.referenceFrame() : WORLD;
+    dx = new Measurement(frame, dx)._toBare();
+    dy = new Measurement(frame, dy)._toBare();
+    super([[1, 0, dx], [0, 1, dy], [0, 0, 1]], frame);
+  }
+}
+
+const ROT90 = 90;
+const ROT180 = 180;
+const ROT270 = 270;
+
+// Rotate takes ROT90, ROT180 or ROT270, any other number of degrees, or
+// anything angle() accepts, such as "30 deg" or an Angle.  Positive
+// angles turn counterclockwise.
+
+class Rotate extends AffineTransformation {
+  constructor(which) {
+    var m;
+    if (which === ROT90) {
+      m = [[0, -1, 0], [1, 0, 0], [0, 0, 1]];
+    } else if (which === ROT180) {
+      m = [[-1, 0, 0], [0, -1, 0], [0, 0, 1]];
+    } else if (which === ROT270) {
+      m = [[0, 1, 0], [-1, 0, 0], [0, 0, 1]];
+    } else {
+      const radians = Rotate._radians(which);
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      m = [[cos, -sin, 0], [sin, cos, 0], [0, 0, 1]];
+    }
+    super(m);
+  }
+
+  static _radians(which) {
+    if (typeof which == 'number') {
+      if (! isFinite(which)) {
+        throw new Error(`invalid rotation ${which}`);
+      }
+      return which * Math.PI / 180;
+    }
+    return new Angle(which).radians();
+  }
+}
+
+class RotateAbout extends AffineTransformation {
+  constructor(center, which) {
+    const cx = center.x()._toBare();
+    const cy = center.y()._toBare();
+    const m = new AffineTransformation([[1, 0, cx], [0, 1, cy], [0, 0, 1]])
+      .compose(new Rotate(which))
+      .compose(new AffineTransformation(
+        [[1, 0, -cx], [0, 1, -cy], [0, 0, 1]]))._matrix;
+    super(m);
+  }
+}
+
+// Shear(xFactor, yFactor) moves x by xFactor * y and y by yFactor * x.
+
+class Shear extends AffineTransformation {
+  constructor(xFactor, yFactor=0) {
+    super([[1, xFactor, 0], [yFactor, 1, 0], [0, 0, 1]]);
+  }
+}
+
+class ReflectAroundXAxis extends AffineTransformation {
+  constructor() {
+    super([[1, 0, 0], [0, -1, 0], [0, 0, 1]]);
+  }
+}
+
+// ReflectAcross mirrors about the (infinite) line through a Segment.
+
+class ReflectAcross extends AffineTransformation {
+  constructor(line) {
+    if (! (line instanceof Segment)) {
+      throw new Error("ReflectAcross.constructor needs a Segment");
+    }
+    const px = line.start().x()._toBare();
+    const py = line.start().y()._toBare();
+    const dx = line.end().x()._toBare() - px;
+    const dy = line.end().y()._toBare() - py;
+    const length = Math.hypot(dx, dy);
+    if (length == 0) {
+      throw new Error("ReflectAcross.constructor: line has zero length");
+    }
+    const ux = dx / length;
+    const uy = dy / length;
+    const a = 2 * ux * ux - 1;
+    const b = 2 * ux * uy;
+    const d = 2 * uy * uy - 1;
+    super([
+      [a, b, px - (a * px + b * py)],
+      [b, d, py - (b * px + d * py)],
+      [0, 0, 1]]);
+  }
+}
+
+/*
+    ==== COMPONENT ====
+
+The Component class is intended to be used as a parent class.  Each type
+of separate part (or sub-part) of a model should have its own class which
+extends Component.  For example you can have a Wall class used to create
+multiple walls, and a different Roof class to draw a roof.  You will
+need to decide which things are sufficiently similar to be handled by a
+single class and which are sufficiently different to require their own
+class -- that is a design judgement; the library doesn't care.
+
+Note that only the methods listed below (constructor, getExtent, and
+render), and marked "OVERRIDE this" in the code, should be overridden.
+The other Component methods are for internal use only.
+
+-- Constructor --
+
+Each child class needs its own constructor, whose primary jobs are:
+
+(1) Call the parent constructor with super().
+
+(2) Set up the geometry, i.e. use the options as appropriate to figure
+out where the interesting points are.  Stash all the points in
+instance variables of the Component object; by convention we put
+all that stuff in "this._geometry".
+
+(3) Figure out the total extent (i.e. width and height) of the component.
+This is needed later by getExtent(), which in turn are used to figure out
+what page to put each Piece (which is a component) on and where on the
+page it will fit.
+
+(4) Create and position any (optional) sub-components.
+
+In other words, the constructor does pretty much everything
+except for the actual drawing.  (That final step must be deferred
+until the Pieces are all sized and positioned onto pages.)
+Since the logic may be long and complex, it is perfectly reasonable
+to have the constructor call helper methods to do most of the work.
+
+-- getExtent --
+
+The getExtent() method should also be overrideen by each child class.
+This exposes the results of any computation done by the constructor
+to determine the overall sizes of things.
+
+If you don't override it, getExtent() works the size out for itself by
+running render() with a pen that just records where the ink would go
+(see drawnBounds()).  Since the drawing should be nestled against the
+origin, the extent runs from (0, 0) to the top right corner of the
+drawing.  When you do override it, Kit.addPiece() compares your answer
+with what render() actually draws and warns if they disagree.
+
+-- render --
+
+The "render()" method should also be overridden.  This is where
+the code should actually draw lines, paint colors, etc.  This is
+typically relatively straightforward, because all the interesting
+information is already stored in "this._geometry".
+
+A component's render method need only draw the graphic elements at
+that level, i.e. it need NOT draw the children (subComponents).  The
+library will automatically call render() for each subComponent later.
+That means children are drawn "on top of" parents, so for example
+when you draw a wall you don't need to leave "holes" for the 
+subComponent windows to fit into.
+
+Each component must be created and drawn as if it has its own
+coordinate system, with the component representation drawn in the
+first quadrant (positive x and y) and nestled against the origin.
+For example, when you are rendering a window, you put the lower
+left corner of the window at (0, 0) regardless of where the window is
+actually going to end up on the containing wall or on the physical page.
+All that mapping is handled automatically by the library.
+
+-- addSubComponent --
+
+addSubComponent(subComponent, position) puts the origin of the
+subComponent at position in the parent's coordinates.  An optional third
+argument can turn, flip or otherwise transform the subComponent on the
+way in:
+
+    this.addSubComponent(sign, position, {rotation: "30 deg"});
+    this.addSubComponent(window, position, {mirror: true});
+    this.addSubComponent(window, position,
+      {mirror: "vertical", anchor: point(width.dividedBy(2), 0)});
+    this.addSubComponent(brace, position, {transform: new Shear(0.5)});
+
+The transform is applied first, then the mirror ("horizontal", which is
+the same as true, or "vertical"), then the rotation, all around the
+anchor point (given in the subComponent's own coordinates, default
+(0, 0)).  The anchor is what ends up at position.
+
+-- layout helpers --
+
+Rather than working out the spacing of windows along a wall by hand,
+a Component can let layoutRow() and layoutGrid() do the arithmetic and
+call addSubComponent() for it:
+
+    this.layoutRow([window1, door1], {y: [sillHeight, floorHeight]});
+    this.layoutGrid(windows, {columns: 3, y: sillHeight,
+                              rowPitch: storyHeight, margin: "2 ft"});
+
+The children are spread between left and right (default 0 and the
+parent's own width), less "margin" at each end, according to justify:
+
+  "evenly"   -- equal space before, between and after (the default)
+  "between"  -- flush against the margins, equal space in between
+  "start", "center", "end" -- packed together, "gap" apart
+
+For "evenly" and "between", gap is the least space allowed between
+children.  Vertically, align says whether y is where the "bottom" (the
+default), "center" or "top" of each child goes; for layoutRow() y can
+also be a list with one entry per child.  layoutGrid() fills rows of
+"columns" cells from the bottom up, each column as wide as its widest
+child and each row as tall as its tallest, with the bottom row at y and
+the rows either "rowPitch" apart (bottom to bottom) or stacked "rowGap"
+apart; align then places each child within its row.  A row is always
+horizontal, along the parent's x axis; to stack children vertically use
+layoutGrid() with columns: 1.  Both return the list of positions used.
+If the children don't fit, they throw an Error saying how much room was
+needed, rather than quietly overlapping them.
+
+-- facades --
+
+layoutFacade() lays out a wall's openings from a short description,
+with the stories separated by "/" and listed from the bottom up:
+
+    this.layoutFacade("W . D . W / W W W", {
+      W: {make: (overrides) => new Window(options, overrides),
+          sill: windowBaseHeight},
+      D: {make: (overrides) => new Door(options, overrides)},
+    }, {y: firstFloor, storyHeight: storyHeight, blankWidth: windowWidth});
+
+Each letter is an opening, made by the matching make() and placed with
+its bottom "sill" (default 0, or a function of the opening which gives
+it) above the floor of its story; with align "center" or "top" the sill
+is where its center or top goes instead.  "." is an empty slot
+"blankWidth" wide (default 0, i.e. just extra space).  Each story is
+spread out like layoutRow() (the row options apply), with the stories
+storyHeight apart starting at y.  An opening can override the
+options of the Component it makes, e.g. "W[windowWidth=4 ft] D W",
+with several overrides separated by commas.  Only options the parent
+already has can be overridden, so a misspelling is caught.  It returns
+the new subComponents, a list per story.
+
+-- validation --
+
+After build(), Kit.validate() walks every Component tree and returns a
+list of problems, each {kind, path, message}, where kind is one of:
+
+  "extent"   -- getExtent() has a zero or negative width or height
+  "drawing"  -- render() draws outside of getExtent()
+  "outside"  -- a subComponent (as placed) sticks out of its parent
+  "overlap"  -- two subComponents of the same parent overlap
+  "join"     -- two edges joined by Kit.join() (see "edge labels"
+                below) have different lengths, allowing for the
+                overhang
+
+and path says which Component, e.g. "PeakedWall() #1 > Window() #2" for
+the second subComponent of the first piece.  Kit.generate() refuses
+to go on to pack() and render() if there are any problems.
+
+Joined edges only have to match to within getJoinTolerance(), a
+PRINTED length (default "0.25 mm"), since nobody can cut paper more
+accurately than that anyway.
+
+-- glue tabs --
+
+Instead of drawing glue tabs by hand, a Component can give the library
+its outline and say what happens along each edge:
+
+    this.setOutline(g.wallOutline, ["tab", "free", "receives tab", "free"]);
+
+Edge i runs from point i to point i + 1 (the last edge closes the
+outline).  Each edge is one of
+
+  "tab"           -- gets a glue tab, folded back along the edge
+  "receives tab"  -- another piece's tab gets glued behind this edge
+  "free"          -- nothing is glued here (the default)
+
+After render() and the subComponents, the library draws the outline
+itself:  cut lines, with a mountain fold where each tab joins (see
+"line types" under DRAWING PEN), and the tabs.  So render() should
+fill the outline, not stroke it.  A tab is a trapezoid whose sides
+slant in at the taper angle, and which stops short of the ends of its
+edge by the corner relief so tabs on neighboring edges don't collide;
+on an edge too short for the full width it becomes a triangle.  The
+sizes are PRINTED, so tabs are just as easy to glue at Z scale as at G
+scale:
+
+    this.setOutline(outline, kinds, {width: "8 mm", taper: "60 deg"});
+
+Anything not given comes from TAB_STYLE.  Tabs stick out beyond the
+extent, so outerBounds() gives the box around the Component with its
+tabs (and those of its subComponents), and that is what Kit.pack()
+makes room for.
+
+-- edge labels --
+
+So the builder can tell which edge gets glued to which, the library
+prints a small label just inside each edge that has one, turned to
+run along the edge.  A Component can label its own edges with
+setEdgeLabel(edge, label), but usually the Kit does it in build(),
+when it says which pieces go together:
+
+    this.join(southWall, 3, eastWall, 0);          // labelled "A"
+    this.join(eastRoof, 1, westRoof, 1, "ridge");
+
+join() puts the same label on both edges:  the one given, or else the
+next of "A", "B", ..., "Z", "AA", "AB", ... not yet used.  Only edges
+named in a join() (or setEdgeLabel()) get labels; the library doesn't
+look for pieces which happen to share an edge, so a Kit has to join
+every pair it wants labelled (and length-checked).  The labels
+are labelSize tall and labelInset inside the edge (both PRINTED, and
+both setOutline() options like the tab sizes).  Kit.validate() also
+checks that joined edges are the same length (see "validation" above).
+
+Edges can be given by index, or by name after setEdgeNames(), which
+makes the Kit easier to read and the problem reports easier to follow:
+
+    this.setEdgeNames(["left", "top", "right", "bottom"]);
+    ...
+    this.join(southWall, "right", eastWall, "left");
+
+Instead of a label, join() can take {label, overhang} for an edge which
+lines up with another one but reaches past both of its ends, like the
+eaves of a roof over the top of a wall:
+
+    this.join(roof, "right eaves", eastWall, "top", {overhang: "1 ft"});
+
+The first edge is then expected to be longer by twice the overhang.
+
+*/
+
+const TAB_STYLE = {width: "5 mm", taper: "45 deg", relief: "1 mm",
+                   labelSize: "2.5 mm", labelInset: "1 mm"};
+
+const _EDGE_KINDS = ["tab", "receives tab", "free"];
+
+// The glue tab on the (bare) edge from p to q, as a list of bare points
+// from the start of its base around to the end of its base, sticking
+// out on the side given by the unit normal n.  Returns null if the edge
+// is too short for even a triangle.
+function _tabPoints(p, q, n, width, taper, relief) {
+  const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+  const u = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+  const base = length - 2 * relief;
+  if (base <= 0) {
+    return null;
+  }
+  let height = width;
+  let inset = height / Math.tan(taper);
+  if (2 * inset >= base) {  // not enough room:  make a triangle
+    inset = base / 2;
+    height = inset * Math.tan(taper);
+  }
+  const at = (along, out) => [p[0] + along * u[0] + out * n[0],
+                              p[1] + along * u[1] + out * n[1]];
+  const result = [at(relief, 0), at(relief + inset, height)];
+  if (2 * inset < base) {
+    result.push(at(length - relief - inset, height));
+  }
+  result.push(at(length - relief, 0));
+  return result;
+}
+
+function mergeDicts(baseDict, newEntries) {
+  for (const key in newEntries) {
+    if (newEntries.hasOwnProperty(key)) {
+      baseDict[key] = newEntries[key];
+    }
+  }
+}
+
+function _formatXY(pair) {
+  return `(${pair.x().format()}, ${pair.y().format()})`;
+}
+
+// Whether the box from min to max fits in the box from (0, 0) to size,
+// allowing for round-off.
+function _fitsInside(min, max, size) {
+  const [x0, y0] = min._bare();
+  const [x1, y1] = max._bare();
+  const [w, h] = size._bare();
+  const tolerance = _GEOMETRY_EPSILON *
+    Math.max(1, Math.abs(x0), Math.abs(y0), Math.abs(x1), Math.abs(y1), w, h);
+  return x0 >= -tolerance && y0 >= -tolerance &&
+         x1 <= w + tolerance && y1 <= h + tolerance;
+}
+
+// Offsets (bare, from the start) for items of the given widths, spread
+// over length as layoutRow() describes; or a message if they don't fit.
+function _spread(widths, length, justify, margin, gap) {
+  const n = widths.length;
+  const total = widths.reduce((sum, w) => sum + w, 0);
+  const room = length - 2 * margin;
+  const tolerance = _GEOMETRY_EPSILON * Math.max(1, length, total);
+  const packed = ['start', 'center', 'end'].includes(justify);
+  const needed = total + gap * (n - 1);
+  if (needed > room + tolerance) {
+    return {needed: needed, room: room};
+  }
+  let first;
+  let space;
+  if (packed) {
+    space = gap;
+    first = {start: 0, center: (room - needed) / 2,
+             end: room - needed}[justify];
+  } else if (justify == 'evenly' || n == 1) {
+    space = (room - total) / (n + 1);
+    first = space;
+    if (space < gap - tolerance) {
+      return {needed: total + gap * (n + 1), room: room};
+    }
+  } else {
+    space = (room - total) / (n - 1);
+    first = 0;
+  }
+  const offsets = [];
+  let x = margin + first;
+  for (const w of widths) {
+    offsets.push(x);
+    x += w + space;
+  }
+  return {offsets: offsets};
+}
+
+// Split a facade description (see "facades" above) into a list of
+// stories, each a list of {kind, overrides}, with kind "." for a blank.
+function parseFacade(spec) {
+  if (typeof spec != 'string') {
+    throw new Error(`parseFacade: ${JSON.stringify(spec)} is not a string`);
+  }
+  const stories = [[]];
+  let index = 0;
+  while (index < spec.length) {
+    const rest = spec.substring(index);
+    const match = rest.match(/^\s+/) || rest.match(/^[\/.]/) ||
+                  rest.match(/^([A-Za-z])(\[([^\]]*)\])?/);
+    if (! match) {
+      throw new Error(`parseFacade: unexpected "${rest[0]}" at index ` +
+        `${index} of "${spec}"`);
+    }
+    if (match[0] == '/') {
+      stories.push([]);
+    } else if (match[0] == '.') {
+      stories[stories.length - 1].push({kind: '.', overrides: {}});
+    } else if (match[1] !== undefined) {
+      const overrides = {};
+      if (match[3] !== undefined) {
+        for (const pair of match[3].split(',')) {
+          const parts = pair.split('=');
+          if (parts.length != 2 || parts[0].trim() == '' ||
+              parts[1].trim() == '') {
+            throw new Error(`parseFacade: invalid override "${pair.trim()}" ` +
+              `in "${spec}"`);
+          }
+          overrides[parts[0].trim()] = parts[1].trim();
+        }
+      }
+      stories[stories.length - 1].push({kind: match[1], overrides: overrides});
+    }
+    index += match[0].length;
+  }
+  stories.forEach((story, i) => {
+    if (story.length == 0) {
+      throw new Error(`parseFacade: story ${i + 1} of "${spec}" is empty`);
+    }
+  });
+  return stories;
+}
+
+// Whether two boxes share more than an edge or a corner.
+function _boxesOverlap(a, b) {
+  const [ax0, ay0] = a.min._bare();
+  const [ax1, ay1] = a.max._bare();
+  const [bx0, by0] = b.min._bare();
+  const [bx1, by1] = b.max._bare();
+  const tolerance = _GEOMETRY_EPSILON * Math.max(1,
+    ...[ax0, ay0, ax1, ay1, bx0, by0, bx1, by1].map(Math.abs));
+  return Math.min(ax1, bx1) - Math.max(ax0, bx0) > tolerance &&
+         Math.min(ay1, by1) - Math.max(ay0, by0) > tolerance;
+}
+
+// Whether two polygons (lists of bare points) share more than edges or
+// corners:  either their edges cross, or the middle (the average of the
+// corners) of one is inside the other, which is only exact for convex
+// polygons.
+function _polygonsOverlap(a, b) {
+  const all = a.concat(b);
+  const tolerance = _GEOMETRY_EPSILON * Math.max(1,
+    ...all.map(([x, y]) => Math.max(Math.abs(x), Math.abs(y))));
+  const side = (p, q, r) => {
+    const cross = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+    const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    return (Math.abs(cross) <= tolerance * length) ? 0 : Math.sign(cross);
+  };
+  const edges = (pts) => pts.map((p, i) => [p, pts[(i + 1) % pts.length]]);
+  for (const [p, q] of edges(a)) {
+    for (const [r, t] of edges(b)) {
+      if (side(p, q, r) * side(p, q, t) < 0 &&
+          side(r, t, p) * side(r, t, q) < 0) {
+        return true;
+      }
+    }
+  }
+  const strictlyInside = (pt, pts) => {
+    let inside = false;
+    for (const [p, q] of edges(pts)) {
+      if (side(p, q, pt) == 0 &&
+          Math.min(p[0], q[0]) - tolerance <= pt[0] &&
+          pt[0] <= Math.max(p[0], q[0]) + tolerance &&
+          Math.min(p[1], q[1]) - tolerance <= pt[1] &&
+          pt[1] <= Math.max(p[1], q[1]) + tolerance) {
+        return false;  // on the boundary
+      }
+      if ((p[1] > pt[1]) != (q[1] > pt[1]) &&
+          pt[0] < p[0] + (pt[1] - p[1]) * (q[0] - p[0]) / (q[1] - p[1])) {
+        inside = ! inside;
+      }
+    }
+    return inside;
+  };
+  const middle = (pts) => [
+    pts.reduce((sum, p) => sum + p[0], 0) / pts.length,
+    pts.reduce((sum, p) => sum + p[1], 0) / pts.length];
+  return strictlyInside(middle(a), b) || strictlyInside(middle(b), a);
+}
+
+class Component {
+  constructor(oldOptions, newOptions) {  // OVERRIDE this, but call super().
+    this._options = {};
+    mergeDicts(this._options, oldOptions);
+    mergeDicts(this._options, newOptions);
+    this._width = null;
+    this._height = null;
+    this._positionXform = null;
+    this._subComponents = [];
+    this._geometry = {};
+    this._scaleContext = ScaleContext.current();  // may be null outside Kit
+
+    // When overriding:
+    // Do all computations, set up the geometry, compute size of component,
+    // create any subComponents and position them in the parent.
+    // Do NOT render anything yet.
+  }
+
+  toString() {
+    return `${this.constructor.name}()`;
+  }
+
+  getExtent() {  // OVERRIDE this, or let it be measured from render().
+    const bounds = this.drawnBounds();
+    if (bounds === null) {
+      throw new Error('"Component.getExtent()" must be overridden, ' +
+        'or render() must draw something.');
+    }
+    return extent(bounds.max.x(), bounds.max.y());
+  }
+
+  // The tight bounding box, {min, max, extent} in this Component's own
+  // coordinates, of what render() draws (not counting subComponents),
+  // or null if it draws nothing.
+  drawnBounds() {
+    const recorder = new _BoundsRecorder();
+    this.render(new DrawingPen(recorder, new Identity(), this._scaleContext));
+    return recorder.bounds(WORLD);
+  }
+
+  // A description of how getExtent() disagrees with drawnBounds(), or
+  // null if it doesn't (or if getExtent() is the measured one anyway).
+  _extentMismatch() {
+    if (this.getExtent === Component.prototype.getExtent) {
+      return null;
+    }
+    const bounds = this.drawnBounds();
+    if (bounds === null) {
+      return null;
+    }
+    const declared = this.getExtent()._bare();
+    const [x0, y0] = bounds.min._bare();
+    const [x1, y1] = bounds.max._bare();
+    const tolerance = _GEOMETRY_EPSILON * Math.max(1, ...declared, x1, y1);
+    if (x0 >= -tolerance && y0 >= -tolerance &&
+        Math.abs(x1 - declared[0]) <= tolerance &&
+        Math.abs(y1 - declared[1]) <= tolerance) {
+      return null;
+    }
+    const size = this.getExtent();
+    return `${this}.getExtent() is ${size.x().format()} by ` +
+      `${size.y().format()}, but render() draws from ` +
+      `${_formatXY(bounds.min)} to ${_formatXY(bounds.max)}`;
+  }
+
+  // Add {kind, path, message} for everything wrong with this Component
+  // and its subComponents to problems.  See "validation" above.
+  _validate(path, problems) {
+    const problem = (kind, message) =>
+      problems.push({kind: kind, path: path, message: `${path}: ${message}`});
+    const size = this.getExtent();
+    const [w, h] = size._bare();
+    if (w <= 0 || h <= 0) {
+      problem("extent", `extent is ${size.x().format()} by ` +
+        `${size.y().format()}, but both must be positive`);
+      return;  // nothing else can be checked against a bad extent
+    }
+    const drawn = this.drawnBounds();
+    if (drawn !== null && ! _fitsInside(drawn.min, drawn.max, size)) {
+      problem("drawing", `render() draws from ${_formatXY(drawn.min)} to ` +
+        `${_formatXY(drawn.max)}, outside its extent of ` +
+        `${size.x().format()} by ${size.y().format()}`);
+    }
+    const subPath = (i) =>
+      `${path} > ${this._subComponents[i]} #${i + 1}`;
+    const placed = [];
+    const outlines = [];  // as placed, when there is one
+    this._subComponents.forEach((sub, i) => {
+      const [subW, subH] = sub.getExtent()._bare();
+      if (subW <= 0 || subH <= 0) {
+        placed.push(null);  // reported when we get to it
+        return;
+      }
+      const outline = sub.outline();
+      outlines[i] = (outline === null) ? null : outline.points().map((pt) =>
+        sub._positionXform.applyToPoint(pt));
+      const bounds = (outline === null) ? sub._boundsInParent() :
+        new Polygon(outlines[i]).boundingBox();
+      outlines[i] = outlines[i] && outlines[i].map((pt) => pt._bare());
+      placed.push(bounds);
+      if (! _fitsInside(bounds.min, bounds.max, size)) {
+        problems.push({kind: "outside", path: subPath(i),
+          message: `${subPath(i)}: placed from ${_formatXY(bounds.min)} ` +
+            `to ${_formatXY(bounds.max)}, outside its parent's extent of ` +
+            `${size.x().format()} by ${size.y().format()}`});
+      }
+    });
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length; j++) {
+        if (! placed[i] || ! placed[j]) {
+          continue;
+        }
+        // outlines (such as the faces of a Net) are more exact than boxes
+        const overlap = (outlines[i] && outlines[j]) ?
+          _polygonsOverlap(outlines[i], outlines[j]) :
+          _boxesOverlap(placed[i], placed[j]);
+        if (overlap) {
+          problems.push({kind: "overlap", path: subPath(i),
+            message: `${subPath(i)}: overlaps ${this._subComponents[j]} ` +
+              `#${j + 1}`});
+        }
+      }
+    }
+    this._subComponents.forEach((sub, i) => sub._validate(subPath(i), problems));
+  }
+
+  set(optionName, optionValue) {
+    this._options[optionName] = optionValue;
+  }
+
+  get(optionName) {
+    if (! this._options.hasOwnProperty(optionName)) {
+      throw new Error(`${this}.get: ` + _unknownName("option", optionName,
+        Object.keys(this._options)));
+    }
+    return this._options[optionName];
+  }
+
+  // The ScaleContext of the Kit that was building when this Component
+  // was constructed, or null if it was constructed outside of any Kit.
+  scaleContext() {
+    return this._scaleContext;
+  }
+
+  _setPositionXform(position, placement={}) {
+    let xform = new Translate(position.x(), position.y());
+    for (const key of Object.keys(placement)) {
+      if (! ['rotation', 'mirror', 'transform', 'anchor'].includes(key)) {
+        throw new Error(
+          `Component.addSubComponent: unknown placement option ${key}`);
+      }
+    }
+    const {rotation, mirror, transform, anchor} = placement;
+    if (rotation !== undefined) {
+      xform = xform.compose(new Rotate(rotation));
+    }
+    if (mirror === true | mirror == "horizontal") {
+      xform = xform.compose(new Resize(-1, 1));
+    } else if (mirror == "vertical") {
+      xform = xform.compose(new Resize(1, -1));
+    } else if (mirror !== undefined && mirror !== false) {
+      throw new Error(
+        `Component.addSubComponent: invalid mirror ${mirror}`);
+    }
+    if (transform !== undefined) {
+      if (! (transform instanceof AffineTransformation)) {
+        throw new Error("Component.addSubComponent: " +
+          "transform must be an AffineTransformation");
+      }
+      xform = xform.compose(transform);
+    }
+    if (anchor !== undefined) {
+      _checkPoint(anchor, undefined, "Component.addSubComponent");
+      xform = xform.compose(new Translate(
+        anchor.x().times(-1), anchor.y().times(-1)));
+    }
+    this._positionXform = xform;
+  }
+
+  addSubComponent(subComponent, position, placement) {
+    subComponent._setPositionXform(position, placement);
+    this._subComponents.push(subComponent);
+    // Whether it fits inside this Component is checked by Kit.validate()
+    // once the whole tree has been built.
+  }
+
+  _layoutOptions(opName, options, extraKeys) {
+    const keys = ['left', 'right', 'y', 'margin', 'gap', 'justify', 'align']
+      .concat(extraKeys);
+    for (const key of Object.keys(options)) {
+      if (! keys.includes(key)) {
+        throw new Error(`${this}.${opName}: ` +
+          _unknownName("option", key, keys));
+      }
+    }
+    const justify = (options.justify === undefined) ?
+      'evenly' : options.justify;
+    if (! ['evenly', 'between', 'start', 'center', 'end']
+          .includes(justify)) {
+      throw new Error(`${this}.${opName}: invalid justify "${justify}"`);
+    }
+    const align = (options.align === undefined) ? 'bottom' : options.align;
+    if (! ['bottom', 'center', 'top'].includes(align)) {
+      throw new Error(`${this}.${opName}: invalid align "${align}"`);
+    }
+    const bare = (value, fallback) =>
+      worldM((value === undefined) ? fallback : value)._toBare();
+    const left = bare(options.left, 0);
+    const right = (options.right === undefined) ?
+      this.getExtent().x()._toBare() : bare(options.right);
+    return {
+      left: left,
+      length: right - left,
+      margin: bare(options.margin, 0),
+      gap: bare(options.gap, 0),
+      justify: justify,
+      align: align,
+    };
+  }
+
+  // Bare x offsets for items of the given widths, or a layout error.
+  _layoutX(opName, widths, settings, what) {
+    const outcome = _spread(widths, settings.length, settings.justify,
+                            settings.margin, settings.gap);
+    if (outcome.offsets === undefined) {
+      const m = (value) => Measurement._fromBare(WORLD, value).format();
+      throw new Error(`${this}.${opName}: the ${what} need ` +
+        `${m(outcome.needed)} but only ${m(outcome.room)} is available`);
+    }
+    return outcome.offsets.map((x) => settings.left + x);
+  }
+
+  // Where the bottom of a child of the given height goes, given the y
+  // that align refers to.
+  static _alignedBottom(y, height, align) {
+    return {bottom: y, center: y - height / 2, top: y - height}[align];
+  }
+
+  layoutRow(children, options={}) {
+    const settings = this._layoutOptions("layoutRow", options, []);
+    let ys = (options.y === undefined) ? 0 : options.y;
+    ys = Array.isArray(ys) ? ys : children.map(() => ys);
+    if (ys.length != children.length) {
+      throw new Error(`${this}.layoutRow: ${children.length} children ` +
+        `but ${ys.length} y values`);
+    }
+    const sizes = children.map((child) => child.getExtent()._bare());
+    const xs = this._layoutX("layoutRow", sizes.map((size) => size[0]),
+                             settings, "children");
+    return children.map((child, i) => {
+      const y = Component._alignedBottom(worldM(ys[i])._toBare(),
+                                         sizes[i][1], settings.align);
+      const position = point(Measurement._fromBare(WORLD, xs[i]),
+                             Measurement._fromBare(WORLD, y));
+      this.addSubComponent(child, position);
+      return position;
+    });
+  }
+
+  layoutGrid(children, options={}) {
+    const settings = this._layoutOptions("layoutGrid", options,
+                                         ['columns', 'rowGap', 'rowPitch']);
+    const columns = options.columns;
+    if (! Number.isInteger(columns) || columns < 1) {
+      throw new Error(`${this}.layoutGrid: columns must be a positive ` +
+        "integer");
+    }
+    if (options.rowGap !== undefined && options.rowPitch !== undefined) {
+      throw new Error(`${this}.layoutGrid: give rowGap or rowPitch, ` +
+        "not both");
+    }
+    const sizes = children.map((child) => child.getExtent()._bare());
+    const rows = Math.ceil(children.length / columns);
+    const colWidths = [];
+    const rowHeights = [];
+    sizes.forEach(([w, h], i) => {
+      const col = i % columns;
+      const row = Math.floor(i / columns);
+      colWidths[col] = Math.max(colWidths[col] || 0, w);
+      rowHeights[row] = Math.max(rowHeights[row] || 0, h);
+    });
+    const xs = this._layoutX("layoutGrid", colWidths, settings, "columns");
+    const rowGap = worldM((options.rowGap === undefined) ?
+      0 : options.rowGap)._toBare();
+    const bottoms = [worldM((options.y === undefined) ?
+      0 : options.y)._toBare()];
+    for (let row = 1; row < rows; row++) {
+      bottoms.push(bottoms[row - 1] + ((options.rowPitch === undefined) ?
+        rowHeights[row - 1] + rowGap : worldM(options.rowPitch)._toBare()));
+    }
+    return children.map((child, i) => {
+      const row = Math.floor(i / columns);
+      const spare = rowHeights[row] - sizes[i][1];
+      const y = bottoms[row] +
+        {bottom: 0, center: spare / 2, top: spare}[settings.align];
+      const position = point(Measurement._fromBare(WORLD, xs[i % columns]),
+                             Measurement._fromBare(WORLD, y));
+      this.addSubComponent(child, position);
+      return position;
+    });
+  }
+
+  layoutFacade(spec, openings, options={}) {
+    const settings = this._layoutOptions("layoutFacade", options,
+                                         ['storyHeight', 'blankWidth']);
+    const stories = parseFacade(spec);
+    if (stories.length > 1 && options.storyHeight === undefined) {
+      throw new Error(`${this}.layoutFacade: "${spec}" has ` +
+        `${stories.length} stories but no storyHeight`);
+    }
+    const y0 = worldM((options.y === undefined) ? 0 : options.y)._toBare();
+    const storyHeight = (options.storyHeight === undefined) ?
+      0 : worldM(options.storyHeight)._toBare();
+    const blankWidth = (options.blankWidth === undefined) ?
+      0 : worldM(options.blankWidth)._toBare();
+    return stories.map((story, level) => {
+      const made = story.map(({kind, overrides}) => {
+        if (kind == '.') {
+          return null;
+        }
+        if (! openings.hasOwnProperty(kind)) {
+          throw new Error(`${this}.layoutFacade: unknown opening "${kind}" ` +
+            `in "${spec}" (expected one of ` +
+            Object.keys(openings).concat(['.']).join(', ') + ')');
+        }
+        for (const name of Object.keys(overrides)) {
+          if (! this._options.hasOwnProperty(name)) {
+            throw new Error(`${this}.layoutFacade: ` +
+              _unknownName("option", name, Object.keys(this._options)));
+          }
+        }
+        return openings[kind].make(overrides);
+      });
+      const widths = made.map((child) => (child === null) ?
+        blankWidth : child.getExtent().x()._toBare());
+      const xs = this._layoutX("layoutFacade", widths, settings,
+                               `openings on story ${level + 1}`);
+      const floor = y0 + level * storyHeight;
+      made.forEach((child, i) => {
+        if (child !== null) {
+          let sill = openings[story[i].kind].sill;
+          sill = (typeof sill == 'function') ? sill(child) : sill;
+          const y = Component._alignedBottom(floor + ((sill === undefined) ?
+            0 : worldM(sill)._toBare()), child.getExtent().y()._toBare(),
+            settings.align);
+          this.addSubComponent(child, point(
+            Measurement._fromBare(WORLD, xs[i]),
+            Measurement._fromBare(WORLD, y)));
+        }
+      });
+      return made.filter((child) => child !== null);
+    });
+  }
+
+  // The bounding box, in the parent's coordinates, of this Component
+  // once it has been placed (transformed) by addSubComponent().
+  _boundsInParent() {
+    const size = this.getExtent();
+    const w = size.x()._toBare();
+    const h = size.y()._toBare();
+    const corners = [[0, 0], [w, 0], [w, h], [0, h]].map(([x, y]) =>
+      this._positionXform.applyToPoint(point(
+        Measurement._fromBare(WORLD, x), Measurement._fromBare(WORLD, y))));
+    const xs = corners.map((pt) => pt.x()._toBare());
+    const ys = corners.map((pt) => pt.y()._toBare());
+    return {
+      min: point(Measurement._fromBare(WORLD, Math.min(...xs)),
+                 Measurement._fromBare(WORLD, Math.min(...ys))),
+      max: point(Measurement._fromBare(WORLD, Math.max(...xs)),
+                 Measurement._fromBare(WORLD, Math.max(...ys))),
+    };
+  }
+
+  // Say what happens along each edge of this Component's outline.  See
+  // "glue tabs" above.
+  setOutline(outline, edgeKinds, tabOptions={}) {
+    const opName = `${this}.setOutline`;
+    if (! (outline instanceof Polygon)) {
+      outline = new Polygon(outline);
+    }
+    if (outline.referenceFrame() != WORLD) {
+      throw new Error(`${opName}: the outline must be in WORLD coordinates`);
+    }
+    const n = outline.points().length;
+    edgeKinds = (edgeKinds === undefined) ?
+      outline.points().map(() => "free") : edgeKinds;
+    if (! Array.isArray(edgeKinds) || edgeKinds.length != n) {
+      throw new Error(`${opName}: the outline has ${n} edges, so it needs ` +
+        `${n} edge kinds`);
+    }
+    for (const kind of edgeKinds) {
+      if (! _EDGE_KINDS.includes(kind)) {
+        throw new Error(`${opName}: ` +
+          _unknownName("edge kind", String(kind), _EDGE_KINDS));
+      }
+    }
+    for (const key of Object.keys(tabOptions)) {
+      if (! TAB_STYLE.hasOwnProperty(key)) {
+        throw new Error(`${opName}: ` +
+          _unknownName("tab option", key, Object.keys(TAB_STYLE)));
+      }
+    }
+    const style = Object.assign({}, TAB_STYLE, tabOptions);
+    const taper = angle(style.taper);
+    if (taper.degrees() <= 0 || taper.degrees() > 90) {
+      throw new Error(`${opName}: the taper must be more than 0 and at ` +
+        "most 90 degrees");
+    }
+    this._outline = outline;
+    this._edgeKinds = edgeKinds.slice();
+    this._tabStyle = {
+      width: printedM(style.width),
+      taper: taper,
+      relief: printedM(style.relief),
+      labelSize: printedM(style.labelSize),
+      labelInset: printedM(style.labelInset),
+    };
+    this._edgeLabels = {};
+  }
+
+  // Name the edges of the outline, one name per edge, in order.
+  setEdgeNames(names) {
+    if (this._outline === undefined) {
+      throw new Error(`${this}.setEdgeNames: call setOutline() first`);
+    }
+    const n = this._edgeKinds.length;
+    if (! Array.isArray(names) || names.length != n) {
+      throw new Error(`${this}.setEdgeNames: the outline has ${n} edges, ` +
+        `so it needs ${n} names`);
+    }
+    const seen = new Set();
+    for (const name of names) {
+      if (typeof name != 'string' || name == '' || seen.has(name)) {
+        throw new Error(`${this}.setEdgeNames: the names must be ` +
+          "different non-empty strings");
+      }
+      seen.add(name);
+    }
+    this._edgeNames = names.slice();
+  }
+
+  // The index of an edge given by index or by name.
+  _edgeIndex(edge, opName) {
+    if (this._outline === undefined) {
+      throw new Error(`${this}.${opName}: call setOutline() first`);
+    }
+    const n = this._edgeKinds.length;
+    if (typeof edge == 'string') {
+      const names = this._edgeNames || [];
+      if (! names.includes(edge)) {
+        throw new Error(`${this}.${opName}: ` +
+          _unknownName("edge", edge, names));
+      }
+      return names.indexOf(edge);
+    }
+    if (! Number.isInteger(edge) || edge < 0 || edge >= n) {
+      throw new Error(`${this}.${opName}: edge ${edge} is not one of ` +
+        `0 to ${n - 1}`);
+    }
+    return edge;
+  }
+
+  // How problem reports refer to an edge:  its name if it has one.
+  edgeName(edge) {
+    const index = this._edgeIndex(edge, "edgeName");
+    return (this._edgeNames === undefined) ?
+      `edge ${index}` : `edge "${this._edgeNames[index]}"`;
+  }
+
+  edgeLength(edge) {
+    return this._outline.edges()[this._edgeIndex(edge, "edgeLength")]
+      .length();
+  }
+
+  setEdgeLabel(edge, label) {
+    edge = this._edgeIndex(edge, "setEdgeLabel");
+    if (typeof label != 'string' || label == '') {
+      throw new Error(`${this}.setEdgeLabel: the label must be a ` +
+        "non-empty string");
+    }
+    this._edgeLabels[edge] = label;
+  }
+
+  // A dict from edge index to label, for the edges which have one.
+  edgeLabels() {
+    return Object.assign({}, this._edgeLabels);
+  }
+
+  // The Polygon given to setOutline(), or null if there wasn't one.
+  outline() {
+    return (this._outline === undefined) ? null : this._outline;
+  }
+
+  edgeKinds() {
+    return (this._outline === undefined) ? [] : this._edgeKinds.slice();
+  }
+
+  // The glue tabs, each {edge, points} where edge is the index of the
+  // edge it is on, and points is a list of POINTs from one end of the
+  // tab's base around to the other.
+  tabs() {
+    if (this._outline === undefined || ! this._edgeKinds.includes("tab")) {
+      return [];
+    }
+    const toWorld = (m) => m.toWorld(this._scaleContext)._toBare();
+    const width = toWorld(this._tabStyle.width);
+    const relief = toWorld(this._tabStyle.relief);
+    const pts = this._outline._bare();
+    // outward is to the right going counterclockwise, else to the left
+    const side = this._outline.isCounterClockwise() ? 1 : -1;
+    const result = [];
+    this._edgeKinds.forEach((kind, i) => {
+      if (kind != "tab") {
+        return;
+      }
+      const p = pts[i];
+      const q = pts[(i + 1) % pts.length];
+      const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+      const normal = [side * (q[1] - p[1]) / length,
+                      side * (p[0] - q[0]) / length];
+      const tab = _tabPoints(p, q, normal, width,
+                             this._tabStyle.taper.radians(), relief);
+      if (tab === null) {
+        throw new Error(`${this}: edge ${i} is too short for a tab ` +
+          `with ${this._tabStyle.relief.format("mm")} of corner relief`);
+      }
+      result.push({edge: i, points: tab.map(([x, y]) => point(
+        Measurement._fromBare(WORLD, x), Measurement._fromBare(WORLD, y)))});
+    });
+    return result;
+  }
+
+  // Draw the outline given to setOutline(), and its tabs; the library
+  // calls this after render() and the subComponents.
+  _renderOutline(pen) {
+    if (this._outline === undefined) {
+      return;
+    }
+    const tabs = {};
+    for (const tab of this.tabs()) {
+      tabs[tab.edge] = tab.points;
+    }
+    const pts = this._outline.points();
+    pts.forEach((p, i) => {
+      const q = pts[(i + 1) % pts.length];
+      const tab = tabs[i];
+      if (tab === undefined) {
+        pen.line("cut", [p, q]);
+      } else {
+        const first = tab[0];
+        const last = tab[tab.length - 1];
+        pen.line("cut", [p, first]);
+        pen.line("mountain", [first, last]);
+        pen.line("cut", [last, q]);
+        pen.line("cut", tab);
+      }
+    });
+    if (Object.keys(this._edgeLabels).length == 0) {
+      return;
+    }
+    const toWorld = (m) => m.toWorld(this._scaleContext)._toBare();
+    const size = this._tabStyle.labelSize;
+    // from the edge in to the middle of the label
+    const inset = toWorld(this._tabStyle.labelInset) + 0.35 * toWorld(size);
+    const bare = this._outline._bare();
+    const side = this._outline.isCounterClockwise() ? 1 : -1;
+    const at = (v) => Measurement._fromBare(WORLD, v);
+    for (const edge of Object.keys(this._edgeLabels)) {
+      const p = bare[edge];
+      const q = bare[(Number(edge) + 1) % bare.length];
+      const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+      // going counterclockwise, the inside is on the left
+      const u = [side * (q[0] - p[0]) / length, side * (q[1] - p[1]) / length];
+      pen.text(this._edgeLabels[edge],
+        point(at((p[0] + q[0]) / 2 - inset * u[1]),
+              at((p[1] + q[1]) / 2 + inset * u[0])),
+        {size: size, direction: vector(at(u[0]), at(u[1])), align: 'center'});
+    }
+  }
+
+  // The bounding box {min, max}, in this Component's own coordinates, of
+  // its extent together with all the tabs on it and its subComponents.
+  outerBounds() {
+    const size = this.getExtent()._bare();
+    const xs = [0, size[0]];
+    const ys = [0, size[1]];
+    for (const tab of this.tabs()) {
+      for (const pt of tab.points) {
+        xs.push(pt.x()._toBare());
+        ys.push(pt.y()._toBare());
+      }
+    }
+    for (const sub of this._subComponents) {
+      const {min, max} = sub.outerBounds();
+      for (const [x, y] of [[min.x(), min.y()], [max.x(), min.y()],
+                            [max.x(), max.y()], [min.x(), max.y()]]) {
+        const pt = sub._positionXform.applyToPoint(point(x, y));
+        xs.push(pt.x()._toBare());
+        ys.push(pt.y()._toBare());
+      }
+    }
+    return {
+      min: point(Measurement._fromBare(WORLD, Math.min(...xs)),
+                 Measurement._fromBare(WORLD, Math.min(...ys))),
+      max: point(Measurement._fromBare(WORLD, Math.max(...xs)),
+                 Measurement._fromBare(WORLD, Math.max(...ys))),
+    };
+  }
+
+  render(/*pen*/) {  // OVERRIDE this.
+    throw new Error('"Component.render(pen)" must be overridden.');
+  }
+}
+
+/*
+    ==== NETS ====
+
+Most paper buildings are really prisms, and a prism is easiest to build
+from a "net":  one piece of paper with all the faces, which folds up
+into the solid and is closed with glue tabs.  Rather than laying out
+the faces by hand, describe the solid and let the library unfold it:
+
+  BoxNet         -- width, depth, height
+  PrismNet       -- footprint (a Polygon, or a list of POINTs), height
+  GablePrismNet  -- width (of the gable ends), depth, wallHeight (up to
+                    the eaves), ridgeHeight (from the eaves up)
+  PyramidNet     -- footprint, height (the apex is over the centroid)
+  FrustumNet     -- footprint, height, topScale (the top is the
+                    footprint shrunk by this factor about its centroid)
+
+These are Components, and the sizes are options in WORLD units like
+any other, so for example:
+
+    const house = new GablePrismNet(options, {width: "20 ft",
+      depth: "30 ft", wallHeight: "22 ft", ridgeHeight: "10 ft",
+      bottom: false});
+    this.addPiece(house);
+
+The options "bottom" and (except for pyramids and gables) "top" say
+whether to include those faces; both default to true.  "fillColor"
+(default "white") fills the faces, and "faceColors" can give some of
+them their own colors, e.g. {"right roof": "gray"}.  "tabStyle" is
+passed on to setOutline() (see "glue tabs" under COMPONENT).  Every
+face has a name:
+
+  PrismNet:       "side 1" ... "side n" (side i is on footprint edge i),
+                  "top", "bottom"
+  BoxNet:         "front", "right", "back", "left", "top", "bottom"
+  GablePrismNet:  "front", "right", "back", "left" (front and back are
+                  the gables), "right roof", "left roof", "bottom"
+  PyramidNet:     "side 1" ... "side n", "bottom"
+  FrustumNet:     like PrismNet
+
+The net is one Piece.  Folds between faces are drawn as mountain folds
+(all these solids are convex); each edge where the solid closes up gets
+a tab on one side and a label (1, 2, ...) on both.  faceNames() lists
+the faces, and face(name) returns a NetFace, a subComponent which
+covers that face with its own coordinates:  X along the face's first
+edge (the bottom, for a wall), Y across it, so windows and doors can go
+on a face just as on a wall:
+
+    house.face("front").layoutFacade("W D W", openings, {...});
+
+A NetFace's outline() is its face, which Kit.validate() uses (rather
+than the bounding box) to check that faces don't overlap.
+
+Each edge of the net's outline is named after its face and its place
+in that face, counting from 1 in the order of the face's vertices, e.g.
+"top 2", so a Kit can join() a net to other pieces by name.
+
+A new kind of net overrides solid(), which returns {vertices, faces}.
+vertices is a list of [x, y, z] WORLD Measurements, with Z up.  Each
+face is {name, vertices, parent}, where vertices are indexes into
+vertices, counterclockwise as seen from outside, and parent names an
+earlier face sharing an edge, which it gets unfolded from.  The first
+face has no parent; it stays put and everything unfolds around it.  A
+face may also have edgeNames, e.g. {0: "eaves"}, to give some of its
+edges better names than the ones above.
 
 */
 
-class Piece {
-  constructor(comp) {
-    // These fields are required or produced by the bin-pack code.
-    // We omit leading underscores because the bin-pack lib wants it that way.
-    // Bin-pack also requires bare numbers, not Measurements.
-    this.width = comp.getExtent().x()._toBare();
-    this.height = comp.getExtent().y()._toBare();
-    this.x = null;  // gets filled in by the bin-packer
-    this.y = null;  // gets filled in by the bin-packer
-    this.area = this.width * this.height;
-    this.component = comp;
+function _minus3(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function _dot3(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function _cross3(a, b) {
+  return [a[1] * b[2] - a[2] * b[1],
+          a[2] * b[0] - a[0] * b[2],
+          a[0] * b[1] - a[1] * b[0]];
+}
+
+function _unit3(a) {
+  const length = Math.hypot(...a);
+  return [a[0] / length, a[1] / length, a[2] / length];
+}
+
+// The unit normal of a (planar) 3D polygon, by Newell's method:  the
+// right-hand rule applied to the order of the points.
+function _faceNormal(points) {
+  const n = [0, 0, 0];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  });
+  return _unit3(n);
+}
+
+// Flatten a solid (bare vertices and faces, see solid() above) into a
+// net.  Returns {flat, folds, outline}:  flat[f] is the list of bare
+// [x, y] positions of face f's vertices, folds is a list of [p, q]
+// along the folds, and outline is the boundary of the net,
+// counterclockwise, as a list of {face, edge, twin} where twin is the
+// {face, edge} it gets glued to, or null.
+function _unfold(vertices, faces, opName) {
+  const index = {};
+  faces.forEach((face, f) => {
+    if (index.hasOwnProperty(face.name)) {
+      throw new Error(`${opName}: there are two faces named "${face.name}"`);
+    }
+    index[face.name] = f;
+  });
+  // half-edges:  "a,b" -> {face, edge} for the edge from vertex a to b
+  const halfEdges = {};
+  faces.forEach((face, f) => {
+    face.vertices.forEach((a, i) => {
+      const b = face.vertices[(i + 1) % face.vertices.length];
+      halfEdges[`${a},${b}`] = {face: f, edge: i};
+    });
+  });
+  const ends = (h) => {
+    const vs = faces[h.face].vertices;
+    return [vs[h.edge], vs[(h.edge + 1) % vs.length]];
+  };
+  const twin = (h) => {
+    const [a, b] = ends(h);
+    return halfEdges[`${b},${a}`] || null;
+  };
+  const key = (h) => `${h.face}:${h.edge}`;
+
+  const flat = [];
+  const folded = new Set();
+  const folds = [];
+  faces.forEach((face, f) => {
+    const pts = face.vertices.map((v) => vertices[v]);
+    const normal = _faceNormal(pts);
+    let origin;  // where the first point of the shared edge goes
+    let along;   // its 2D direction
+    let h = null;
+    if (f == 0) {
+      if (face.parent !== undefined) {
+        throw new Error(`${opName}: the first face can't have a parent`);
+      }
+      origin = [0, 0];
+      along = [1, 0];
+      h = {face: 0, edge: 0};
+    } else {
+      if (! index.hasOwnProperty(face.parent) || index[face.parent] >= f) {
+        throw new Error(`${opName}: face "${face.name}" needs the name of ` +
+          `an earlier face as its parent`);
+      }
+      const parent = index[face.parent];
+      for (let i = 0; i < face.vertices.length && h === null; i++) {
+        const t = twin({face: f, edge: i});
+        if (t !== null && t.face == parent) {
+          h = {face: f, edge: i};
+        }
+      }
+      if (h === null) {
+        throw new Error(`${opName}: face "${face.name}" doesn't share an ` +
+          `edge with its parent "${face.parent}"`);
+      }
+      // the parent's edge runs the other way:  from our b to our a
+      const t = twin(h);
+      const p = flat[parent][(t.edge + 1) % faces[parent].vertices.length];
+      const q = flat[parent][t.edge];
+      const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+      origin = p;
+      along = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+      folded.add(key(h));
+      folded.add(key(t));
+      folds.push([p, q]);
+    }
+    // measure each point from the shared edge, in the plane of the face
+    const [a, b] = ends(h).map((v) => vertices[v]);
+    const e = _unit3(_minus3(b, a));
+    const across = _cross3(normal, e);
+    const left = [-along[1], along[0]];
+    flat.push(pts.map((v) => {
+      const d = _minus3(v, a);
+      const x = _dot3(d, e);
+      const y = _dot3(d, across);
+      return [origin[0] + x * along[0] + y * left[0],
+              origin[1] + x * along[1] + y * left[1]];
+    }));
+  });
+
+  // Walk around the boundary:  after each edge comes the next edge of
+  // the same face, unless that is a fold, in which case we cross over
+  // into the face on the other side and keep going.
+  const boundary = [];
+  faces.forEach((face, f) => face.vertices.forEach((v, i) => {
+    if (! folded.has(key({face: f, edge: i}))) {
+      boundary.push({face: f, edge: i});
+    }
+  }));
+  const next = (h) => {
+    let n = {face: h.face, edge: (h.edge + 1) % faces[h.face].vertices.length};
+    while (folded.has(key(n))) {
+      const t = twin(n);
+      n = {face: t.face, edge: (t.edge + 1) % faces[t.face].vertices.length};
+    }
+    return n;
+  };
+  const outline = [];
+  let h = boundary[0];
+  do {
+    outline.push({face: h.face, edge: h.edge, twin: twin(h)});
+    h = next(h);
+  } while (key(h) != key(boundary[0]) && outline.length <= boundary.length);
+  if (outline.length != boundary.length) {
+    throw new Error(`${opName}: the faces don't unfold into one piece`);
+  }
+  return {flat: flat, folds: folds, outline: outline};
+}
+
+class Net extends Component {
+  constructor(oldOptions, newOptions) {
+    super(oldOptions, newOptions);
+    const g = this._geometry;
+    const solid = this.solid();
+    const vertices = solid.vertices.map((v) =>
+      v.map((m) => worldM(m)._toBare()));
+    const faces = solid.faces;
+    const unfolded = _unfold(vertices, faces, `${this}`);
+
+    // shift everything so the net starts at (0, 0)
+    const all = [].concat(...unfolded.flat);
+    const x0 = Math.min(...all.map((p) => p[0]));
+    const y0 = Math.min(...all.map((p) => p[1]));
+    const at = ([x, y]) => point(Measurement._fromBare(WORLD, x - x0),
+                                 Measurement._fromBare(WORLD, y - y0));
+    g.faces = {};
+    faces.forEach((face, f) => {
+      g.faces[face.name] = new Polygon(unfolded.flat[f].map(at));
+    });
+    g.folds = unfolded.folds.map(([p, q]) => new Segment(at(p), at(q)));
+
+    // the outline, with a tab on the later face of each closing edge
+    const kinds = [];
+    const labels = {};
+    const points = unfolded.outline.map(({face, edge, twin}, i) => {
+      if (twin === null) {
+        kinds.push("free");
+      } else {
+        kinds.push((face > twin.face) ? "tab" : "receives tab");
+        const k = [face, edge, twin.face, twin.edge];
+        const name = (face < twin.face) ? k.join() : k.slice(2).concat(
+          k.slice(0, 2)).join();
+        labels[name] = (labels[name] || []).concat([i]);
+      }
+      return at(unfolded.flat[face][edge]);
+    });
+    this.setOutline(points, kinds, this._optional("tabStyle", {}));
+    this.setEdgeNames(unfolded.outline.map(({face, edge}) => {
+      const names = faces[face].edgeNames || {};
+      return names.hasOwnProperty(edge) ?
+        names[edge] : `${faces[face].name} ${edge + 1}`;
+    }));
+    Object.keys(labels).forEach((name, n) => {
+      for (const edge of labels[name]) {
+        this.setEdgeLabel(edge, `${n + 1}`);
+      }
+    });
+
+    // a NetFace over each face, in the face's own coordinates
+    this._faces = {};
+    faces.forEach((face, f) => {
+      const [p, q] = unfolded.flat[f];
+      const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+      const along = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+      const local = unfolded.flat[f].map(([x, y]) => [
+        (x - p[0]) * along[0] + (y - p[1]) * along[1],
+        -(x - p[0]) * along[1] + (y - p[1]) * along[0]]);
+      const lx = Math.min(...local.map((pt) => pt[0]));
+      const ly = Math.min(...local.map((pt) => pt[1]));
+      const netFace = new NetFace(this._options, {}, face.name,
+        new Polygon(local.map(([x, y]) => point(
+          Measurement._fromBare(WORLD, x - lx),
+          Measurement._fromBare(WORLD, y - ly)))));
+      this.addSubComponent(netFace,
+        at([p[0] + lx * along[0] - ly * along[1],
+            p[1] + lx * along[1] + ly * along[0]]),
+        {rotation: angle([Math.atan2(along[1], along[0]), "rad"])});
+      this._faces[face.name] = netFace;
+    });
+  }
+
+  toString() {
+    return `${this.constructor.name}()`;
+  }
+
+  solid() {  // OVERRIDE this.
+    throw new Error('"Net.solid()" must be overridden.');
+  }
+
+  _optional(optionName, fallback) {
+    return this._options.hasOwnProperty(optionName) ?
+      this._options[optionName] : fallback;
+  }
+
+  // The footprint option as a list of bare [x, y], counterclockwise.
+  _footprint() {
+    let footprint = this.get("footprint");
+    footprint = (footprint instanceof Polygon) ?
+      footprint : new Polygon(footprint);
+    if (! footprint.isCounterClockwise()) {
+      footprint = footprint.reversed();
+    }
+    return footprint._bare();
+  }
+
+  faceNames() {
+    return Object.keys(this._faces);
+  }
+
+  face(name) {
+    if (! this._faces.hasOwnProperty(name)) {
+      throw new Error(`${this}.face: ` +
+        _unknownName("face", name, this.faceNames()));
+    }
+    return this._faces[name];
+  }
+
+  getExtent() {
+    const corners = Object.values(this._geometry.faces).map((face) =>
+      face.boundingBox().max._bare());
+    const most = (i) => Measurement._fromBare(WORLD,
+      Math.max(...corners.map((corner) => corner[i])));
+    return extent(most(0), most(1));
+  }
+
+  render(pen) {
+    const g = this._geometry;
+    const colors = this._optional("faceColors", {});
+    for (const name of Object.keys(colors)) {
+      if (! g.faces.hasOwnProperty(name)) {
+        throw new Error(`${this}: faceColors has ` +
+          _unknownName("face", name, Object.keys(g.faces)));
+      }
+    }
+    for (const name of Object.keys(g.faces)) {
+      pen.set({fillColor: colors.hasOwnProperty(name) ?
+        colors[name] : this._optional("fillColor", "white")});
+      pen.polygon(g.faces[name], "fill");
+    }
+  }
+
+  _renderOutline(pen) {
+    for (const fold of this._geometry.folds) {
+      pen.line("mountain", fold);
+    }
+    super._renderOutline(pen);
+  }
+}
+
+// One face of a Net, as a subComponent in the face's own coordinates.
+class NetFace extends Component {
+  constructor(oldOptions, newOptions, name, polygon) {
+    super(oldOptions, newOptions);
+    this._name = name;
+    this._polygon = polygon;
+  }
+
+  toString() {
+    return `NetFace(${this._name})`;
+  }
+
+  name() {
+    return this._name;
+  }
+
+  // The face itself; unlike setOutline(), this doesn't get drawn.
+  outline() {
+    return this._polygon;
+  }
+
+  getExtent() {
+    return this._polygon.boundingBox().extent;
+  }
+
+  render() {}  // the Net draws the faces
+}
+
+// The faces of a prism whose bottom is footprint (bare, counterclockwise)
+// and whose top is top (the same number of points), as solid() wants.
+// The vertices are still bare.
+function _prismSolid(footprint, top, height, options) {
+  const sideName = options.sideName;
+  const n = footprint.length;
+  const vertices = footprint.map(([x, y]) => [x, y, 0]).concat(
+    top.map(([x, y]) => [x, y, height]));
+  const faces = [];
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    faces.push({name: sideName(i), vertices: [i, j, n + j, n + i],
+                parent: (i == 0) ? undefined : sideName(i - 1)});
+  }
+  if (options.top) {
+    faces.push({name: "top", vertices: top.map((p, i) => n + i),
+                parent: sideName(0)});
+  }
+  if (options.bottom) {
+    faces.push({name: "bottom", parent: sideName(0),
+                vertices: footprint.map((p, i) => (n - i) % n)});
+  }
+  return {vertices: vertices, faces: faces};
+}
+
+function _bareToWorld(vertices) {
+  return vertices.map((v) => v.map((x) => Measurement._fromBare(WORLD, x)));
+}
+
+class PrismNet extends Net {
+  solid() {
+    const footprint = this._footprint();
+    const solid = _prismSolid(footprint, footprint,
+      worldM(this.get("height"))._toBare(), {
+        top: this._optional("top", true),
+        bottom: this._optional("bottom", true),
+        sideName: (i) => this._sideName(i)});
+    solid.vertices = _bareToWorld(solid.vertices);
+    return solid;
+  }
+
+  _sideName(i) {
+    return `side ${i + 1}`;
+  }
+}
+
+class BoxNet extends PrismNet {
+  _footprint() {
+    const w = worldM(this.get("width"))._toBare();
+    const d = worldM(this.get("depth"))._toBare();
+    return [[0, 0], [w, 0], [w, d], [0, d]];
+  }
+
+  _sideName(i) {
+    return ["front", "right", "back", "left"][i];
+  }
+}
+
+class FrustumNet extends Net {
+  solid() {
+    const footprint = this._footprint();
+    const scale = this.get("topScale");
+    if (typeof scale != 'number' || scale <= 0 || scale >= 1) {
+      throw new Error(`${this}: topScale must be a number between 0 and 1`);
+    }
+    const c = new Polygon(footprint.map(([x, y]) => point(
+      Measurement._fromBare(WORLD, x), Measurement._fromBare(WORLD, y))))
+      .centroid()._bare();
+    const top = footprint.map(([x, y]) => [c[0] + scale * (x - c[0]),
+                                           c[1] + scale * (y - c[1])]);
+    const solid = _prismSolid(footprint, top,
+      worldM(this.get("height"))._toBare(), {
+        top: this._optional("top", true),
+        bottom: this._optional("bottom", true),
+        sideName: (i) => `side ${i + 1}`});
+    solid.vertices = _bareToWorld(solid.vertices);
+    return solid;
+  }
+}
+
+class PyramidNet extends Net {
+  solid() {
+    const footprint = this._footprint();
+    const n = footprint.length;
+    const c = new Polygon(footprint.map(([x, y]) => point(
+      Measurement._fromBare(WORLD, x), Measurement._fromBare(WORLD, y))))
+      .centroid()._bare();
+    const vertices = footprint.map(([x, y]) => [x, y, 0]).concat(
+      [[c[0], c[1], worldM(this.get("height"))._toBare()]]);
+    const faces = [];
+    const bottom = this._optional("bottom", true);
+    if (bottom) {  // the sides fold up around the bottom
+      faces.push({name: "bottom",
+                  vertices: footprint.map((p, i) => (n - i) % n)});
+    }
+    for (let i = 0; i < n; i++) {
+      faces.push({name: `side ${i + 1}`, vertices: [i, (i + 1) % n, n],
+                  parent: bottom ? "bottom" :
+                    ((i == 0) ? undefined : `side ${i}`)});
+    }
+    return {vertices: _bareToWorld(vertices), faces: faces};
+  }
+}
+
+class GablePrismNet extends Net {
+  solid() {
+    const w = worldM(this.get("width"))._toBare();
+    const d = worldM(this.get("depth"))._toBare();
+    const h = worldM(this.get("wallHeight"))._toBare();
+    const r = h + worldM(this.get("ridgeHeight"))._toBare();
+    const vertices = [
+      [0, 0, 0], [w, 0, 0], [w, d, 0], [0, d, 0],  // 0-3:  ground
+      [0, 0, h], [w, 0, h], [w, d, h], [0, d, h],  // 4-7:  eaves
+      [w / 2, 0, r], [w / 2, d, r],                // 8-9:  ridge
+    ];
+    const faces = [
+      {name: "front", vertices: [0, 1, 5, 8, 4]},
+      {name: "right", vertices: [1, 2, 6, 5], parent: "front"},
+      {name: "back", vertices: [2, 3, 7, 9, 6], parent: "right"},
+      {name: "left", vertices: [3, 0, 4, 7], parent: "back"},
+      {name: "right roof", vertices: [5, 6, 9, 8], parent: "right"},
+      {name: "left roof", vertices: [7, 4, 8, 9], parent: "right roof"},
+    ];
+    if (this._optional("bottom", true)) {
+      faces.push({name: "bottom", vertices: [0, 3, 2, 1], parent: "right"});
+    }
+    return {vertices: _bareToWorld(vertices), faces: faces};
+  }
+}
+
+/*
+    ==== ROOFS ====
+
+A RoofNet is a Net (see NETS) for the roof of a building with a
+rectangular footprint:  it builds the roof surface, with its overhangs
+and fascia, and unfolds it into one piece, with mountain folds wherever
+two panels meet and tabs where the surface closes up (along the hips,
+for example).  The options, in WORLD units:
+
+  width         -- across the ridge, wall to wall (the gable ends are
+                   this wide)
+  depth         -- along the ridge, wall to wall
+  style         -- "flat", "shed", "gable", "hip", "gambrel" or
+                   "mansard"
+  pitch         -- the slope of the roof, e.g. "6:12" or "30 deg"; for
+                   gambrels and mansards, the slope of the upper panels
+                   (a mansard with a pitch of 0 has a flat top)
+  lowerPitch    -- gambrels and mansards:  the steep lower panels
+                   (default "60 deg")
+  breakInset    -- gambrels and mansards:  how far in from the walls the
+                   slope changes (default width / 4)
+  eaveOverhang  -- how far the roof sticks out past the walls along the
+                   eaves, measured level (default 0); flat and hipped
+                   roofs overhang this much all around
+  rakeOverhang  -- how far it sticks out past the gable ends (default 0)
+  fascia        -- the height of the board hanging down along the eaves
+                   (default 0, no fascia); where two boards meet at a
+                   corner they are left unglued
+
+plus "fillColor", "faceColors" and "tabStyle" as for any Net.  The
+roof sits on the walls' top edges, so the panels reach past them by the
+overhangs, and the eaves end up below the top of the walls.  The ridge
+of a hipped roof (hip, and mansards with a pitch) runs the long way,
+whichever that is, and the faces are named for the side they slope
+down to.  The faces are:
+
+  flat:     "roof"
+  shed:     "roof" (it slopes down to the right, seen from the front)
+  gable:    "right", "left"
+  hip:      "right", "front", "left", "back"
+  gambrel:  "right upper", "right lower", "left upper", "left lower"
+  mansard:  "top" or "right upper", "front upper", "left upper",
+            "back upper"; then "front lower", "right lower", "back
+            lower", "left lower"
+
+and with a fascia, "front fascia", "right fascia", ... along each eave.
+
+The walls build their outlines from the roof rather than working out
+its shape again.  gableEnd(end) returns what the roof needs on top of
+the front or back wall:  a Polygon in WORLD units, seen from outside,
+starting with the wall's top edge from (0, 0) to (width, 0) and going
+counterclockwise over the top -- a triangle for a gable, for example --
+or null for the styles which have no gable ends.  sideWallHeight(side)
+is how much higher than the eaves the "left" or "right" wall has to be
+(only the high side of a shed isn't 0).
+
+eaves() lists the outline edges which sit over the tops of the walls,
+each {side, edge, overhang}:  side is "front", "right", "back" or
+"left", edge is its name, e.g. "right eaves" (the bottom of the fascia,
+if there is one; a shed's high edge is "left eaves"), and overhang is
+how far it reaches past the wall at each end.  That is just what
+Kit.join() wants:
+
+    for (const eave of roof.eaves()) {
+      this.join(roof, eave.edge, walls[eave.side], "top",
+                {overhang: eave.overhang});
+    }
+
+Hip and gable lines aren't edges of the roof's outline once it
+overhangs, so they can't be joined.
+
+T- and L-shaped footprints (with valleys where the roofs meet) and
+dormers aren't supported yet.
+
+*/
+
+const ROOF_STYLES = ["flat", "shed", "gable", "hip", "gambrel", "mansard"];
+
+class RoofNet extends Net {
+  solid() {
+    const s = this._roofSizes();
+    const {o, r, b} = s;
+    // A hipped roof's ridge runs along the longer side, so one wider than
+    // it is deep is built turned a quarter turn, and turned back below.
+    const turn = (s.style == "hip" || s.style == "mansard") && s.d < s.w;
+    const [w, d] = turn ? [s.d, s.w] : [s.w, s.d];
+    const vertices = [];
+    const at = {};
+    const v = (x, y, z) => {  // the index of a vertex, shared if it repeats
+      const k = [x, y, z].map((c) => c.toFixed(9)).join();
+      if (! at.hasOwnProperty(k)) {
+        at[k] = vertices.length;
+        vertices.push([x, y, z]);
+      }
+      return at[k];
+    };
+    const faces = [];
+    const eaves = [];  // [face name, edge, side], for each eave
+    const face = (name, vs, parent) => faces.push(
+      {name: name, vertices: vs, parent: parent});
+    // A hipped roof over [x0, x1] by [y0, y1], from height z up.
+    const hip = (x0, y0, x1, y1, z, t, suffix) => {
+      const half = (x1 - x0) / 2;
+      const c = [v(x0, y0, z), v(x1, y0, z), v(x1, y1, z), v(x0, y1, z)];
+      const r1 = v(x0 + half, y0 + half, z + half * t);
+      const r2 = v(x0 + half, y1 - half, z + half * t);
+      face(`right${suffix}`, [c[1], c[2], r2, r1]);
+      face(`front${suffix}`, [c[0], c[1], r1], `right${suffix}`);
+      face(`left${suffix}`, [c[3], c[0], r1, r2], `front${suffix}`);
+      face(`back${suffix}`, [c[2], c[3], r2], `right${suffix}`);
+    };
+
+    if (s.style == "flat") {
+      face("roof", [v(-o, -o, 0), v(w + o, -o, 0), v(w + o, d + o, 0),
+                    v(-o, d + o, 0)]);
+      ["front", "right", "back", "left"].forEach((side, i) =>
+        eaves.push(["roof", i, side]));
+    } else if (s.style == "shed") {
+      const z0 = -o * s.t;
+      const z1 = (w + o) * s.t;
+      face("roof", [v(w + o, -r, z0), v(w + o, d + r, z0),
+                    v(-o, d + r, z1), v(-o, -r, z1)]);
+      eaves.push(["roof", 0, "right"]);
+    } else if (s.style == "gable") {
+      const z0 = -o * s.t;
+      const z1 = w / 2 * s.t;
+      face("right", [v(w + o, -r, z0), v(w + o, d + r, z0),
+                     v(w / 2, d + r, z1), v(w / 2, -r, z1)]);
+      face("left", [v(-o, d + r, z0), v(-o, -r, z0),
+                    v(w / 2, -r, z1), v(w / 2, d + r, z1)], "right");
+      eaves.push(["right", 0, "right"], ["left", 0, "left"]);
+    } else if (s.style == "hip") {
+      hip(-o, -o, w + o, d + o, -o * s.t, s.t, "");
+      ["right", "front", "left", "back"].forEach((side) =>
+        eaves.push([side, 0, side]));
+    } else if (s.style == "gambrel") {
+      const z0 = -o * s.lowerT;
+      const z1 = b * s.lowerT;
+      const z2 = z1 + (w / 2 - b) * s.t;
+      face("right upper", [v(w - b, -r, z1), v(w - b, d + r, z1),
+                           v(w / 2, d + r, z2), v(w / 2, -r, z2)]);
+      face("right lower", [v(w + o, -r, z0), v(w + o, d + r, z0),
+                           v(w - b, d + r, z1), v(w - b, -r, z1)],
+           "right upper");
+      face("left upper", [v(b, d + r, z1), v(b, -r, z1),
+                          v(w / 2, -r, z2), v(w / 2, d + r, z2)],
+           "right upper");
+      face("left lower", [v(-o, d + r, z0), v(-o, -r, z0),
+                          v(b, -r, z1), v(b, d + r, z1)], "left upper");
+      eaves.push(["right lower", 0, "right"], ["left lower", 0, "left"]);
+    } else {  // mansard
+      const z0 = -o * s.lowerT;
+      const z1 = b * s.lowerT;
+      const c = [v(-o, -o, z0), v(w + o, -o, z0), v(w + o, d + o, z0),
+                 v(-o, d + o, z0)];
+      const k = [v(b, b, z1), v(w - b, b, z1), v(w - b, d - b, z1),
+                 v(b, d - b, z1)];
+      if (s.t == 0) {
+        face("top", k);
+      } else {
+        hip(b, b, w - b, d - b, z1, s.t, " upper");
+      }
+      ["front", "right", "back", "left"].forEach((side, i) => {
+        const j = (i + 1) % 4;
+        face(`${side} lower`, [c[i], c[j], k[j], k[i]],
+             (s.t == 0) ? "top" : `${side} upper`);
+        eaves.push([`${side} lower`, 0, side]);
+      });
+    }
+
+    // The fascia boards just butt together at the corners (at model
+    // scales the corners are too short to glue), so each board gets
+    // bottom corners of its own, which leaves its ends free.
+    const below = (p) => vertices.push([p[0], p[1], p[2] - s.fascia]) - 1;
+    for (const [name, edge, side] of eaves) {
+      const f = faces.find((candidate) => candidate.name == name);
+      if (s.fascia > 0) {
+        const [a, b] = [f.vertices[edge],
+                        f.vertices[(edge + 1) % f.vertices.length]];
+        face(`${side} fascia`,
+             [below(vertices[a]), below(vertices[b]), b, a], name);
+        faces[faces.length - 1].edgeNames = {0: `${side} eaves`};
+      } else {
+        f.edgeNames = {[edge]: `${side} eaves`};
+      }
+    }
+    if (s.style == "shed") {  // its high side sits on the left wall
+      faces[0].edgeNames = Object.assign(faces[0].edgeNames || {},
+                                         {2: "left eaves"});
+    }
+    for (const f of faces) {  // a hip with no ridge ends in a point
+      f.vertices = f.vertices.filter((i, n) =>
+        i != f.vertices[(n + 1) % f.vertices.length]);
+    }
+    if (turn) {  // the built roof's front is now the right, and so on
+      const sides = {front: "right", right: "back", back: "left",
+                     left: "front"};
+      const rename = (name) => (name === undefined) ? name :
+        name.replace(/^(front|right|back|left)\b/, (side) => sides[side]);
+      for (const vertex of vertices) {
+        [vertex[0], vertex[1]] = [s.w - vertex[1], vertex[0]];
+      }
+      for (const f of faces) {
+        f.name = rename(f.name);
+        f.parent = rename(f.parent);
+        for (const edge of Object.keys(f.edgeNames || {})) {
+          f.edgeNames[edge] = rename(f.edgeNames[edge]);
+        }
+      }
+    }
+    return {vertices: _bareToWorld(vertices), faces: faces};
+  }
+
+  // The options, as bare numbers (slopes as tangents), checked.
+  _roofSizes() {
+    const style = this.get("style");
+    if (! ROOF_STYLES.includes(style)) {
+      throw new Error(`${this}: ` +
+        _unknownName("roof style", style, ROOF_STYLES));
+    }
+    const bare = (name, fallback) =>
+      worldM(this._optional(name, fallback))._toBare();
+    const slope = (name, fallback) => {
+      const radians = angle(this._optional(name, fallback)).radians();
+      if (radians < 0 || radians >= Math.PI / 2) {
+        throw new Error(`${this}: ${name} must be at least 0 and less ` +
+          `than 90 degrees`);
+      }
+      return Math.tan(radians);
+    };
+    const s = {style: style, w: bare("width"), d: bare("depth"),
+               o: bare("eaveOverhang", 0), r: bare("rakeOverhang", 0),
+               fascia: bare("fascia", 0), t: 0};
+    if (s.w <= 0 || s.d <= 0) {
+      throw new Error(`${this}: width and depth must be more than 0`);
+    }
+    if (s.o < 0 || s.r < 0 || s.fascia < 0) {
+      throw new Error(`${this}: the overhangs and fascia can't be ` +
+        `negative`);
+    }
+    if (style != "flat") {
+      s.t = slope("pitch", this.get("pitch"));
+    }
+    if (style == "gambrel" || style == "mansard") {
+      s.lowerT = slope("lowerPitch", "60 deg");
+      s.b = bare("breakInset", worldM(this.get("width")).dividedBy(4));
+      const most = (style == "gambrel") ? s.w / 2 : Math.min(s.w, s.d) / 2;
+      if (s.b <= 0 || s.b >= most) {
+        throw new Error(`${this}: breakInset must be more than 0 and ` +
+          `less than ${Measurement._fromBare(WORLD, most).format()}`);
+      }
+    }
+    if (s.t == 0 && style != "flat" && style != "mansard") {
+      throw new Error(`${this}: a ${style} roof needs a pitch of more ` +
+        `than 0`);
+    }
+    return s;
+  }
+
+  gableEnd(end) {
+    if (end != "front" && end != "back") {
+      throw new Error(`${this}.gableEnd: ` +
+        _unknownName("end", end, ["front", "back"]));
+    }
+    const s = this._roofSizes();
+    const w = s.w;
+    let top;  // over the wall's top edge, right to left as seen from the front
+    if (s.style == "gable") {
+      top = [[w / 2, w / 2 * s.t]];
+    } else if (s.style == "shed") {
+      top = [[0, w * s.t]];
+    } else if (s.style == "gambrel") {
+      const z1 = s.b * s.lowerT;
+      top = [[w - s.b, z1], [w / 2, z1 + (w / 2 - s.b) * s.t], [s.b, z1]];
+    } else {
+      return null;
+    }
+    if (end == "back") {  // seen from behind, left and right swap
+      top = top.map(([x, y]) => [w - x, y]).reverse();
+    }
+    return new Polygon([[0, 0], [w, 0]].concat(top).map(([x, y]) => point(
+      Measurement._fromBare(WORLD, x), Measurement._fromBare(WORLD, y))));
+  }
+
+  // How far above the eaves the roof meets the "left" or "right" wall.
+  sideWallHeight(side) {
+    if (side != "left" && side != "right") {
+      throw new Error(`${this}.sideWallHeight: ` +
+        _unknownName("side", side, ["left", "right"]));
+    }
+    const s = this._roofSizes();
+    return Measurement._fromBare(WORLD,
+      (s.style == "shed" && side == "left") ? s.w * s.t : 0);
+  }
+
+  // The edges of the roof which sit over the tops of the walls, each
+  // {side, edge, overhang}; see join() under KIT.
+  eaves() {
+    const s = this._roofSizes();
+    const gabled = ["shed", "gable", "gambrel"].includes(s.style);
+    return ["front", "right", "back", "left"].filter((side) =>
+      ! gabled || side == "right" || side == "left").map((side) => ({
+        side: side, edge: `${side} eaves`,
+        overhang: Measurement._fromBare(WORLD, gabled ? s.r : s.o)}));
+  }
+}
+
+/*
+    ==== PAGE ====
+
+The Page class represents a single page of the pdf file.  It's really
+just a list and the logic is trivial so we don't really need a special
+class for it, but having a Page class makes the code easier to understand.
+
+*/
+
+class Page {
+  constructor() {
+    this._positionedPieceList = [];
   }
 
   toString() {
-    return `Piece(${this.component})`;
+    return "Page()";
+  }
+
+  addPositionedPiece(piece) {
+    this._positionedPieceList.push(piece);
+  }
+
+  allPieces() {
+    return this._positionedPieceList;
   }
 }
 
 /*
-    ==== AFFINE_TRANSFORMATION ====
+    ==== DRAWING PEN ====
 
-There is a whole set of classes which define the transformations we
-might want to do on our coordinates.  The most obvious is that something
-that (e.g. in N-scale) is 120 inches long in real life should be printed as
-only 1 inch long.
+When you want to actually lay down digital ink, you use a DrawingPen
+to add the ink to the pdf page(s).
 
-We define subclasses for each of the types of transformations to make
-the code clearer and to simplify the specification of parameters, since
-each type uses a limited subset of all available value combinations.
+There is a new DrawingPen object created for each Component because
+each Component has its own xform (AffineTransformation).
+
+A DrawingPen is basically a wrapper around the jsPDF methods, and the
+pen is where the transformation matrix is finally applied to the
+actual coordinates.  This matrix contains all the information needed
+about the shapes and sizes of graphics in a Comnponent, the locations
+of subComponents, the scaling necessary (O, HO, N, Z, etc.), the
+conversion from internal units ("m") to pdf units ("mm"), and the
+inversion of the Y-axis to make Y go up instead of down.
+The beauty of the matrix is that everything is wrapped into a single
+(matrix X vector) multiplication.
+
+Besides straight lines (openPath and polygon), the pen can draw curves:
+
+  arc(center, radius, startAngle, endAngle)    -- always just stroked
+  circle(center, radius, style)
+  ellipse(center, xRadius, yRadius, style, rotation)
+  bezierPath(segments, style)
+
+All the curves are really drawn as cubic Bezier curves, which PDF
+supports directly.  (A circle is four of them; the error is far too
+small to see.)  The Bezier control points go through the same
+transformation as everything else, and since an affine transformation
+of a Bezier curve is exactly the Bezier curve of the transformed
+control points, rotations and flips come out right automatically.
+
+For bezierPath, "segments" starts with a POINT, and then each entry is
+either a POINT (a straight line to it) or a list of three POINTs
+[control1, control2, end] (a curve to "end").  For example, an arched
+window top might be:
+
+  [point(0, 0), [point(0, "1 ft"), point("2 ft", "1 ft"), point("2 ft", 0)]]
+
+The styles are the same as for polygon:  "stroke", "fill", and
+"fillAndStroke", all of which close the shape.  For bezierPath there
+is also "open" (the default) which strokes the path without closing it.
+An Angle argument may be an Angle or anything angle() accepts, with
+angles measured counterclockwise from the X axis, as usual.
+
+-- line types --
+
+A paper model needs more than just "stroke":  the builder has to know
+which lines to cut and which way to fold along the others.  So the pen
+also draws lines by what they mean:
+
+  line(type, points, closed)
+
+where type is one of
+
+  "cut"       -- cut along this line (solid)
+  "mountain"  -- fold away from you, so the crease points up (dash-dot)
+  "valley"    -- fold toward you, so the crease is a groove (dashed)
+  "score"     -- press a crease without folding yet (fine dots)
+
+and points is a list of POINTs (or a Segment or a Polygon).  How each
+type looks is set by a "house style", a dict giving for each type a
+dash pattern (a list of PRINTED lengths, alternately ink and gap; an
+empty list means solid), a width, and a color.  LINE_STYLES is the
+default; a Kit can override any part of it with getLineStyles().  The
+pen puts back solid lines of the default width and the last drawColor
+when it is done, so ordinary strokes aren't affected.
+
+Output which isn't a PDF (for example a file for a cutting machine)
+can't tell a cut from a fold by looking at dashes, so if the pdf object
+has a setLineType(type, style) method the pen calls it before drawing
+each such line, and setLineType(null) afterwards.
+
+-- text --
+
+  text(string, position, {size, direction, align})
+
+writes a short string (such as an edge label) with its middle line at
+position, starting there (align "left", the default) or centered on it
+(align "center").  It runs along direction (a VECTOR, default along the
+X axis), so it turns with the Component, but it is never mirrored, so
+it stays readable on a flipped piece.  The size is the PRINTED height
+of the font, default "2.5 mm", whatever the scale.
 
 */
 
-class AffineTransformation {
-  constructor(matrix) {
-    if (matrix.length != 3 | matrix[0].length != 3 |
-        matrix[1].length != 3 | matrix[2].length != 3) {
-      throw new Error(
-        "AffineTransformation.constructor: invalid matrix shape");
+const LINE_STYLES = {
+  cut: {dash: [], width: "0.3 mm", color: "black"},
+  mountain: {dash: ["3 mm", "1 mm", "0.5 mm", "1 mm"], width: "0.2 mm",
+             color: "black"},
+  valley: {dash: ["3 mm", "1.5 mm"], width: "0.2 mm", color: "black"},
+  score: {dash: ["0.5 mm", "1 mm"], width: "0.1 mm", color: "gray"},
+};
+
+const _DEFAULT_LINE_WIDTH = "0.2 mm";  // about what jsPDF starts with
+
+// The house style:  LINE_STYLES with overrides merged in, checked, and
+// with the lengths converted to PRINTED Measurements.
+function _resolveLineStyles(overrides) {
+  const result = {};
+  for (const type of Object.keys(overrides)) {
+    if (! LINE_STYLES.hasOwnProperty(type)) {
+      throw new Error("line styles: " +
+        _unknownName("line type", type, Object.keys(LINE_STYLES)));
     }
-    this._matrix = matrix;
+    for (const key of Object.keys(overrides[type])) {
+      if (! ['dash', 'width', 'color'].includes(key)) {
+        throw new Error(`line styles: ${type} has ` +
+          _unknownName("setting", key, ['dash', 'width', 'color']));
+      }
+    }
+  }
+  for (const type of Object.keys(LINE_STYLES)) {
+    const style = Object.assign({}, LINE_STYLES[type], overrides[type]);
+    if (! Array.isArray(style.dash)) {
+      throw new Error(`line styles: ${type} dash must be a list`);
+    }
+    result[type] = {
+      dash: style.dash.map(printedM),
+      width: printedM(style.width),
+      color: style.color,
+    };
   }
+  return result;
+}
 
-  toString() {
-    return `AffineTransformation(${this._matrix})`;
+// Cubic Bezier curves approximating an elliptical arc, with all values
+// as bare numbers.  Returns {start, curves} where each curve is
+// [control1, control2, end], all as [x, y].
+function _arcBeziers(cx, cy, rx, ry, rotation, start, sweep) {
+  const pieces = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) -
+                                       1e-9));
+  const step = sweep / pieces;
+  const k = 4 / 3 * Math.tan(step / 4);  // the standard magic number
+  const cosR = Math.cos(rotation);
+  const sinR = Math.sin(rotation);
+  function place(ux, uy) {  // unit circle -> ellipse -> rotate -> move
+    const x = ux * rx;
+    const y = uy * ry;
+    return [cx + x * cosR - y * sinR, cy + x * sinR + y * cosR];
   }
+  const curves = [];
+  for (let i = 0; i < pieces; i++) {
+    const a1 = start + i * step;
+    const a2 = a1 + step;
+    const [c1, s1] = [Math.cos(a1), Math.sin(a1)];
+    const [c2, s2] = [Math.cos(a2), Math.sin(a2)];
+    curves.push([place(c1 - k * s1, s1 + k * c1),
+                 place(c2 + k * s2, s2 - k * c2),
+                 place(c2, s2)]);
+  }
+  return {start: place(Math.cos(start), Math.sin(start)), curves: curves};
+}
 
-  /*
-    Because we know that all matrixes start with final row [0,0,1] and
-    all vectors are padded to [x,y,1], we could eliminate about
-    half of all the multiplications in applyToPoint() and compose().
-    That would be a tiny bit faster, but it would make the code much
-    harder to read, understand, and verify, so we don't do that.
-  */
+class DrawingPen {
+  constructor(pdf, xform, scaleContext, lineStyles) {
+    this._pdf = pdf;
+    this._xform = xform;
+    this._scaleContext = scaleContext;
+    this._lineStyles = lineStyles || _resolveLineStyles({});
+    this._drawColor = "black";
+  }
 
-  applyToPoint(pt) {
-    const a = this._matrix;
-    const b = [pt.x()._toBare(), pt.y()._toBare(), 1];
-    const result =
-      [ a[0][0]*b[0] + a[0][1]*b[1] + a[0][2]*b[2],
-        a[1][0]*b[0] + a[1][1]*b[1] + a[1][2]*b[2],
-        a[2][0]*b[0] + a[2][1]*b[1] + a[2][2]*b[2] ];
-    return point(
-      Measurement._fromBare(PRINTED, result[0]),
-      Measurement._fromBare(PRINTED, result[1]));
-    // return {x: result[0], y: result[1]};
+  scaleContext() {
+    return this._scaleContext;
   }
 
-  compose(xform2) {
-    if (! (xform2 instanceof AffineTransformation)) {
-      throw new Error('AffineTransformation.compose needs another ' +
-                      'AffineTransformation');
+  set(props) {  // maybe fold this into ctor
+    if (props.hasOwnProperty("fillColor")) {
+      this._pdf.setFillColor(props.fillColor);
+    }
+    if (props.hasOwnProperty("drawColor")) {
+      this._pdf.setDrawColor(props.drawColor);
+      this._drawColor = props.drawColor;
     }
-    const a = this._matrix;
-    const b = xform2._matrix;
-    const result =
-      [
-        [ a[0][0]*b[0][0] + a[0][1]*b[1][0] + a[0][2]*b[2][0],
-          a[0][0]*b[0][1] + a[0][1]*b[1][1] + a[0][2]*b[2][1],
-          a[0][0]*b[0][2] + a[0][1]*b[1][2] + a[0][2]*b[2][2],
-        ],
-        [ a[1][0]*b[0][0] + a[1][1]*b[1][0] + a[1][2]*b[2][0],
-          a[1][0]*b[0][1] + a[1][1]*b[1][1] + a[1][2]*b[2][1],
-          a[1][0]*b[0][2] + a[1][1]*b[1][2] + a[1][2]*b[2][2],
-        ],
-        [ a[2][0]*b[0][0] + a[2][1]*b[1][0] + a[2][2]*b[2][0],
-          a[2][0]*b[0][1] + a[2][1]*b[1][1] + a[2][2]*b[2][1],
-          a[2][0]*b[0][2] + a[2][1]*b[1][2] + a[2][2]*b[2][2],
-        ],
-      ];
-    return new AffineTransformation(result);
   }
-}
 
-// A mathematician would call Resize "Scale", but we already use
-// that term for things like "HO scale".  Calling this class "Resize"
-// still has a clear, accurate meaning but avoids confusion.
+  // The house style this pen draws line types with.
+  lineStyles() {
+    return this._lineStyles;
+  }
 
-class Resize extends AffineTransformation {
-  constructor(factor) {
-    super([[factor, 0, 0], [0, factor, 0], [0, 0, 1]]);
+  line(type, points, closed=false) {
+    if (! this._lineStyles.hasOwnProperty(type)) {
+      throw new Error("DrawingPen.line: " + _unknownName("line type",
+        String(type), Object.keys(this._lineStyles)));
+    }
+    if (points instanceof Segment) {
+      points = [points.start(), points.end()];
+    } else if (points instanceof Polygon) {
+      points = points.points();
+      closed = true;
+    }
+    if (! Array.isArray(points) || points.length < 2) {
+      throw new Error("DrawingPen.line needs at least 2 points");
+    }
+    const style = this._lineStyles[type];
+    const pdfMm = (m) => m._toBare() * 1000;  // PDF units are "mm"
+    if (typeof this._pdf.setLineType == 'function') {
+      this._pdf.setLineType(type, style);
+    }
+    this._pdf.setLineDashPattern(style.dash.map(pdfMm), 0);
+    this._pdf.setLineWidth(pdfMm(style.width));
+    this._pdf.setDrawColor(style.color);
+    this._lines(points, 'S', closed);
+    this._pdf.setLineDashPattern([], 0);
+    this._pdf.setLineWidth(pdfMm(printedM(_DEFAULT_LINE_WIDTH)));
+    this._pdf.setDrawColor(this._drawColor);
+    if (typeof this._pdf.setLineType == 'function') {
+      this._pdf.setLineType(null);
+    }
   }
-}
 
-class Identity extends AffineTransformation {
-  constructor() {
-    super([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+  text(string, position, options={}) {
+    for (const key of Object.keys(options)) {
+      if (! ['size', 'direction', 'align'].includes(key)) {
+        throw new Error("DrawingPen.text: " + _unknownName("option", key,
+          ['size', 'direction', 'align']));
+      }
+    }
+    const align = (options.align === undefined) ? 'left' : options.align;
+    if (! ['left', 'center'].includes(align)) {
+      throw new Error(`DrawingPen.text: invalid align "${align}"`);
+    }
+    const size = printedM((options.size === undefined) ?
+      "2.5 mm" : options.size);
+    const direction = (options.direction === undefined) ?
+      vector("1 m", 0) : options.direction;
+    let [x, y] = this._xform.applyToPoint(position)._bare();
+    if (this._xform.outputFrame() != PRINTED) {
+      // not going onto paper (e.g. just measuring), so the text has no size
+      this._pdf.text(string, x, y);
+      return;
+    }
+    const [dx, dy] = this._xform.applyToVector(direction)._bare();
+    const length = Math.hypot(dx, dy);
+    const d = [dx / length, dy / length];
+    const up = [d[1], -d[0]];  // PDF y goes down the page
+    const sizeMm = size._toBare() * 1000;  // PDF units are "mm"
+    const previousSize = this._pdf.getFontSize();
+    this._pdf.setFontSize(sizeMm * 72 / 25.4);  // font sizes are in points
+    const back = (align == 'center') ? this._pdf.getTextWidth(string) / 2 : 0;
+    const down = 0.35 * sizeMm;  // half the height of a capital letter
+    x += -back * d[0] - down * up[0];
+    y += -back * d[1] - down * up[1];
+    this._pdf.text(string, x, y,
+                   {angle: Math.atan2(-d[1], d[0]) * 180 / Math.PI});
+    this._pdf.setFontSize(previousSize);
   }
-}
 
-class Translate extends AffineTransformation {
-  constructor(dx, dy) {
-    dx = worldM(dx)._toBare();
-    dy = worldM(dy)._toBare();
-    super([[1, 0, dx], [0, 1, dy], [0, 0, 1]]);
+  openPath(points) {
+    if (points.length < 2) {
+      throw new Error("DrawingPen.openPath needs at least 2 points");
+    }
+    this._lines(points, 'S', false);
   }
-}
 
-const ROT90 = 90;
-const ROT180 = 180;
-const ROT270 = 270;
+  polygon(points, style) {  // points may also be a Polygon
+    if (points instanceof Polygon) {
+      points = points.points();
+    }
+    if (points.length < 2) {
+      throw new Error("DrawingPen.polygon needs at least 2 points");
+    }
+    this._lines(points, this._styleCode(style, "polygon"), true);
+  }
 
-class Rotate extends AffineTransformation {
-  constructor(which) {
-    var m;
-    if (which == ROT90) {
-      m = [[0, -1, 0], [1, 0, 0], [0, 0, 1]];
-    } else if (which == ROT180) {
-      m = [[-1, 0, 0], [0, -1, 0], [0, 0, 1]];
-    } else if (which == ROT270) {
-      m = [[0, 1, 0], [-1, 0, 0], [0, 0, 1]];
+  _styleCode(style, opName) {
+    if (style == "stroke") {
+      return 'S';
+    } else if (style == "fill") {
+      return 'F';
+    } else if (style == "fillAndStroke") {
+      return 'FD';
+    }
+    throw new Error(`invalid style ${style} in DrawingPen.${opName}()`);
+  }
+
+  arc(center, radius, startAngle, endAngle) {
+    const start = angle(startAngle).radians();
+    const sweep = angle(endAngle).radians() - start;
+    if (sweep == 0) {
+      throw new Error("DrawingPen.arc: start and end angles are the same");
+    }
+    const r = worldM(radius)._toBare();
+    this._ellipticalPath(center, r, r, 0, start, sweep, 'S', false);
+  }
+
+  circle(center, radius, style) {
+    const r = worldM(radius)._toBare();
+    this._ellipticalPath(center, r, r, 0, 0, 2 * Math.PI,
+                         this._styleCode(style, "circle"), true);
+  }
+
+  ellipse(center, xRadius, yRadius, style, rotation) {
+    const rx = worldM(xRadius)._toBare();
+    const ry = worldM(yRadius)._toBare();
+    const rot = (rotation === undefined) ? 0 : angle(rotation).radians();
+    this._ellipticalPath(center, rx, ry, rot, 0, 2 * Math.PI,
+                         this._styleCode(style, "ellipse"), true);
+  }
+
+  _ellipticalPath(center, rx, ry, rotation, start, sweep, code, closed) {
+    if (! (center instanceof MeasurementPair) || center.type() != POINT) {
+      throw new Error("DrawingPen: center must be a point");
+    }
+    if (rx <= 0 || ry <= 0) {
+      throw new Error("DrawingPen: radius must be positive");
+    }
+    const [cx, cy] = center._bare();
+    const arc = _arcBeziers(cx, cy, rx, ry, rotation, start, sweep);
+    const toPoint = (pt) => center._pairFromBare(POINT, pt[0], pt[1]);
+    const legs = arc.curves.map((curve) => curve.map(toPoint));
+    this._path(toPoint(arc.start), legs, code, closed);
+  }
+
+  bezierPath(segments, style) {
+    if (! Array.isArray(segments) || segments.length < 2) {
+      throw new Error("DrawingPen.bezierPath needs a start and at least " +
+        "one segment");
+    }
+    for (const leg of segments.slice(1)) {
+      const ok = (leg instanceof MeasurementPair) ||
+                 (Array.isArray(leg) && leg.length == 3);
+      if (! ok) {
+        throw new Error("DrawingPen.bezierPath: each segment must be a " +
+          "point or a list of 3 points");
+      }
+    }
+    const legs = segments.slice(1).map(
+      (leg) => (leg instanceof MeasurementPair) ? [leg] : leg);
+    if (style === undefined || style == "open") {
+      this._path(segments[0], legs, 'S', false);
     } else {
-      throw new Error(`invalid rotation ${which}`);
+      this._path(segments[0], legs, this._styleCode(style, "bezierPath"),
+                 true);
     }
-    super(m);
   }
-}
 
-class ReflectAroundXAxis extends AffineTransformation {
-  constructor() {
-    super([[1, 0, 0], [0, -1, 0], [0, 0, 1]]);
+  _lines(points, style, closed) {
+    this._path(points[0], points.slice(1).map((pt) => [pt]), style, closed);
+  }
+
+  // Each leg is either [end] for a straight line, or
+  // [control1, control2, end] for a cubic Bezier curve.
+  _path(start, legs, style, closed) {
+    // convert from world coordinates to PDF coordinates
+    const toPdf = (pt) => this._xform.applyToPoint(pt);
+    let previous = toPdf(start);
+    const x = previous.x()._toBare();
+    const y = previous.y()._toBare();
+    const pdfDiffs = [];
+    for (const leg of legs) {
+      // jsPDF wants deltas from the end of the previous leg, not points
+      const diffs = [];
+      for (const pt of leg) {
+        const diff = toPdf(pt).minus(previous);
+        diffs.push(diff.x()._toBare(), diff.y()._toBare());
+      }
+      previous = toPdf(leg[leg.length - 1]);
+      pdfDiffs.push(diffs);
+    }
+    this._pdf.lines(pdfDiffs, x, y, null, style, closed);
   }
 }
 
 /*
-    ==== COMPONENT ====
+A _BoundsRecorder stands in for jsPDF when we only want to know where a
+DrawingPen would put ink, not actually put it anywhere.  It keeps the
+tight bounding box of everything drawn, including the bulges of Bezier
+curves (which can be well inside their control points).
+*/
 
-The Component class is intended to be used as a parent class.  Each type
-of separate part (or sub-part) of a model should have its own class which
-extends Component.  For example you can have a Wall class used to create
-multiple walls, and a different Roof class to draw a roof.  You will
-need to decide which things are sufficiently similar to be handled by a
-single class and which are sufficiently different to require their own
-class -- that is a design judgement; the library doesn't care.
+class _BoundsRecorder {
+  constructor() {
+    this._min = null;
+    this._max = null;
+  }
 
-Note that only the methods listed below (constructor, getExtent, and
-render), and marked "OVERRIDE this" in the code, should be overridden.
-The other Component methods are for internal use only.
+  setFillColor() {}
 
--- Constructor --
+  setDrawColor() {}
 
-Each child class needs its own constructor, whose primary jobs are:
+  setLineDashPattern() {}
 
-(1) Call the parent constructor with super().
+  setLineWidth() {}
 
-(2) Set up the geometry, i.e. use the options as appropriate to figure
-out where the interesting points are.  Stash all the points in
-instance variables of the Component object; by convention we put
-all that stuff in "this._geometry".
+  // Text only counts by where it starts; see DrawingPen.text().
+  text(string, x, y) {
+    this._include(x, y);
+  }
 
-(3) Figure out the total extent (i.e. width and height) of the component.
-This is needed later by getExtent(), which in turn are used to figure out
-what page to put each Piece (which is a component) on and where on the
-page it will fit.
+  _include(x, y) {
+    if (this._min === null) {
+      this._min = [x, y];
+      this._max = [x, y];
+    } else {
+      this._min = [Math.min(this._min[0], x), Math.min(this._min[1], y)];
+      this._max = [Math.max(this._max[0], x), Math.max(this._max[1], y)];
+    }
+  }
 
-(4) Create and position any (optional) sub-components.
+  // Where the derivative of a cubic Bezier (along one axis) is zero,
+  // i.e. the parameters 0 < t < 1 at which the curve turns around.
+  static _turningPoints(p0, p1, p2, p3) {
+    const a = -p0 + 3 * p1 - 3 * p2 + p3;
+    const b = 2 * (p0 - 2 * p1 + p2);
+    const c = p1 - p0;
+    let roots;
+    if (Math.abs(a) < _GEOMETRY_EPSILON) {
+      roots = (Math.abs(b) < _GEOMETRY_EPSILON) ? [] : [-c / b];
+    } else {
+      const disc = b * b - 4 * a * c;
+      roots = (disc < 0) ? [] : [(-b + Math.sqrt(disc)) / (2 * a),
+                                 (-b - Math.sqrt(disc)) / (2 * a)];
+    }
+    return roots.filter((t) => t > 0 && t < 1);
+  }
 
-In other words, the constructor does pretty much everything
-except for the actual drawing.  (That final step must be deferred
-until the Pieces are all sized and positioned onto pages.)
-Since the logic may be long and complex, it is perfectly reasonable
-to have the constructor call helper methods to do most of the work.
+  lines(legs, x, y) {
+    this._include(x, y);
+    for (const leg of legs) {
+      if (leg.length == 6) {
+        const xs = [x, x + leg[0], x + leg[2], x + leg[4]];
+        const ys = [y, y + leg[1], y + leg[3], y + leg[5]];
+        const at = (p, t) => (1-t)*(1-t)*(1-t)*p[0] + 3*(1-t)*(1-t)*t*p[1] +
+                             3*(1-t)*t*t*p[2] + t*t*t*p[3];
+        const ts = _BoundsRecorder._turningPoints(...xs).concat(
+                   _BoundsRecorder._turningPoints(...ys));
+        for (const t of ts) {
+          this._include(at(xs, t), at(ys, t));
+        }
+      }
+      x += leg[leg.length - 2];
+      y += leg[leg.length - 1];
+      this._include(x, y);
+    }
+  }
 
--- getExtent --
+  // {min, max, extent} like Polygon.boundingBox(), or null if nothing
+  // was drawn.
+  bounds(frame) {
+    if (this._min === null) {
+      return null;
+    }
+    const pt = (xy) => point(Measurement._fromBare(frame, xy[0]),
+                             Measurement._fromBare(frame, xy[1]));
+    return {
+      min: pt(this._min),
+      max: pt(this._max),
+      extent: extent(Measurement._fromBare(frame, this._max[0] - this._min[0]),
+                     Measurement._fromBare(frame, this._max[1] - this._min[1])),
+    };
+  }
+}
 
-The getExtent() method should also be overrideen by each child class.
-This exposes the results of any computation done by the constructor
-to determine the overall sizes of things.
+/*
+    ==== OPTION SCHEMA ====
+
+An OptionSchema describes the options a Kit understands:  for each one
+its type, its default, optional limits, and a line of help text.
+
+  new OptionSchema({
+    houseWidth: {type: "length", default: "20 ft", min: "4 ft",
+                 help: "outside width of the gable ends"},
+    roofPitch:  {type: "angle", default: "6:12", help: "roof slope"},
+    stories:    {type: "integer", default: 2, min: 1, max: 3},
+    siding:     {type: "enum", values: ["clapboard", "brick"],
+                 default: "clapboard"},
+    chimney:    {type: "boolean", default: true},
+    wallColor:  {type: "color", default: "peachpuff"},
+  });
+
+The types are:
+
+  length   -- anything worldM() accepts; converted to a Measurement
+  angle    -- anything angle() accepts; converted to an Angle
+  color    -- a color name like "red", or "#rgb" or "#rrggbb"
+  enum     -- one of the strings in "values"
+  integer  -- a whole number (a numeric string is fine too)
+  boolean  -- true or false (or "true" or "false")
+  string   -- any string
+
+min and max (given the same way as the values) apply to lengths, angles
+and integers.  convert() checks a whole dict of options at once and
+returns a new dict with every value converted, or throws an Error which
+lists everything that was wrong, including a "did you mean" suggestion
+for misspelled names.  describe() gives the same information as plain
+data, with defaults as given, for a UI to build its form from.
+
+-- derived options --
+
+A length, angle or integer option can also be given (or default to) an
+expression, which usually mentions other options, for example:
+
+  ridgeHeight:      {type: "length", default: "houseWidth / 2 * tan(roofPitch)"}
+  atticWindowWidth: {type: "length", default: "houseWidth / 10"}
+  sillHeight:       {type: "length", default: "storyHeight - windowHeight - 1 ft"}
+  doorHeight:       {type: "length", default: "6 ft + 8 in"}
+
+Expressions use the usual + - * / and parentheses, with Measurement (and
+Angle) arithmetic underneath, so a length times a number is a length and
+a length divided by a length is a plain number.  sin(), cos() and tan()
+take an Angle.  A literal can have units, like "1 ft 6 in" or "30 deg",
+but since "/" always means division, write "0.5 in" rather than "1/2 in"
+inside an expression.  A value is an expression if it names another
+option, or if it has an operator and isn't already a plain value of the
+option's type, so "1/2 in" and "-3 ft" on their own mean what they say.
+Options are worked out in whatever order their references require, and
+an option which (indirectly) refers to itself is reported with the whole
+chain of names, e.g. "a -> b -> a".
+
+*/
+
+const _OPTION_TYPES = {
+  length: (value) => worldM(value),
+  angle: (value) => angle(value),
+  color: (value) => {
+    if (typeof value != 'string' ||
+        ! value.match(/^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i)) {
+      throw new Error(`${JSON.stringify(value)} is not a color`);
+    }
+    return value;
+  },
+  enum: (value) => value,  // checked against "values" separately
+  integer: (value) => {
+    const number = (typeof value == 'string' && value.trim() != '') ?
+      Number(value) : value;
+    if (! Number.isInteger(number)) {
+      throw new Error(`${JSON.stringify(value)} is not an integer`);
+    }
+    return number;
+  },
+  boolean: (value) => {
+    if (value === true || value === "true") {
+      return true;
+    }
+    if (value === false || value === "false") {
+      return false;
+    }
+    throw new Error(`${JSON.stringify(value)} is not true or false`);
+  },
+  string: (value) => {
+    if (typeof value != 'string') {
+      throw new Error(`${JSON.stringify(value)} is not a string`);
+    }
+    return value;
+  },
+};
+
+// How many single-letter insertions, deletions and substitutions it
+// takes to turn a into b (the Levenshtein distance), ignoring case.
+function _editDistance(a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  let previous = Array.from({length: b.length + 1}, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// The closest of the candidates to name, if any is close enough to be a
+// plausible misspelling.
+function _didYouMean(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = _editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const limit = Math.max(2, Math.floor(name.length / 3));
+  return (bestDistance <= limit) ? best : null;
+}
 
--- render --
+function _unknownName(kind, name, candidates) {
+  const suggestion = _didYouMean(name, candidates);
+  return `unknown ${kind} "${name}"` +
+    (suggestion ? ` (did you mean "${suggestion}"?)` : '');
+}
 
-The "render()" method should also be overridden.  This is where
-the code should actually draw lines, paint colors, etc.  This is
-typically relatively straightforward, because all the interesting
-information is already stored in "this._geometry".
+const _EXPRESSION_FUNCTIONS = {
+  sin: (a) => a.sin(),
+  cos: (a) => a.cos(),
+  tan: (a) => a.tan(),
+};
 
-A component's render method need only draw the graphic elements at
-that level, i.e. it need NOT draw the children (subComponents).  The
-library will automatically call render() for each subComponent later.
-That means children are drawn "on top of" parents, so for example
-when you draw a wall you don't need to leave "holes" for the 
-subComponent windows to fit into.
+// Split an expression into numbers, names (of options, functions and
+// units) and single-character operators.
+function _tokenizeExpression(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const rest = text.substring(index);
+    const match = rest.match(/^\s+/) ||
+                  rest.match(/^([0-9]+\.?[0-9]*|\.[0-9]+)/) ||
+                  rest.match(/^[A-Za-z_][A-Za-z0-9_]*/) ||
+                  rest.match(/^[-+*\/()°'"]/);
+    if (! match) {
+      throw new Error(`unexpected character at index ${index}`);
+    }
+    if (match[0].trim() != '') {
+      tokens.push(match[0]);
+    }
+    index += match[0].length;
+  }
+  return tokens;
+}
 
-Each component must be created and drawn as if it has its own
-coordinate system, with the component representation drawn in the
-first quadrant (positive x and y) and nestled against the origin.
-For example, when you are rendering a window, you put the lower
-left corner of the window at (0, 0) regardless of where the window is
-actually going to end up on the containing wall or on the physical page.
-All that mapping is handled automatically by the library.
+function _isNumberToken(token) {
+  return token !== undefined && token.match(/^[0-9.]/) !== null;
+}
 
-*/
+function _isUnitToken(token, names) {
+  return token !== undefined && ! names.includes(token) &&
+    ! _EXPRESSION_FUNCTIONS.hasOwnProperty(token) &&
+    token.match(/^([A-Za-z_]|[°'"]$)/) !== null;
+}
 
-function mergeDicts(baseDict, newEntries) {
-  for (const key in newEntries) {
-    if (newEntries.hasOwnProperty(key)) {
-      baseDict[key] = newEntries[key];
+// "3 ft" or "30 deg", as a Measurement or an Angle
+function _literalWithUnit(number, unit) {
+  try {
+    return worldM([number, unit]);
+  } catch (e) {
+    try {
+      return angle(`${number} ${unit}`);
+    } catch (e2) {
+      throw new Error(`unknown unit "${unit}"`);
     }
   }
 }
 
-class Component {
-  constructor(oldOptions, newOptions) {  // OVERRIDE this, but call super().
-    this._options = {};
-    mergeDicts(this._options, oldOptions);
-    mergeDicts(this._options, newOptions);
-    this._width = null;
-    this._height = null;
-    this._positionXform = null;
-    this._subComponents = [];
-    this._geometry = {};
+function _expressionKind(value) {
+  if (typeof value == 'number') {
+    return "a number";
+  }
+  if (value instanceof Measurement) {
+    return "a length";
+  }
+  if (value instanceof Angle) {
+    return "an angle";
+  }
+  return (value instanceof Area) ? "an area" : "something else";
+}
 
-    // When overriding:
-    // Do all computations, set up the geometry, compute size of component,
-    // create any subComponents and position them in the parent.
-    // Do NOT render anything yet.
+function _arithmetic(op, a, b) {
+  const aNumber = (typeof a == 'number');
+  const bNumber = (typeof b == 'number');
+  if (aNumber && bNumber) {
+    return {'+': a + b, '-': a - b, '*': a * b, '/': a / b}[op];
+  }
+  switch (op) {
+    case '+':
+      return a.plus(b);
+    case '-':
+      return a.minus(b);
+    case '*':
+      return aNumber ? b.times(a) : a.times(b);
+    default:
+      if (aNumber) {
+        throw new Error("cannot divide a number by a Measurement");
+      }
+      return a.dividedBy(b);
   }
+}
 
-  toString() {
-    return `${this.constructor.name}()`;
+// Recursive descent over the tokens, evaluating as it goes.  lookup(name)
+// gives the value of another option.
+class _ExpressionEvaluator {
+  constructor(text, names, lookup) {
+    this._tokens = _tokenizeExpression(text);
+    this._names = names;
+    this._lookup = lookup;
+    this._index = 0;
   }
 
-  getExtent() {  // OVERRIDE this.
-    throw new Error('"Component.getExtent()" must be overridden.');
+  evaluate() {
+    const value = this._sum();
+    if (this._index < this._tokens.length) {
+      throw new Error(`unexpected "${this._tokens[this._index]}"`);
+    }
+    return value;
   }
 
-  set(optionName, optionValue) {
-    this._options[optionName] = optionValue;
+  _peek() {
+    return this._tokens[this._index];
   }
 
-  get(optionName) {
-    return this._options[optionName];
+  _next() {
+    const token = this._tokens[this._index++];
+    if (token === undefined) {
+      throw new Error("unexpected end of expression");
+    }
+    return token;
   }
 
-  _setPositionXform(position) {
-    this._positionXform = new Translate(position.x(), position.y());
+  _sum() {
+    let value = this._product();
+    while (this._peek() == '+' || this._peek() == '-') {
+      const op = this._next();
+      value = _arithmetic(op, value, this._product());
+    }
+    return value;
   }
 
-  addSubComponent(subComponent, position) {
-    subComponent._setPositionXform(position);
-    this._subComponents.push(subComponent);
-    // someday add code here to verify that subcomponent bounding box
-    // fits inside parent component bounding box
+  _product() {
+    let value = this._factor();
+    while (this._peek() == '*' || this._peek() == '/') {
+      const op = this._next();
+      value = _arithmetic(op, value, this._factor());
+    }
+    return value;
   }
 
-  render(/*pen*/) {  // OVERRIDE this.
-    throw new Error('"Component.render(pen)" must be overridden.');
+  _factor() {
+    const token = this._next();
+    if (token == '-') {
+      return _arithmetic('*', -1, this._factor());
+    }
+    if (token == '+') {
+      return this._factor();
+    }
+    if (token == '(') {
+      const value = this._sum();
+      if (this._next() != ')') {
+        throw new Error('missing ")"');
+      }
+      return value;
+    }
+    if (_EXPRESSION_FUNCTIONS.hasOwnProperty(token)) {
+      if (this._next() != '(') {
+        throw new Error(`${token} needs parentheses`);
+      }
+      const arg = this._sum();
+      if (this._next() != ')') {
+        throw new Error('missing ")"');
+      }
+      if (! (arg instanceof Angle)) {
+        throw new Error(`${token}() needs an angle`);
+      }
+      return _EXPRESSION_FUNCTIONS[token](arg);
+    }
+    if (this._names.includes(token)) {
+      return this._lookup(token);
+    }
+    if (_isNumberToken(token)) {
+      const number = Number(token);
+      if (! _isUnitToken(this._peek(), this._names)) {
+        return number;
+      }
+      let value = _literalWithUnit(number, this._next());
+      // more of the same literal, as in "1 ft 6 in"
+      while (_isNumberToken(this._peek()) &&
+             _isUnitToken(this._tokens[this._index + 1], this._names)) {
+        const more = Number(this._next());
+        value = value.plus(_literalWithUnit(more, this._next()));
+      }
+      return value;
+    }
+    throw new Error(`unknown name "${token}"`);
   }
 }
 
-/*
-    ==== PAGE ====
-
-The Page class represents a single page of the pdf file.  It's really
-just a list and the logic is trivial so we don't really need a special
-class for it, but having a Page class makes the code easier to understand.
-
-*/
-
-class Page {
-  constructor() {
-    this._positionedPieceList = [];
+class OptionSchema {
+  constructor(specs) {
+    this._specs = {};
+    for (const name of Object.keys(specs)) {
+      this._specs[name] = specs[name];
+    }
+    for (const name of Object.keys(specs)) {
+      this._specs[name] = this._checkSpec(name, specs[name]);
+    }
+    // derived defaults can only be checked once every option is known
+    this.convert({}, "OptionSchema: invalid defaults");
   }
 
   toString() {
-    return "Page()";
+    return `OptionSchema(${Object.keys(this._specs).join(', ')})`;
   }
 
-  addPositionedPiece(piece) {
-    this._positionedPieceList.push(piece);
+  _checkSpec(name, spec) {
+    const where = `OptionSchema: option "${name}"`;
+    if (! _OPTION_TYPES.hasOwnProperty(spec.type)) {
+      throw new Error(`${where} has ` +
+        _unknownName("type", String(spec.type), Object.keys(_OPTION_TYPES)));
+    }
+    for (const key of Object.keys(spec)) {
+      if (! ['type', 'default', 'min', 'max', 'values', 'help']
+            .includes(key)) {
+        throw new Error(`${where} has ` + _unknownName("setting", key,
+          ['type', 'default', 'min', 'max', 'values', 'help']));
+      }
+    }
+    if (spec.type == 'enum' &&
+        ! (Array.isArray(spec.values) && spec.values.length > 0)) {
+      throw new Error(`${where} is an enum without any values`);
+    }
+    if ((spec.min !== undefined || spec.max !== undefined) &&
+        ! ['length', 'angle', 'integer'].includes(spec.type)) {
+      throw new Error(`${where}: min and max only apply to lengths, ` +
+        "angles and integers");
+    }
+    if (! spec.hasOwnProperty('default')) {
+      throw new Error(`${where} has no default`);
+    }
+    const checked = Object.assign({help: ""}, spec);
+    if (this._isExpression(checked, spec.default)) {
+      return checked;  // checked along with the others, by convert()
+    }
+    // make sure the default itself is acceptable
+    const problem = this._convertOne(checked, spec.default).problem;
+    if (problem) {
+      throw new Error(`${where} has an invalid default: ${problem}`);
+    }
+    return checked;
   }
 
-  allPieces() {
-    return this._positionedPieceList;
+  names() {
+    return Object.keys(this._specs);
   }
-}
-
-/*
-    ==== DRAWING PEN ====
-
-When you want to actually lay down digital ink, you use a DrawingPen
-to add the ink to the pdf page(s).
-
-There is a new DrawingPen object created for each Component because
-each Component has its own xform (AffineTransformation).
 
-A DrawingPen is basically a wrapper around the jsPDF methods, and the
-pen is where the transformation matrix is finally applied to the
-actual coordinates.  This matrix contains all the information needed
-about the shapes and sizes of graphics in a Comnponent, the locations
-of subComponents, the scaling necessary (O, HO, N, Z, etc.), the
-conversion from internal units ("m") to pdf units ("mm"), and the
-inversion of the Y-axis to make Y go up instead of down.
-The beauty of the matrix is that everything is wrapped into a single
-(matrix X vector) multiplication.
+  has(name) {
+    return this._specs.hasOwnProperty(name);
+  }
 
-*/
+  defaults() {
+    const result = {};
+    for (const name of this.names()) {
+      result[name] = this._specs[name].default;
+    }
+    return result;
+  }
 
-class DrawingPen {
-  constructor(pdf, xform) {
-    this._pdf = pdf;
-    this._xform = xform;
+  // Plain data (no Measurements or functions) for building a UI.
+  describe() {
+    return this.names().map((name) => {
+      const spec = this._specs[name];
+      const entry = {name: name, type: spec.type, default: spec.default,
+                     help: spec.help};
+      for (const key of ['min', 'max', 'values']) {
+        if (spec[key] !== undefined) {
+          entry[key] = spec[key];
+        }
+      }
+      return entry;
+    });
   }
 
-  set(props) {  // maybe fold this into ctor
-    if (props.hasOwnProperty("fillColor")) {
-      this._pdf.setFillColor(props.fillColor);
+  // Whether value is an expression to be evaluated (see "derived
+  // options") rather than a value to be converted directly.
+  _isExpression(spec, value) {
+    if (typeof value != 'string' ||
+        ! ['length', 'angle', 'integer'].includes(spec.type)) {
+      return false;
     }
-    if (props.hasOwnProperty("drawColor")) {
-      this._pdf.setDrawColor(props.drawColor);
+    const names = value.match(/[A-Za-z_][A-Za-z0-9_]*/g) || [];
+    if (names.some((name) => this.has(name))) {
+      return true;
     }
-  }
-
-  openPath(points) {
-    if (points.length < 2) {
-      throw new Error("DrawingPen.openPath needs at least 2 points");
+    if (! value.match(/[-+*\/()]/)) {
+      return false;
+    }
+    // arithmetic on literals, like "3 ft + 2 in", unless the type takes
+    // it as it is, like "1/2 in"
+    try {
+      _OPTION_TYPES[spec.type](value);
+      return false;
+    } catch (e) {
+      return true;
     }
-    this._lines(points, 'S', false);
   }
 
-  polygon(points, style) {
-    if (points.length < 2) {
-      throw new Error("DrawingPen.polygon needs at least 2 points");
+  // {value} if value is acceptable for spec, {problem} if it isn't.
+  // expression is the text value was worked out from, if any.
+  _convertOne(spec, value, expression) {
+    let converted;
+    try {
+      converted = _OPTION_TYPES[spec.type](value);
+    } catch (e) {
+      return {problem: e.message};
     }
-    if (style == "stroke") {
-      this._lines(points, 'S', true);
-    } else if (style == "fill") {
-      this._lines(points, 'F', true);
-    } else if (style == "fillAndStroke") {
-      this._lines(points, 'FD', true);
-    } else {
-      throw new Error(`invalid style ${style} in DrawingPen.polygon()`);
+    if (spec.type == 'enum' && ! spec.values.includes(converted)) {
+      return {problem: `${JSON.stringify(value)} is not one of ` +
+        spec.values.map((v) => JSON.stringify(v)).join(', ')};
+    }
+    // what to call the value in a message: as given if it was typed in,
+    // otherwise the expression and what it came to
+    const formatted = (spec.type == 'length') ? converted.format() :
+      (spec.type == 'angle') ? `${+converted.degrees().toFixed(2)} deg` :
+      String(converted);
+    const shown = (expression !== undefined) ?
+      `${JSON.stringify(expression)} (${formatted})` :
+      (typeof value == 'string' || typeof value == 'number') ?
+      JSON.stringify(value) : formatted;
+    const limit = (bound) => _OPTION_TYPES[spec.type](bound);
+    if (spec.min !== undefined) {
+      const min = limit(spec.min);
+      if (spec.type == 'integer' ? converted < min : converted.lessThan(min)) {
+        return {problem: `${shown} is less than the ` +
+          `minimum of ${JSON.stringify(spec.min)}`};
+      }
     }
+    if (spec.max !== undefined) {
+      const max = limit(spec.max);
+      if (spec.type == 'integer' ? converted > max :
+          converted.greaterThan(max)) {
+        return {problem: `${shown} is more than the ` +
+          `maximum of ${JSON.stringify(spec.max)}`};
+      }
+    }
+    return {value: converted};
   }
 
-  _lines(points, style, closed) {
-    // convert from world coordinates to PDF coordinates
-    const pdfPoints = [];
-    for (const point of points) {
-      pdfPoints.push(this._xform.applyToPoint(point));
+  convert(options, owner="OptionSchema") {
+    const problems = [];
+    for (const name of Object.keys(options)) {
+      if (! this.has(name)) {
+        problems.push(_unknownName("option", name, this.names()));
+      }
     }
-    const x = pdfPoints[0].x()._toBare();
-    const y = pdfPoints[0].y()._toBare();
-    const pdfDiffs = [];
-    for (let i = 1; i < points.length; i++ ) {
-      // jsPDF wants deltas, not points
-      const diff = pdfPoints[i].minus(pdfPoints[i-1]);
-      pdfDiffs.push([diff.x()._toBare(), diff.y()._toBare()]);
+    const given = (name) => options.hasOwnProperty(name) ?
+      options[name] : this._specs[name].default;
+
+    // Each option is worked out at most once, when first needed.
+    // "outcomes" holds the {value} or {problem}, and "chain" the options
+    // currently being worked out, to catch cycles.
+    const outcomes = {};
+    const chain = [];
+    const resolve = (name) => {
+      if (outcomes.hasOwnProperty(name)) {
+        return outcomes[name];
+      }
+      if (chain.includes(name)) {
+        const cycle = chain.slice(chain.indexOf(name)).concat([name]);
+        const error = new Error(`option cycle: ${cycle.join(' -> ')}`);
+        error.cycle = cycle;
+        throw error;
+      }
+      const spec = this._specs[name];
+      const value = given(name);
+      if (! this._isExpression(spec, value)) {
+        outcomes[name] = this._convertOne(spec, value);
+        return outcomes[name];
+      }
+      chain.push(name);
+      let outcome;
+      try {
+        const evaluator = new _ExpressionEvaluator(value, this.names(),
+          (other) => {
+            const otherOutcome = resolve(other);
+            if (otherOutcome.problem) {
+              throw new Error(`depends on "${other}", which is invalid`);
+            }
+            return otherOutcome.value;
+          });
+        const result = evaluator.evaluate();
+        const kind = _expressionKind(result);
+        const wanted = {length: "a length", angle: "an angle",
+                        integer: "a number"}[spec.type];
+        if (kind != wanted) {
+          throw new Error(`the result is ${kind}, not ${wanted}`);
+        }
+        outcome = this._convertOne(spec, result, value);
+      } catch (e) {
+        if (e.cycle) {
+          throw e;
+        }
+        outcome = {problem: `cannot evaluate ${JSON.stringify(value)}: ` +
+          e.message};
+      } finally {
+        chain.pop();
+      }
+      outcomes[name] = outcome;
+      return outcome;
+    };
+
+    const result = {};
+    for (const name of this.names()) {
+      let outcome = null;
+      while (outcome === null) {
+        try {
+          outcome = resolve(name);
+        } catch (e) {  // a cycle; report it once, and carry on
+          problems.push(e.message);
+          for (const member of e.cycle) {
+            outcomes[member] = {problem: "part of a cycle", inCycle: true};
+          }
+        }
+      }
+      if (outcome.problem) {
+        if (! outcome.inCycle) {
+          problems.push(`option "${name}": ${outcome.problem}`);
+        }
+      } else {
+        result[name] = outcome.value;
+      }
     }
-    this._pdf.lines(pdfDiffs, x, y, null, style, closed);
+    if (problems.length == 1) {
+      throw new Error(`${owner}: ${problems[0]}`);
+    }
+    if (problems.length > 1) {
+      throw new Error(`${owner}: ${problems.length} problems with options:` +
+        problems.map((p) => `\n  ${p}`).join(''));
+    }
+    return result;
   }
 }
 
@@ -1215,11 +5703,11 @@ which are all printed on the same set of pages.  The class "Kit" is
 intended as a parent class, for example:
 
 class SimpleHouse extends Kit {
-  getDefaultOptions() {
+  getOptionSchema() {
     return {
-      houseWidth: "20 ft",
-      houseDepth: "35 ft",
-      roofPitch:  0.5,
+      houseWidth: {type: "length", default: "20 ft", help: "gable end"},
+      houseDepth: {type: "length", default: "35 ft", help: "side walls"},
+      roofPitch:  {type: "angle", default: "6:12", help: "roof slope"},
     };
   }
 
@@ -1228,10 +5716,25 @@ class SimpleHouse extends Kit {
   }
 }
 
+getOptionSchema() returns OptionSchema specs (see above) for the Kit's
+own options; the essential format, scale and pdfFileName options are
+added automatically.  Option values are checked and converted when
+generate() is called, so by the time build() runs a length option is a
+Measurement and an angle option is an Angle.  An older Kit can instead
+override getDefaultOptions() to return a plain dict of defaults, in
+which case nothing is checked or converted.
+
 */
 
 class Kit {
   constructor() {  // This should NOT be overridden.
+    const specs = this.getOptionSchema();
+    this._schema = null;
+    if (specs !== null) {
+      const allSpecs = this._essentialOptionSpecs();
+      mergeDicts(allSpecs, specs);
+      this._schema = new OptionSchema(allSpecs);
+    }
     // A few options are essential for internal needs.
     this._options = {
       format: "letter",
@@ -1239,6 +5742,13 @@ class Kit {
       pdfFileName: `${this.constructor.name}.pdf`,
     };
     mergeDicts(this._options, this.getDefaultOptions());
+    // _options holds what build() sees (converted, once generate() has
+    // run); _settings holds the options as they were given.
+    this._settings = Object.assign({}, this._options);
+    this._scaleContext = null;  // gets filled in by generate()
+    this._warnings = [];
+    this._pieceList = [];
+    this._joins = [];
 
     // For other valid formats, see:
     // https://github.com/parallax/jsPDF/blob/ddbfc0f0250ca908f8061a72fa057116b7613e78/jspdf.js#L59
@@ -1252,22 +5762,106 @@ class Kit {
   // options and their default values.  This is needed when using the
   // web interface, so the browser code can set up selection
   // boxes/pulldowns/checkboxes.  When running from node, this method
-  // is called automatically by the constructor.
+  // is called automatically by the constructor.  A Kit with an option
+  // schema gets this for free, and optionSchema().describe() tells the
+  // browser each option's type, limits and help text as well.
+
+  getDefaultOptions() {  // OVERRIDE this, or getOptionSchema().
+    return (this._schema === null) ? {} : this._schema.defaults();
+  }
+
+  getOptionSchema() {  // OVERRIDE this, or getDefaultOptions().
+    return null;
+  }
 
-  getDefaultOptions() {  // OVERRIDE this.
+  // Changes to the house style for cut and fold lines; see "line types"
+  // under DRAWING PEN.  For example {valley: {color: "blue"}}.
+  getLineStyles() {  // OVERRIDE this if needed.
     return {};
   }
 
+  // The OptionSchema for this Kit, or null if it has none.
+  optionSchema() {
+    return this._schema;
+  }
+
+  _essentialOptionSpecs() {
+    return {
+      format: {type: "string", default: "letter",
+               help: "paper size, e.g. letter, legal, a4"},
+      // Not an enum:  a ratio like "1:120", or a scale registered after
+      // this Kit was made, is fine too.  generate() checks it.
+      scale: {type: "string", default: "HO",
+              help: "model railroad scale, e.g. HO, N or 1:120"},
+      pdfFileName: {type: "string", default: `${this.constructor.name}.pdf`,
+                    help: "where to save the PDF"},
+    };
+  }
+
+  _checkOptionName(optionName, opName) {
+    if (this._schema !== null && ! this._schema.has(optionName)) {
+      throw new Error(`${this}.${opName}: ` +
+        _unknownName("option", optionName, this._schema.names()));
+    }
+  }
+
   set(optionName, optionValue) {
+    this._checkOptionName(optionName, "set");
+    this._settings[optionName] = optionValue;
     this._options[optionName] = optionValue;
   }
 
   get(optionName) {
+    this._checkOptionName(optionName, "get");
     return this._options[optionName];
   }
 
+  // The ScaleContext this Kit is being (or was last) generated with.
+  scaleContext() {
+    return this._scaleContext;
+  }
+
+  // Problems noticed while generating which weren't bad enough to stop,
+  // e.g. a Component whose getExtent() doesn't match its drawing.  The
+  // library doesn't print them; it is up to the caller to look.
+  warnings() {
+    return this._warnings;
+  }
+
+  _warn(message) {
+    this._warnings.push(message);
+  }
+
   generate(userOptions) {  // This should NOT be overridden.
-    mergeDicts(this._options, userOptions);
+    let options = this._options;
+    if (this._schema === null) {
+      mergeDicts(options, userOptions);
+    } else {
+      const settings = Object.assign({}, this._settings, userOptions);
+      options = this._schema.convert(settings, `${this}.generate`);
+    }
+    const scaleContext = this._scaleContextFor(options.scale);
+    this._options = options;
+    mergeDicts(this._settings, userOptions);
+    this._warnings = [];
+    this._scaleContext = scaleContext;
+    this._lineStyles = _resolveLineStyles(this.getLineStyles());
+    ScaleContext._runWith(this._scaleContext, () => this._generate());
+  }
+
+  // The scale is looked up now rather than when the Kit was made, so
+  // that it sees every scale registered so far.
+  _scaleContextFor(scale) {
+    try {
+      return new ScaleContext(scale);
+    } catch (e) {
+      throw new Error(`${this}.generate: option "scale": ` +
+        _unknownName("scale", scale, ConversionFactors.listScales().map(
+          (entry) => entry.name)) + ', and not a ratio like "1:120"');
+    }
+  }
+
+  _generate() {
     const pdf = new jsPDF({
       orientation: "portrait",
       unit: "mm",
@@ -1275,8 +5869,7 @@ class Kit {
     });
     this._pdf = pdf;
     // convert PDF "mm" to world "m"
-    // Measurement._setConversionFactor(this._options.scale) {
-    const ratio = ConversionFactors.scale(this._options.scale).ratio;
+    const ratio = this._scaleContext.ratio();
     const adjust = 0.001 / ratio;
  
     // computer size of page in real-world meters
@@ -1290,20 +5883,176 @@ class Kit {
     // slide from 4th quandrant back to 1st
     const shift = new Translate(0, this._pageHeight);
     // convert world "m" to PDF "mm"
-    const shrink = new Resize(1000 * ratio);
+    const shrink = new Resize(1000 * ratio).withFrames(WORLD, PRINTED);
     const masterXform = shrink.compose(shift).compose(flip);
 
     this._pieceList = [];
+    this._joins = [];
     this.build(this._options);
+    const problems = this.validate();
+    if (problems.length > 0) {
+      throw new Error(`${this}: found ${problems.length} problem(s):\n` +
+        problems.map((p) => `  ${p.message}`).join('\n'));
+    }
     this._pageList = [];
     this.pack();
     this.render(masterXform, this._options.pdfFileName);
   }
 
+  // After generate(), this reports how well the pieces used the paper:
+  // the number of pages, the PRINTED area of all the pieces and of all
+  // the pages, and "coverage", the fraction of the paper used.
+
+  paperUsage() {  // This should NOT be overridden.
+    if (this._scaleContext === null) {
+      throw new Error("Kit.paperUsage: call generate() first");
+    }
+    let pieceArea = worldArea(0);
+    for (const piece of this._pieceList) {
+      pieceArea = pieceArea.plus(piece.component.getExtent().area());
+    }
+    const pageArea = this._pageWidth.times(this._pageHeight);
+    const paperArea = pageArea.times(this._pageList.length);
+    return {
+      pages: this._pageList.length,
+      pieceArea: pieceArea.toPrinted(this._scaleContext),
+      paperArea: paperArea.toPrinted(this._scaleContext),
+      coverage: pieceArea.dividedBy(paperArea),
+    };
+  }
+
   addPiece(comp) {  // This should NOT be overridden.
+    this._checkExtents(comp);
     this._pieceList.push(new Piece(comp));
   }
 
+  // Say that edge edgeA of Component a gets glued to edge edgeB of b,
+  // and label both edges to match.  label may also be {label, overhang}.
+  // See "edge labels" under COMPONENT.  Returns the label.
+  join(a, edgeA, b, edgeB, label) {  // This should NOT be overridden.
+    edgeA = a._edgeIndex(edgeA, "join");
+    edgeB = b._edgeIndex(edgeB, "join");
+    let overhang = worldM(0);
+    if (label !== null && typeof label == 'object') {
+      for (const key of Object.keys(label)) {
+        if (! ["label", "overhang"].includes(key)) {
+          throw new Error(`${this}.join: ` +
+            _unknownName("option", key, ["label", "overhang"]));
+        }
+      }
+      if (label.overhang !== undefined) {
+        overhang = worldM(label.overhang);
+      }
+      label = label.label;
+    }
+    const used = new Set(this._joins.map((j) => j.label));
+    if (label === undefined) {
+      for (let i = 0; label === undefined || used.has(label); i++) {
+        label = Kit._autoLabel(i);
+      }
+    } else if (used.has(label)) {
+      throw new Error(`${this}.join: label "${label}" is already used`);
+    }
+    for (const j of this._joins) {
+      for (const [c, edge] of [[a, edgeA], [b, edgeB]]) {
+        if ((j.a === c && j.edgeA === edge) || (j.b === c && j.edgeB === edge)) {
+          throw new Error(`${this}.join: ${c.edgeName(edge)} of ${c} is ` +
+            `already joined ("${j.label}")`);
+        }
+      }
+    }
+    a.setEdgeLabel(edgeA, label);
+    b.setEdgeLabel(edgeB, label);
+    this._joins.push({a: a, edgeA: edgeA, b: b, edgeB: edgeB, label: label,
+                      overhang: overhang});
+    return label;
+  }
+
+  // The joins made so far, each {a, edgeA, b, edgeB, label, overhang}.
+  joins() {
+    return this._joins.slice();
+  }
+
+  // "A" to "Z", then "AA", "AB", ... like spreadsheet columns.
+  static _autoLabel(index) {
+    let label = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      label = String.fromCharCode(65 + (n - 1) % 26) + label;
+    }
+    return label;
+  }
+
+  // All the geometry problems in the pieces built so far, as a list of
+  // {kind, path, message}.  See "validation" under COMPONENT above.
+  validate() {
+    const problems = [];
+    this._pieceList.forEach((piece, i) =>
+      piece.component._validate(`${piece.component} #${i + 1}`, problems));
+    this._validateJoins(problems);
+    return problems;
+  }
+
+  getJoinTolerance() {  // OVERRIDE this if needed.
+    return "0.25 mm";
+  }
+
+  _validateJoins(problems) {
+    if (this._joins.length == 0) {
+      return;
+    }
+    const tolerance = printedM(this.getJoinTolerance())
+      .toWorld(this._scaleContext);
+    for (const {a, edgeA, b, edgeB, label, overhang} of this._joins) {
+      const lengthA = a.edgeLength(edgeA);
+      const lengthB = b.edgeLength(edgeB);
+      const difference = lengthA.minus(lengthB).minus(overhang.times(2));
+      if (Math.abs(difference._toBare()) > tolerance._toBare()) {
+        const path = this._pathTo(a);
+        const past = (overhang._toBare() == 0) ? "" :
+          ` and which it should overhang by ${overhang.format()} at each end`;
+        problems.push({kind: "join", path: path,
+          message: `${path}: ${a.edgeName(edgeA)} is ${lengthA.format()} ` +
+            `long, but ${b.edgeName(edgeB)} of ${this._pathTo(b)}, which ` +
+            `it joins ("${label}")${past}, is ${lengthB.format()}`});
+      }
+    }
+  }
+
+  // The path validate() uses for component, e.g. "PeakedWall() #1".
+  _pathTo(component) {
+    const search = (node, path) => {
+      if (node === component) {
+        return path;
+      }
+      for (let i = 0; i < node._subComponents.length; i++) {
+        const sub = node._subComponents[i];
+        const found = search(sub, `${path} > ${sub} #${i + 1}`);
+        if (found !== null) {
+          return found;
+        }
+      }
+      return null;
+    };
+    for (let i = 0; i < this._pieceList.length; i++) {
+      const piece = this._pieceList[i].component;
+      const found = search(piece, `${piece} #${i + 1}`);
+      if (found !== null) {
+        return found;
+      }
+    }
+    return `${component} (not a piece)`;
+  }
+
+  _checkExtents(component) {
+    const mismatch = component._extentMismatch();
+    if (mismatch !== null) {
+      this._warn(mismatch);
+    }
+    for (const subComponent of component._subComponents) {
+      this._checkExtents(subComponent);
+    }
+  }
+
   build() {  // OVERRIDE this.
     throw new Error('"Kit.build()" must be overridden.');
   }
@@ -1323,8 +6072,8 @@ class Kit {
       for (const record of bp.positioned) {
         const piece = record.datum;
         piece._position = point(
-          worldM([record.x, 'm']),
-          worldM([record.y, 'm']));
+          worldM([record.x - piece._offset[0], 'm']),
+          worldM([record.y - piece._offset[1], 'm']));
         page.addPositionedPiece(piece);
       }
       this._pageList.push(page);
@@ -1344,7 +6093,10 @@ class Kit {
       bounds: {x: 1, y: 1, w: 50, h: 50 },
       contents: `File created at ${timestamp}\n` +
         `with class ${this.constructor.name} using these options:\n` +
-        JSON.stringify(this._options, null, 2) +
+        JSON.stringify(this._settings, null, 2) +
+        `\nAt ${this._scaleContext.description()} each page covers ` +
+        `${this._pageWidth.format("ft in", {denominator: 16})} by ` +
+        `${this._pageHeight.format("ft in", {denominator: 16})}.` +
         '\nSee http://paperscissorsfun.com for more information.',
       color: "#FF0000",
       open: false // Set to true to open the pop-up by default
@@ -1367,10 +6119,13 @@ class Kit {
 
   _renderTreeNodes(pdf, xform, component) {
     const currentXform = xform.compose(component._positionXform);
-    component.render(new DrawingPen(pdf, currentXform));
+    const pen = new DrawingPen(pdf, currentXform, this._scaleContext,
+                               this._lineStyles);
+    component.render(pen);
     for (const subComponent of component._subComponents) {
       this._renderTreeNodes(pdf, currentXform, subComponent);
     }
+    component._renderOutline(pen);  // on top, so nothing covers the cuts
   }
 }
 
@@ -1384,6 +6139,9 @@ module.exports = {
   PRINTED,
   worldM,
   printedM,
+  Area,
+  worldArea,
+  printedArea,
   MeasurementPair,
   POINT,
   VECTOR,
@@ -1391,7 +6149,14 @@ module.exports = {
   point,
   vector,
   extent,
+  Angle,
+  angle,
+  Segment,
+  Polygon,
   ConversionFactors,
+  ScaleContext,
+  OptionSchema,
+  parseFacade,
   AffineTransformation,
   Resize,
   Identity,
@@ -1400,9 +6165,24 @@ module.exports = {
   ROT90,
   ROT180,
   ROT270,
+  RotateAbout,
+  Shear,
   ReflectAroundXAxis,
+  ReflectAcross,
   Component,
+  Net,
+  NetFace,
+  BoxNet,
+  PrismNet,
+  GablePrismNet,
+  PyramidNet,
+  FrustumNet,
+  RoofNet,
+  ROOF_STYLES,
   Page,
+  DrawingPen,
+  LINE_STYLES,
+  TAB_STYLE,
   Kit,
 };
 
@@ -22,6 +22,9 @@ SOFTWARE.
 
 */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const psflib = require('./psflib');
 const Measurement = psflib.Measurement;
 const WORLD = psflib.WORLD;
@@ -29,6 +32,9 @@ const PRINTED = psflib.PRINTED;
 const worldM = psflib.worldM;
 const W = worldM;
 const printedM = psflib.printedM;
+const Area = psflib.Area;
+const worldArea = psflib.worldArea;
+const printedArea = psflib.printedArea;
 const MeasurementPair = psflib.MeasurementPair;
 const POINT = psflib.POINT;
 const VECTOR = psflib.VECTOR;
@@ -38,7 +44,12 @@ const P = point;
 const vector = psflib.vector;
 const V = vector;
 const extent = psflib.extent;
+const Angle = psflib.Angle;
+const angle = psflib.angle;
+const Segment = psflib.Segment;
+const Polygon = psflib.Polygon;
 const ConversionFactors = psflib.ConversionFactors;
+const ScaleContext = psflib.ScaleContext;
 const AffineTransformation = psflib.AffineTransformation;
 const Resize = psflib.Resize;
 const Translate = psflib.Translate;
@@ -47,9 +58,60 @@ const ROT90 = psflib.ROT90;
 const ROT180 = psflib.ROT180;
 const ROT270 = psflib.ROT270;
 const ReflectAroundXAxis = psflib.ReflectAroundXAxis;
+const RotateAbout = psflib.RotateAbout;
+const Shear = psflib.Shear;
+const ReflectAcross = psflib.ReflectAcross;
 const Component = psflib.Component;
 const Page = psflib.Page;
+const DrawingPen = psflib.DrawingPen;
+const LINE_STYLES = psflib.LINE_STYLES;
+const TAB_STYLE = psflib.TAB_STYLE;
 const Kit = psflib.Kit;
+const OptionSchema = psflib.OptionSchema;
+const parseFacade = psflib.parseFacade;
+const Identity = psflib.Identity;
+const Net = psflib.Net;
+const BoxNet = psflib.BoxNet;
+const PrismNet = psflib.PrismNet;
+const GablePrismNet = psflib.GablePrismNet;
+const PyramidNet = psflib.PyramidNet;
+const FrustumNet = psflib.FrustumNet;
+const RoofNet = psflib.RoofNet;
+const ROOF_STYLES = psflib.ROOF_STYLES;
+
+// A stand-in for jsPDF which just records the calls made to it.
+class FakePdf {
+  constructor() {
+    this.calls = [];
+  }
+  lines(...args) {
+    this.calls.push(["lines"].concat(args));
+  }
+  setFillColor(color) {
+    this.calls.push(["setFillColor", color]);
+  }
+  setDrawColor(color) {
+    this.calls.push(["setDrawColor", color]);
+  }
+  setLineDashPattern(dash, phase) {
+    this.calls.push(["setLineDashPattern", dash, phase]);
+  }
+  setLineWidth(width) {
+    this.calls.push(["setLineWidth", width]);
+  }
+  text(...args) {
+    this.calls.push(["text"].concat(args));
+  }
+  getFontSize() {
+    return 16;
+  }
+  setFontSize(size) {
+    this.calls.push(["setFontSize", size]);
+  }
+  getTextWidth(string) {
+    return string.length;  // 1 mm per character
+  }
+}
 
 describe("Measurement", () => {
   test("constructor", () => {
@@ -101,6 +163,45 @@ describe("Measurement", () => {
       'invalid spec {}');
   });
 
+  test("fractions and mixed numbers", () => {
+    expect(W("1/8 in")._toBare()).toBeCloseTo(0.003175);
+    expect(W("3 1/2 in")._toBare()).toBeCloseTo(0.0889);
+    expect(W("3-1/2 in")._toBare()).toBeCloseTo(0.0889);
+    expect(W(`5' 6-3/4"`)._toBare()).toBeCloseTo(1.69545);
+    expect(W(`5'6-3/4"`)._toBare()).toBeCloseTo(1.69545);
+    expect(W("-1/2 m")._toBare()).toBeCloseTo(-0.5);
+    expect(W("-2 1/2 m")._toBare()).toBeCloseTo(-2.5);
+    expect(W("+3/4 m")._toBare()).toBeCloseTo(0.75);
+    expect(W("½ m")._toBare()).toBeCloseTo(0.5);
+    expect(W("2½ m")._toBare()).toBeCloseTo(2.5);
+    expect(W("2 ¼ m")._toBare()).toBeCloseTo(2.25);
+    expect(W("-¾ m")._toBare()).toBeCloseTo(-0.75);
+    expect(W("1 ft ⅜ in")._toBare()).toBeCloseTo(0.314325);
+    expect(W(["3 1/2", "in"])._toBare()).toBeCloseTo(0.0889);
+    expect(W(["7/8", "m"])._toBare()).toBeCloseTo(0.875);
+    expect(W("4 5/4 m")._toBare()).toBeCloseTo(5.25);
+
+    const ctor = 'Measurement.constructor: ';
+    expect(() => W("1/0 in")).toThrow(ctor +
+      'zero denominator at index 0 of 1/0 in');
+    expect(() => W("2 ft 3 1/0 in")).toThrow(ctor +
+      'zero denominator at index 5 of 2 ft 3 1/0 in');
+    expect(() => W("1/ in")).toThrow(ctor +
+      'invalid fraction at index 0 of 1/ in');
+    expect(() => W("1.5/2 in")).toThrow(ctor +
+      'invalid fraction at index 0 of 1.5/2 in');
+    expect(() => W("3-/4 in")).toThrow(ctor +
+      'invalid fraction at index 0 of 3-/4 in');
+    expect(() => W("2 ft /4 in")).toThrow(ctor +
+      'invalid fraction at index 5 of 2 ft /4 in');
+    expect(() => W("1/2/3 in")).toThrow(ctor +
+      'invalid fraction at index 3 of 1/2/3 in');
+    expect(() => W(["1/0", "in"])).toThrow(ctor +
+      'invalid number token "1/0"');
+    expect(() => W(["1-2", "in"])).toThrow(ctor +
+      'invalid number token "1-2"');
+  });
+
   test("utility methods", () => {
     expect(W("50 cm").toString()).toEqual('worldM("0.5 m")');
     expect(printedM(0)._toBare()).toEqual(0);
@@ -151,10 +252,12 @@ describe("Measurement", () => {
       'referenceFrames world and printed');
 
     const mt = "Measurement.times: ";
-    expect(() => m3.times(printedM(0))).toThrow(mt +
-      'factor is printedM("0 m") but must be a number');
-    expect(() => m3.times(m5)).toThrow(mt +
-      'factor is worldM("5 m") but must be a number');
+    expect(() => m3.times(printedM(0))).toThrow(mt + 'arithmetic ' +
+      'not allowed between different referenceFrames world and printed');
+    expect(() => m3.times("5 m")).toThrow(mt +
+      'factor is 5 m but must be a number or a Measurement');
+    expect(m3.times(m5)).toBeInstanceOf(Area);
+    expect(m3.times(m5)._toBare()).toEqual(15);
 
     const md = "Measurement.dividedBy: ";
     expect(() => m3.dividedBy(printedM(0))).toThrow(md + 'arithmetic ' +
@@ -185,21 +288,234 @@ describe("Measurement", () => {
   });
 
   test("conversions", () => {
-    Measurement._setConversionFactor("S");
+    const s = new ScaleContext("S");
     const w = W("128 m");
     const p = printedM("500 mm");
-    expect(w.toPrinted().referenceFrame()).toEqual(PRINTED);
-    expect(w.toPrinted()._toBare()).toEqual(2);
-    expect(p.toWorld().referenceFrame()).toEqual(WORLD);
-    expect(p.toWorld()._toBare()).toEqual(32);
+    expect(w.toPrinted(s).referenceFrame()).toEqual(PRINTED);
+    expect(w.toPrinted(s)._toBare()).toEqual(2);
+    expect(p.toWorld(s).referenceFrame()).toEqual(WORLD);
+    expect(p.toWorld(s)._toBare()).toEqual(32);
     expect(p._toBare()).toEqual(0.5);
     expect(worldM(w)).toEqual(w);
     expect(printedM(p)).toEqual(p);
 
-    expect(() => w.toWorld()).toThrow("Measurement.toWorld: " +
+    // a different context gives a different answer for the same input
+    const o = new ScaleContext("O");
+    expect(w.toPrinted(o)._toBare()).toBeCloseTo(128 / 48);
+
+    expect(() => w.toWorld(s)).toThrow("Measurement.toWorld: " +
       "arg is already a worldM");
-    expect(() => p.toPrinted()).toThrow("Measurement.toPrinted: " +
+    expect(() => p.toPrinted(s)).toThrow("Measurement.toPrinted: " +
       "arg is already a printedM");
+    expect(() => w.toPrinted()).toThrow("Measurement.toPrinted: " +
+      "no ScaleContext given and no Kit is active");
+    expect(() => p.toWorld()).toThrow("Measurement.toWorld: " +
+      "no ScaleContext given and no Kit is active");
+  });
+});
+
+describe("Measurement.format()", () => {
+  test("feet and inches", () => {
+    const sixteenths = {denominator: 16};
+    expect(W(`20' 3.5"`).format("ft in", sixteenths)).toEqual(`20' 3-1/2"`);
+    expect(W(`20' 3"`).format("ft in", sixteenths)).toEqual(`20' 3"`);
+    expect(W(`20'`).format("ft in", sixteenths)).toEqual(`20' 0"`);
+    expect(W(`6"`).format("ft in", sixteenths)).toEqual(`6"`);
+    expect(W(`0.25"`).format("ft in", sixteenths)).toEqual(`1/4"`);
+    expect(W(`11.999"`).format("ft in", sixteenths)).toEqual(`1' 0"`);
+    expect(W(`-5' -6.75"`).format("ft in", sixteenths)).toEqual(
+      `-5' 6-3/4"`);
+    expect(W(`1.03125 in`).format("in", {denominator: 32})).toEqual(
+      `1-1/32"`);
+    expect(W(`1.02 in`).format("in", {denominator: 16})).toEqual(
+      `1"`);
+    expect(W(0).format("ft in", sixteenths)).toEqual(`0"`);
+    expect(W(`-0.001 in`).format("in", sixteenths)).toEqual(`0"`);
+    expect(W("3 yd 2 ft").format("yd feet inch")).toEqual(`3 yd 2' 0"`);
+  });
+
+  test("metric and default", () => {
+    expect(W("6.096 m").format()).toEqual("6.096 m");
+    expect(W("6.096 m").toString()).toEqual('worldM("6.096 m")');
+    expect(W("1 in").format("mm", {decimals: 1})).toEqual("25.4 mm");
+    expect(W("1 in").format("cm", {decimals: 3})).toEqual("2.540 cm");
+    expect(W("1 in").format("mm", {decimals: 0})).toEqual("25 mm");
+    expect(W("4 m 23 cm").format("m cm")).toEqual("4 m 23 cm");
+    expect(W("2.5 km").format("km")).toEqual("2.5 km");
+  });
+
+  test("frames", () => {
+    const n = new ScaleContext("N");
+    const w = W("40 ft");
+    expect(w.format("in", {frame: PRINTED, context: n})).toEqual(`3"`);
+    expect(printedM("1 in").format("ft", {frame: WORLD, context: n}))
+      .toEqual(`13.333333'`);
+    expect(printedM("1 mm").format("mm", {frame: PRINTED})).toEqual(
+      "1 mm");
+  });
+
+  test("errors", () => {
+    const mf = "Measurement.format: ";
+    const w = W("1 m");
+    expect(() => w.format("")).toThrow(mf + "no units given");
+    expect(() => w.format("in ft")).toThrow(mf +
+      'units "in ft" must be in decreasing order of size');
+    expect(() => w.format("toes")).toThrow('invalid measurement unit "toes"');
+    expect(() => w.format("in", {denominator: 0})).toThrow(mf +
+      "invalid denominator 0");
+    expect(() => w.format("in", {decimals: 1.5})).toThrow(mf +
+      "invalid decimals 1.5");
+    expect(() => w.format("in", {frame: "paper"})).toThrow(mf +
+      'invalid frame "paper"');
+    expect(() => w.format("in", {frame: PRINTED})).toThrow(
+      "Measurement.toPrinted: no ScaleContext given and no Kit is active");
+  });
+});
+
+describe("Area", () => {
+  test("constructor", () => {
+    expect(worldArea("12 sq ft")._toBare()).toBeCloseTo(1.114836);
+    expect(worldArea("12 square feet")._toBare()).toBeCloseTo(1.114836);
+    expect(worldArea("3 m²")._toBare()).toBeCloseTo(3);
+    expect(worldArea("3 m^2")._toBare()).toBeCloseTo(3);
+    expect(worldArea("1 sq ft 72 sq in")._toBare()).toBeCloseTo(0.139355);
+    expect(worldArea("1/2 sq m")._toBare()).toBeCloseTo(0.5);
+    expect(worldArea("2 acres")._toBare()).toBeCloseTo(8093.712, 2);
+    expect(worldArea("1 ha")._toBare()).toEqual(10000);
+    expect(worldArea("5 cm²")._toBare()).toBeCloseTo(0.0005);
+    expect(worldArea(0)._toBare()).toEqual(0);
+    expect(printedArea("1 sq in").referenceFrame()).toEqual(PRINTED);
+    const a = worldArea("1 m²");
+    expect(worldArea(a)).toBe(a);
+    expect(new Area(WORLD, a)._toBare()).toEqual(1);
+    expect(a.toString()).toEqual('worldArea("1 m²")');
+
+    const ac = "Area.constructor: ";
+    expect(() => new Area(WORLD)).toThrow(ac +
+      "found 1 args when expecting 2");
+    expect(() => new Area("X", 0)).toThrow(ac + 'invalid referenceFrame "X"');
+    expect(() => new Area(PRINTED, a)).toThrow(ac +
+      "invalid attempt to clone world into printed");
+    expect(() => worldArea("")).toThrow(ac + 'invalid spec ""');
+    expect(() => worldArea(W("1 m"))).toThrow(ac + "invalid spec");
+    expect(() => worldArea("3 m")).toThrow('invalid area unit "m"');
+    expect(() => worldArea("3 sq toes")).toThrow(
+      'invalid measurement unit "toes"');
+    expect(() => worldArea("3 sq")).toThrow(ac + 'missing unit after "sq"');
+    expect(() => worldArea("3")).toThrow(ac + "missing unit after 3");
+    expect(() => worldArea("sq m")).toThrow(ac + 'invalid number token "sq"');
+    expect(() => worldArea("3 m² !")).toThrow(ac +
+      "unexpected character at index 5 of 3 m² !");
+  });
+
+  test("arithmetic", () => {
+    const wall = W("20 ft").times(W("10 ft"));
+    expect(wall).toBeInstanceOf(Area);
+    expect(wall.format("sq ft")).toEqual("200 sq ft");
+    expect(wall.plus("50 sq ft").format("sq ft")).toEqual("250 sq ft");
+    expect(wall.minus(wall)._toBare()).toEqual(0);
+    expect(wall.times(2).format("sq ft")).toEqual("400 sq ft");
+    expect(wall.dividedBy(4).format("sq ft")).toEqual("50 sq ft");
+    const width = wall.dividedBy(W("10 ft"));
+    expect(width).toBeInstanceOf(Measurement);
+    expect(width.format("ft")).toEqual("20'");
+    expect(wall.dividedBy("100 sq ft")).toBeCloseTo(2);
+    expect(wall.greaterThan("100 sq ft")).toBe(true);
+    expect(wall.greaterThanOrEqualTo(wall)).toBe(true);
+    expect(wall.lessThan("100 sq ft")).toBe(false);
+    expect(wall.lessThanOrEqualTo(wall)).toBe(true);
+    expect(wall.equalTo(wall)).toBe(true);
+    expect(wall.notEqualTo(wall)).toBe(false);
+
+    expect(() => wall.plus(printedArea("1 sq in"))).toThrow(
+      "Area.plus: arithmetic not allowed between different " +
+      "referenceFrames world and printed");
+    expect(() => wall.plus(W("1 m"))).toThrow(
+      "Area.plus: arithmetic not allowed between an Area and a length");
+    expect(() => W("1 m").plus(wall)).toThrow(
+      "Measurement.plus: arithmetic not allowed between a length and an Area");
+    expect(() => W("1 m").times(wall)).toThrow(
+      "Measurement.times: arithmetic not allowed between a length and an Area");
+    expect(() => W("1 m").lessThan(wall)).toThrow(
+      "Measurement.lessThan: arithmetic not allowed");
+    expect(() => wall.times(wall)).toThrow("Area.times: factor is");
+    expect(() => wall.dividedBy(printedM("1 m"))).toThrow(
+      "Area.dividedBy: arithmetic not allowed between different " +
+      "referenceFrames world and printed");
+    expect(() => wall.dividedBy(0)).toThrow(
+      "Area.dividedBy: invalid division by zero");
+    expect(() => wall.dividedBy(W(0))).toThrow(
+      "Area.dividedBy: invalid division by zero");
+    expect(() => wall.dividedBy(worldArea(0))).toThrow(
+      "Area.dividedBy: invalid division by zero");
+    expect(() => Area._fromBare(WORLD, "1")).toThrow(
+      'Area._fromBare: value "1" is not a number');
+  });
+
+  test("conversions and format", () => {
+    const s = new ScaleContext("1:10");
+    const a = worldArea("100 m²");
+    expect(a.toPrinted(s).referenceFrame()).toEqual(PRINTED);
+    expect(a.toPrinted(s)._toBare()).toBeCloseTo(1);
+    expect(printedArea("1 m²").toWorld(s)._toBare()).toBeCloseTo(100);
+    expect(a.format("m²", {frame: PRINTED, context: s})).toEqual("1 m²");
+    expect(worldArea("150 sq ft").format("m²", {decimals: 2})).toEqual(
+      "13.94 m²");
+    expect(a.format()).toEqual("100 m²");
+    expect(() => a.toWorld(s)).toThrow(
+      "Area.toWorld: arg is already a worldArea");
+    expect(() => a.toPrinted(s).toPrinted(s)).toThrow(
+      "Area.toPrinted: arg is already a printedArea");
+    expect(() => a.toPrinted()).toThrow(
+      "Area.toPrinted: no ScaleContext given and no Kit is active");
+    expect(() => a.format("m²", {decimals: -1})).toThrow(
+      "Area.format: invalid decimals -1");
+    expect(() => a.format("m²", {frame: "X"})).toThrow(
+      'Area.format: invalid frame "X"');
+  });
+
+  test("extent area", () => {
+    expect(extent("3 m", "4 m").area()._toBare()).toEqual(12);
+    expect(() => point("3 m", "4 m").area()).toThrow(
+      "MeasurementPair.area: only an extent has an area, not a point");
+  });
+});
+
+describe("ScaleContext", () => {
+  test("constructor and accessors", () => {
+    const n = new ScaleContext("N");
+    expect(n.toString()).toEqual('ScaleContext("N")');
+    expect(n.scaleName()).toEqual("N");
+    expect(n.ratio()).toEqual(1/160);
+    expect(n.description()).toEqual("N scale");
+    expect(new ScaleContext("1:18").ratio()).toEqual(1/18);
+    expect(() => new ScaleContext("foo")).toThrow('invalid scale "foo"');
+  });
+
+  test("conversions", () => {
+    const n = new ScaleContext("N");
+    expect(n.toPrinted("160 m")._toBare()).toBeCloseTo(1);
+    expect(n.toWorld(printedM("1 cm"))._toBare()).toBeCloseTo(1.6);
+    expect(() => n.toPrinted(printedM("1 m"))).toThrow();
+  });
+
+  test("active context is restored after use", () => {
+    const ho = new ScaleContext("HO");
+    const z = new ScaleContext("Z");
+    expect(ScaleContext.current()).toBe(null);
+    ScaleContext._runWith(ho, () => {
+      expect(ScaleContext.current()).toBe(ho);
+      expect(W("87.1 m").toPrinted()._toBare()).toBeCloseTo(1);
+      ScaleContext._runWith(z, () => {
+        expect(ScaleContext.current()).toBe(z);
+      });
+      expect(ScaleContext.current()).toBe(ho);
+    });
+    expect(ScaleContext.current()).toBe(null);
+    expect(() => ScaleContext._runWith(ho, () => {
+      throw new Error("oops");
+    })).toThrow("oops");
+    expect(ScaleContext.current()).toBe(null);
   });
 });
 
@@ -263,6 +579,430 @@ describe("MeasurementPair", () => {
   });
 });
 
+describe("Angle", () => {
+  test("constructor", () => {
+    expect(angle("30 deg").degrees()).toBeCloseTo(30);
+    expect(angle("30°").degrees()).toBeCloseTo(30);
+    expect(angle("45 degrees").radians()).toBeCloseTo(Math.PI / 4);
+    expect(angle("0.5 rad").radians()).toBeCloseTo(0.5);
+    expect(angle("1/4 turn").degrees()).toBeCloseTo(90);
+    expect(angle("100 grad").degrees()).toBeCloseTo(90);
+    expect(angle("30 deg 30 arcmin").degrees()).toBeCloseTo(30.5);
+    expect(angle("1 arcsec").degrees()).toBeCloseTo(1 / 3600);
+    expect(angle("22½ deg").degrees()).toBeCloseTo(22.5);
+    expect(angle("-15 deg").degrees()).toBeCloseTo(-15);
+    expect(angle([45, "deg"]).degrees()).toBeCloseTo(45);
+    expect(angle(0).radians()).toEqual(0);
+    expect(angle("0").radians()).toEqual(0);
+    const a = angle("10 deg");
+    expect(angle(a)).toBe(a);
+    expect(new Angle(a).degrees()).toBeCloseTo(10);
+    expect(angle("1 rad").toString()).toEqual(
+      `angle("${180 / Math.PI} deg")`);
+
+    const ac = "Angle.constructor: ";
+    expect(() => new Angle()).toThrow(ac + "found 0 args when expecting 1");
+    expect(() => angle(0.5)).toThrow(ac + "invalid spec 0.5");
+    expect(() => angle("")).toThrow(ac + 'invalid spec []');
+    expect(() => angle("30")).toThrow(ac + '["30"] has odd number of tokens');
+    expect(() => angle("30 ft")).toThrow('invalid angle unit "ft"');
+    expect(() => angle("30 deg!")).toThrow(ac +
+      "unexpected character at index 6 of 30 deg!");
+    expect(() => angle(["x", "deg"])).toThrow(ac +
+      'invalid number token "x"');
+    expect(() => angle("6:0")).toThrow(ac + 'invalid pitch "6:0"');
+    expect(() => angle("6.1.2:12")).toThrow(ac + 'invalid pitch "6.1.2:12"');
+  });
+
+  test("roof pitch", () => {
+    expect(angle("12:12").degrees()).toBeCloseTo(45);
+    expect(angle("6:12").radians()).toBeCloseTo(Math.atan(0.5));
+    expect(angle("6/12").radians()).toBeCloseTo(Math.atan(0.5));
+    expect(angle(" 4 : 12 ").pitch()).toBeCloseTo(4);
+    expect(angle("45 deg").pitch()).toBeCloseTo(12);
+    expect(angle("0:12").degrees()).toEqual(0);
+  });
+
+  test("arithmetic and comparison", () => {
+    const a30 = angle("30 deg");
+    const a45 = angle("45 deg");
+    expect(a30.plus(a45).degrees()).toBeCloseTo(75);
+    expect(a30.plus("15 deg").degrees()).toBeCloseTo(45);
+    expect(a30.minus(a45).degrees()).toBeCloseTo(-15);
+    expect(a30.times(3).degrees()).toBeCloseTo(90);
+    expect(a30.dividedBy(2).degrees()).toBeCloseTo(15);
+    expect(a45.dividedBy(a30)).toBeCloseTo(1.5);
+    expect(a30.lessThan(a45)).toBe(true);
+    expect(a30.lessThanOrEqualTo(a30)).toBe(true);
+    expect(a30.greaterThan(a45)).toBe(false);
+    expect(a45.greaterThanOrEqualTo("45 deg")).toBe(true);
+    expect(a30.equalTo(a30.plus(0))).toBe(true);
+    expect(a30.notEqualTo(a45)).toBe(true);
+
+    expect(() => a30.times("2")).toThrow(
+      "Angle.times: factor is 2 but must be a number");
+    expect(() => a30.times(a30)).toThrow("Angle.times: factor is");
+    expect(() => a30.dividedBy(0)).toThrow(
+      "Angle.dividedBy: invalid division by zero");
+    expect(() => a30.dividedBy(angle(0))).toThrow(
+      "Angle.dividedBy: invalid division by zero");
+    expect(() => a30.plus("3 ft")).toThrow('invalid angle unit "ft"');
+    expect(() => a30.plus(W("3 ft"))).toThrow();
+    expect(() => Angle._fromRadians("1")).toThrow(
+      'Angle._fromRadians: value "1" is not a number');
+  });
+
+  test("trig", () => {
+    const a30 = angle("30 deg");
+    expect(a30.sin()).toBeCloseTo(0.5);
+    expect(a30.cos()).toBeCloseTo(Math.sqrt(3) / 2);
+    expect(angle("45 deg").tan()).toBeCloseTo(1);
+
+    const pitch = angle("6:12");
+    const rise = pitch.rise("10 ft");
+    expect(rise).toBeInstanceOf(Measurement);
+    expect(rise.referenceFrame()).toEqual(WORLD);
+    expect(rise._toBare()).toBeCloseTo(W("5 ft")._toBare());
+    expect(pitch.rise(printedM("2 in")).referenceFrame()).toEqual(PRINTED);
+    expect(pitch.slopeLength("12 ft")._toBare()).toBeCloseTo(
+      W("13.416408 ft")._toBare());
+    expect(Angle.fromRiseRun("5 ft", "10 ft").pitch()).toBeCloseTo(6);
+    expect(Angle.fromRiseRun(printedM("1 mm"), printedM("1 mm")).degrees())
+      .toBeCloseTo(45);
+    expect(() => angle("90 deg").slopeLength("1 m")).toThrow(
+      "Angle.slopeLength: slope is vertical");
+    expect(() => Angle.fromRiseRun(printedM("1 mm"), W("1 mm"))).toThrow(
+      "arithmetic not allowed between different referenceFrames");
+  });
+});
+
+describe("MeasurementPair geometry", () => {
+  function expectPair(pair, x, y) {
+    expect(pair.x()._toBare()).toBeCloseTo(x);
+    expect(pair.y()._toBare()).toBeCloseTo(y);
+  }
+
+  test("dot and cross", () => {
+    const a = V("3 m", "4 m");
+    const b = V("2 m", "-1 m");
+    expect(a.dot(b)).toBeInstanceOf(Area);
+    expect(a.dot(b)._toBare()).toBeCloseTo(2);
+    expect(a.cross(b)._toBare()).toBeCloseTo(-11);
+    expect(b.cross(a)._toBare()).toBeCloseTo(11);
+    expect(a.dot(["1 m", "0 m"])._toBare()).toBeCloseTo(3);
+    expect(() => P("1 m", "1 m").dot(b)).toThrow(
+      "MeasurementPair.dot: only allowed on a vector, not a point");
+    expect(() => a.dot(P("1 m", "1 m"))).toThrow(
+      "Measurement: arithmetic not allowed between pair types vector and point");
+    expect(() => a.cross(V(printedM("1 m"), printedM("1 m")))).toThrow(
+      "Measurement: arithmetic not allowed between different " +
+      "referenceFrames world and printed");
+  });
+
+  test("normalized, perpendicular, rotatedBy", () => {
+    const a = V("3 m", "4 m");
+    expectPair(a.normalized(), 0.6, 0.8);
+    expect(a.normalized().type()).toEqual(VECTOR);
+    expectPair(a.normalized("10 m"), 6, 8);
+    expectPair(V(printedM("0 m"), printedM("2 mm")).normalized(), 0, 1);
+    expectPair(a.perpendicular(), -4, 3);
+    expectPair(a.rotatedBy("90 deg"), -4, 3);
+    expectPair(a.rotatedBy(angle("180 deg")), -3, -4);
+    expectPair(V("1 m", "0 m").rotatedBy("30 deg"), Math.sqrt(3) / 2, 0.5);
+    expect(() => V(0, 0).normalized()).toThrow(
+      "MeasurementPair.normalized: zero-length vector");
+    expect(() => P("1 m", "1 m").normalized()).toThrow(
+      "MeasurementPair.normalized: only allowed on a vector, not a point");
+    expect(() => extent("1 m", "1 m").perpendicular()).toThrow(
+      "MeasurementPair.perpendicular: only allowed on a vector, not a extent");
+    expect(() => P("1 m", "1 m").rotatedBy("1 deg")).toThrow(
+      "MeasurementPair.rotatedBy: only allowed on a vector, not a point");
+  });
+
+  test("direction, angleTo, projectOnto", () => {
+    expect(V("1 m", "1 m").direction().degrees()).toBeCloseTo(45);
+    expect(V("-1 m", "0 m").direction().degrees()).toBeCloseTo(180);
+    const x = V("2 m", "0 m");
+    const y = V("0 m", "5 m");
+    expect(x.angleTo(y).degrees()).toBeCloseTo(90);
+    expect(y.angleTo(x).degrees()).toBeCloseTo(-90);
+    expect(x.angleTo(V("-1 m", "-1 m")).degrees()).toBeCloseTo(-135);
+    expectPair(V("3 m", "4 m").projectOnto(x), 3, 0);
+    expectPair(V("2 m", "0 m").projectOnto(V("1 m", "1 m")), 1, 1);
+    expect(() => V(0, 0).direction()).toThrow(
+      "MeasurementPair.direction: zero-length vector");
+    expect(() => x.angleTo(V(0, 0))).toThrow(
+      "MeasurementPair.angleTo: zero-length vector");
+    expect(() => x.projectOnto(V(0, 0))).toThrow(
+      "MeasurementPair.projectOnto: zero-length vector");
+  });
+
+  test("distanceTo and lerp", () => {
+    const p = P("1 m", "1 m");
+    const q = P("4 m", "5 m");
+    expect(p.distanceTo(q)._toBare()).toBeCloseTo(5);
+    expect(p.distanceTo(["1 m", "3 m"])._toBare()).toBeCloseTo(2);
+    expectPair(p.lerp(q, 0.5), 2.5, 3);
+    expectPair(p.lerp(q, 0), 1, 1);
+    expectPair(p.lerp(q, 2), 7, 9);
+    expect(p.lerp(q, 0.5).type()).toEqual(POINT);
+    expect(() => V("1 m", "1 m").lerp(q, 0.5)).toThrow(
+      "MeasurementPair.lerp: only allowed on a point, not a vector");
+    expect(() => p.lerp(V("1 m", "1 m"), 0.5)).toThrow(
+      "arithmetic not allowed between pair types point and vector");
+    expect(() => p.lerp(q, "half")).toThrow(
+      "MeasurementPair.lerp: t must be a number");
+    expect(() => V("1 m", "1 m").distanceTo(q)).toThrow(
+      "MeasurementPair.distanceTo: only allowed on a point, not a vector");
+  });
+});
+
+describe("Segment", () => {
+  test("basics", () => {
+    const s = new Segment(P("0 m", "0 m"), P("3 m", "4 m"));
+    expect(s.toString()).toEqual(
+      'Segment(point(worldM("0 m"), worldM("0 m")), ' +
+      'point(worldM("3 m"), worldM("4 m")))');
+    expect(s.length()._toBare()).toBeCloseTo(5);
+    expect(s.vector().type()).toEqual(VECTOR);
+    expect(s.midpoint().x()._toBare()).toBeCloseTo(1.5);
+    expect(s.referenceFrame()).toEqual(WORLD);
+    expect(() => new Segment(P(0, 0))).toThrow(
+      "Segment.constructor: must have exactly 2 args");
+    expect(() => new Segment(P(0, 0), V(0, 0))).toThrow(
+      "Segment.constructor: vector(");
+    expect(() => new Segment(P(0, 0), P(printedM(0), printedM(0)))).toThrow(
+      "Segment.constructor: points must all be in the same referenceFrame");
+  });
+
+  test("intersection", () => {
+    const a = new Segment(P("0 m", "0 m"), P("4 m", "4 m"));
+    const b = new Segment(P("0 m", "4 m"), P("4 m", "0 m"));
+    const hit = a.intersection(b);
+    expect(hit.type()).toEqual(POINT);
+    expect(hit.x()._toBare()).toBeCloseTo(2);
+    expect(hit.y()._toBare()).toBeCloseTo(2);
+    const c = new Segment(P("5 m", "0 m"), P("5 m", "9 m"));
+    expect(a.intersection(c)).toBe(null);
+    const d = new Segment(P("1 m", "0 m"), P("5 m", "4 m"));  // parallel
+    expect(a.intersection(d)).toBe(null);
+    const e = new Segment(P("2 m", "2 m"), P("6 m", "6 m"));  // overlaps
+    expect(a.intersection(e).x()._toBare()).toBeCloseTo(2);
+    const f = new Segment(P("4 m", "4 m"), P("9 m", "0 m"));  // touches end
+    expect(a.intersection(f).y()._toBare()).toBeCloseTo(4);
+    expect(() => a.intersection(P(0, 0))).toThrow(
+      "Segment.intersection: arg must be a Segment");
+  });
+});
+
+describe("Polygon", () => {
+  const square = new Polygon([
+    P("0 m", "0 m"), P("4 m", "0 m"), P("4 m", "4 m"), P("0 m", "4 m")]);
+  // the gable end of a house, 20 ft wide and 30 ft to the ridge
+  const gable = new Polygon([
+    P("0 ft", "0 ft"), P("0 ft", "20 ft"), P("10 ft", "30 ft"),
+    P("20 ft", "20 ft"), P("20 ft", "0 ft")]);
+
+  test("constructor", () => {
+    expect(square.toString()).toEqual("Polygon(4 points)");
+    expect(square.points().length).toEqual(4);
+    expect(square.edges().length).toEqual(4);
+    expect(square.edges()[3].end()).toBe(square.points()[0]);
+    expect(() => new Polygon()).toThrow(
+      "Polygon.constructor: arg must be a list of points");
+    expect(() => new Polygon([P(0, 0), P(0, 0)])).toThrow(
+      "Polygon.constructor: needs at least 3 points");
+    expect(() => new Polygon([P(0, 0), P(0, 0), V(0, 0)])).toThrow(
+      "is not a point");
+  });
+
+  test("area, perimeter, centroid, orientation", () => {
+    expect(square.signedArea()._toBare()).toBeCloseTo(16);
+    expect(square.isCounterClockwise()).toBe(true);
+    expect(gable.isCounterClockwise()).toBe(false);
+    expect(gable.signedArea().format("sq ft")).toEqual("-500 sq ft");
+    expect(gable.area().format("sq ft")).toEqual("500 sq ft");
+    expect(gable.reversed().isCounterClockwise()).toBe(true);
+    expect(square.perimeter()._toBare()).toBeCloseTo(16);
+    const c = square.centroid();
+    expect(c.x()._toBare()).toBeCloseTo(2);
+    expect(c.y()._toBare()).toBeCloseTo(2);
+    const flat = new Polygon([P(0, 0), P("1 m", 0), P("2 m", 0)]);
+    expect(() => flat.centroid()).toThrow(
+      "Polygon.centroid: polygon has zero area");
+  });
+
+  test("boundingBox", () => {
+    const box = gable.boundingBox();
+    expect(box.extent.type()).toEqual(EXTENT);
+    expect(box.extent.x().format("ft")).toEqual("20'");
+    expect(box.extent.y().format("ft")).toEqual("30'");
+    const moved = new Polygon([P("1 m", "2 m"), P("3 m", "2 m"),
+                               P("2 m", "5 m")]);
+    expect(moved.boundingBox().min.x()._toBare()).toBeCloseTo(1);
+    expect(moved.boundingBox().max.y()._toBare()).toBeCloseTo(5);
+  });
+
+  test("contains", () => {
+    expect(gable.contains(P("10 ft", "25 ft"))).toBe(true);
+    expect(gable.contains(P("2 ft", "25 ft"))).toBe(false);
+    expect(gable.contains(P("0 ft", "10 ft"))).toBe(true);  // on edge
+    expect(gable.contains(P("10 ft", "30 ft"))).toBe(true);  // corner
+    expect(gable.contains(P("30 ft", "10 ft"))).toBe(false);
+    const notch = new Polygon([P(0, 0), P("4 m", 0), P("4 m", "4 m"),
+                               P("2 m", "1 m"), P(0, "4 m")]);
+    expect(notch.contains(P("2 m", "3 m"))).toBe(false);
+    expect(notch.contains(P("1 m", "1 m"))).toBe(true);
+    expect(() => square.contains(V(0, 0))).toThrow(
+      "Polygon.contains: vector(");
+  });
+
+  test("intersections", () => {
+    const s = new Segment(P("-1 m", "2 m"), P("5 m", "2 m"));
+    const hits = square.intersections(s);
+    expect(hits.length).toEqual(2);
+    expect(hits[0].x()._toBare()).toBeCloseTo(4);
+    expect(hits[1].x()._toBare()).toBeCloseTo(0);
+    // passing through a corner counts once, not twice
+    const diag = new Segment(P("-1 m", "-1 m"), P("1 m", "1 m"));
+    expect(square.intersections(diag).length).toEqual(1);
+    expect(() => square.intersections(P(0, 0))).toThrow(
+      "Polygon.intersections: arg must be a Segment");
+  });
+
+  test("selfIntersections", () => {
+    expect(square.isSimple()).toBe(true);
+    expect(gable.isSimple()).toBe(true);
+    const bowtie = new Polygon([P(0, 0), P("2 m", "2 m"), P("2 m", 0),
+                                P(0, "2 m")]);
+    expect(bowtie.isSimple()).toBe(false);
+    const crossings = bowtie.selfIntersections();
+    expect(crossings.length).toEqual(1);
+    expect(crossings[0].edge1).toEqual(0);
+    expect(crossings[0].edge2).toEqual(2);
+    expect(crossings[0].point.x()._toBare()).toBeCloseTo(1);
+    const spike = new Polygon([P(0, 0), P("2 m", 0), P("1 m", 0),
+                               P("1 m", "1 m")]);
+    expect(spike.isSimple()).toBe(false);
+  });
+
+  test("Polygon.regular", () => {
+    const hexagon = Polygon.regular(6, "1 m");
+    expect(hexagon.isCounterClockwise()).toBe(true);
+    expect(hexagon.perimeter()._toBare()).toBeCloseTo(6);
+    expect(hexagon.area()._toBare()).toBeCloseTo(3 * Math.sqrt(3) / 2);
+    expect(hexagon.points()[1]._bare()).toEqual([1, 0]);
+    expect(Polygon.regular(4, printedM("1 mm")).referenceFrame())
+      .toEqual(PRINTED);
+    expect(() => Polygon.regular(2, "1 m")).toThrow(
+      "Polygon.regular: sides must be an integer, at least 3");
+  });
+});
+
+describe("Polygon.offset()", () => {
+  const square = new Polygon([
+    P("0 m", "0 m"), P("4 m", "0 m"), P("4 m", "4 m"), P("0 m", "4 m")]);
+  const ell = new Polygon([  // concave, clockwise
+    P(0, 0), P(0, "4 m"), P("2 m", "4 m"), P("2 m", "2 m"),
+    P("4 m", "2 m"), P("4 m", 0)]);
+
+  function sqm(poly) {
+    return poly.area()._toBare();
+  }
+
+  test("miter, bevel, and round joins", () => {
+    expect(sqm(square.offset("1 m"))).toBeCloseTo(36);
+    expect(square.offset("1 m").points().length).toEqual(4);
+    expect(square.offset("1 m").boundingBox().min.x()._toBare())
+      .toBeCloseTo(-1);
+    expect(sqm(square.offset("1 m", {join: "bevel"}))).toBeCloseTo(34);
+    expect(square.offset("1 m", {join: "bevel"}).points().length)
+      .toEqual(8);
+    const round = square.offset("1 m", {join: "round", arcStep: "1 deg"});
+    expect(sqm(round)).toBeCloseTo(32 + Math.PI, 2);
+    expect(round.isCounterClockwise()).toBe(true);
+    expect(sqm(square.outset("1 m"))).toBeCloseTo(36);
+    expect(sqm(square.offset(0))).toBeCloseTo(16);
+  });
+
+  test("insets", () => {
+    expect(sqm(square.offset("-1 m"))).toBeCloseTo(4);
+    expect(sqm(square.inset("1 m"))).toBeCloseTo(4);
+    expect(sqm(square.inset("1 m", {join: "round"}))).toBeCloseTo(4);
+    expect(() => square.inset("2 m")).toThrow(
+      "Polygon.offset: inset of 2 m is too large for this shape");
+    expect(() => square.inset("3 m")).toThrow(
+      "Polygon.offset: inset of 3 m is too large for this shape");
+    expect(() => square.inset("-1 m")).toThrow(
+      "Polygon.inset: distance must not be negative");
+    expect(() => square.outset("-1 m")).toThrow(
+      "Polygon.outset: distance must not be negative");
+  });
+
+  test("concave shapes", () => {
+    expect(ell.isCounterClockwise()).toBe(false);
+    const out = ell.outset("1 m");
+    expect(sqm(out)).toBeCloseTo(6 * 4 + 4 * 2);
+    expect(out.isSimple()).toBe(true);
+    expect(out.contains(P("3 m", "3 m"))).toBe(true);
+    expect(out.contains(P("3.5 m", "3.5 m"))).toBe(false);
+    const inner = ell.inset("0.5 m");
+    expect(sqm(inner)).toBeCloseTo(3 * 1 + 1 * 2);
+    expect(inner.contains(P("0.75 m", "0.75 m"))).toBe(true);
+    expect(inner.contains(P("2.25 m", "2.25 m"))).toBe(false);
+  });
+
+  test("an outset which closes up a notch", () => {
+    const u = new Polygon([P(0, 0), P("3 in", 0), P("3 in", "3 in"),
+                           P("2 in", "3 in"), P("2 in", "1 in"),
+                           P("1 in", "1 in"), P("1 in", "3 in"),
+                           P(0, "3 in")]);
+    expect(u.outset("0.25 in").isSimple()).toBe(true);
+    expect(() => u.outset("1 in")).toThrow(
+      "Polygon.offset: outset of 0.0254 m closes up a notch in this shape");
+  });
+
+  test("miterLimit", () => {
+    const sliver = new Polygon([P(0, 0), P("10 m", "0.5 m"), P(0, "1 m")]);
+    const mitered = sliver.outset("0.1 m", {miterLimit: 100});
+    expect(mitered.points().length).toEqual(3);
+    expect(mitered.boundingBox().max.x()._toBare()).toBeGreaterThan(11);
+    const limited = sliver.outset("0.1 m");
+    expect(limited.points().length).toEqual(4);
+    expect(limited.boundingBox().max.x()._toBare()).toBeLessThan(10.2);
+  });
+
+  test("printed distances", () => {
+    const ho = new ScaleContext("HO");
+    const bled = square.outset(printedM("1 mm"), {context: ho});
+    const bleed = bled.boundingBox().max.x()._toBare() - 4;
+    expect(bleed).toBeCloseTo(0.0871);
+    const gable = new Polygon([
+      P("0 ft", "0 ft"), P("0 ft", "20 ft"), P("10 ft", "30 ft"),
+      P("20 ft", "20 ft"), P("20 ft", "0 ft")]);
+    ScaleContext._runWith(ho, () => {
+      const margin = gable.outset(printedM("1 mm"), {join: "bevel"});
+      expect(margin.contains(P("10 ft", "30 ft"))).toBe(true);
+      expect(margin.boundingBox().min.y()._toBare()).toBeCloseTo(-0.0871);
+    });
+    const reveal = gable.inset("6 in");
+    expect(gable.contains(reveal.centroid())).toBe(true);
+    expect(reveal.boundingBox().extent.x().format("ft in")).toEqual(`19' 0"`);
+  });
+
+  test("bad options", () => {
+    expect(() => square.offset("1 m", {join: "fancy"})).toThrow(
+      'Polygon.offset: invalid join "fancy"');
+    expect(() => square.offset("1 m", {arcStep: "-1 deg"})).toThrow(
+      "Polygon.offset: arcStep must be positive");
+    expect(() => square.offset(printedM("1 mm"))).toThrow(
+      "Measurement.toWorld: no ScaleContext given and no Kit is active");
+    const flat = new Polygon([P(0, 0), P("1 m", 0), P("2 m", 0)]);
+    expect(() => flat.offset("1 m")).toThrow(
+      "Polygon.offset: polygon has zero area");
+  });
+});
+
 function expectWB(s) {
   return expect(W(s)._toBare());
 }
@@ -516,6 +1256,84 @@ describe("ConversionFactor.scale()", () => {
   });
 });
 
+describe("ConversionFactors registration", () => {
+  test("registerUnit()", () => {
+    ConversionFactors.registerUnit("smoot", "67 in", ["smoots"]);
+    expectWB("2 smoots").toBeCloseTo(3.4036);
+    expectWB("1 smoot 1 in").toBeCloseTo(1.7272);
+    ConversionFactors.registerUnit("scale-foot", 0.0035);
+    expect(ConversionFactors.unit("scale-foot")).toEqual(0.0035);
+
+    const ru = "ConversionFactors.registerUnit: ";
+    expect(() => ConversionFactors.registerUnit("ft", 1)).toThrow(ru +
+      'unit "ft" already exists');
+    expect(() => ConversionFactors.registerUnit("km", 1)).toThrow(ru +
+      'unit "km" already exists');
+    expect(() => ConversionFactors.registerUnit("millimetres", 1)).toThrow(
+      ru + 'unit "millimetres" already exists');
+    expect(() => ConversionFactors.registerUnit("smoot", 1)).toThrow(ru +
+      'unit "smoot" already exists');
+    expect(() => ConversionFactors.registerUnit("zog", 1, ["zogs", "zogs"]))
+      .toThrow(ru + 'unit "zogs" already exists');
+    expect(() => ConversionFactors.registerUnit("zog", 1, ["km"])).toThrow(
+      ru + 'unit "km" already exists');
+    expect(() => ConversionFactors.registerUnit("zog 2", 1)).toThrow(ru +
+      'invalid unit name "zog 2"');
+    expect(() => ConversionFactors.registerUnit("zog", 0)).toThrow(ru +
+      'invalid size 0 for unit "zog"');
+    expect(() => ConversionFactors.registerUnit("zog", "-1 m")).toThrow(ru +
+      'invalid size -1 for unit "zog"');
+    // failed registrations must not leave anything behind
+    expect(() => ConversionFactors.unit("zog")).toThrow(
+      'invalid measurement unit "zog"');
+  });
+
+  test("registerScale()", () => {
+    ConversionFactors.registerScale("Sn3", "1:64", "Sn3 narrow gauge");
+    expect(ConversionFactors.scale("Sn3").ratio).toEqual(1/64);
+    expect(ConversionFactors.scale("Sn3").description).toEqual(
+      "Sn3 narrow gauge");
+    ConversionFactors.registerScale("dollhouse", 1/12);
+    expect(new ScaleContext("dollhouse").description()).toEqual(
+      "dollhouse scale");
+
+    const rs = "ConversionFactors.registerScale: ";
+    expect(() => ConversionFactors.registerScale("HO", 1/87)).toThrow(rs +
+      'scale "HO" already exists');
+    expect(() => ConversionFactors.registerScale("1:12", 1/12)).toThrow(rs +
+      'invalid scale name "1:12"');
+    expect(() => ConversionFactors.registerScale("", 1/12)).toThrow(rs +
+      'invalid scale name ""');
+    expect(() => ConversionFactors.registerScale("big", 0)).toThrow(rs +
+      'invalid ratio 0 for scale "big"');
+    expect(() => ConversionFactors.registerScale("big", "x:1")).toThrow(
+      'invalid scale "x:1"');
+  });
+
+  test("listUnits() and listScales()", () => {
+    // registered here, so this doesn't depend on the tests above
+    ConversionFactors.registerUnit("pace", "30 in", ["paces"]);
+    ConversionFactors.registerScale("Gn15", "1:22.5", "Gn15 narrow gauge");
+    const units = ConversionFactors.listUnits();
+    const names = units.map((u) => u.name);
+    expect(names).toContain("ft");
+    expect(names).toContain("mm");
+    expect(names).toContain("km");
+    expect(names).toContain("pace");
+    expect(names).not.toContain("millimeter");
+    for (let i = 1; i < units.length; i++) {
+      expect(units[i].meters).toBeGreaterThanOrEqual(units[i - 1].meters);
+    }
+    expect(units.find((u) => u.name == "in").meters).toEqual(0.0254);
+
+    const scales = ConversionFactors.listScales();
+    expect(scales[0]).toEqual(
+      {name: "fullSize", ratio: 1, description: "full size"});
+    expect(scales.find((e) => e.name == "HO").ratio).toEqual(1/87.1);
+    expect(scales.map((e) => e.name)).toContain("Gn15");
+  });
+});
+
 describe("vector", () => {
   const p1 = V("10 ft", "20 in");
   const p2 = V(W("3 ft 5 in"), W( "1 ft 7 in"));
@@ -633,7 +1451,7 @@ describe("AffineTransformation", () => {
   });
 
   test("AffineTransformation.applyToPoint() works", () => {
-    const pt = V("3 m", "5 m");
+    const pt = P("3 m", "5 m");
 
     var result = (new Resize(2)).applyToPoint(pt);
     expect(result.x()._toBare()).toBeCloseTo(6, 3);
@@ -699,6 +1517,147 @@ describe("AffineTransformation", () => {
 
     expect(() => (translate21.compose(p1))).toThrow();
   });
+
+  function expectPoint(pt, x, y) {
+    expect(pt.x()._toBare()).toBeCloseTo(x);
+    expect(pt.y()._toBare()).toBeCloseTo(y);
+  }
+
+  test("Rotate by any angle", () => {
+    const pt = P("2 m", 0);
+    expectPoint(new Rotate(45).applyToPoint(pt), Math.SQRT2, Math.SQRT2);
+    expectPoint(new Rotate("30 deg").applyToPoint(pt), Math.sqrt(3), 1);
+    expectPoint(new Rotate(angle("-90 deg")).applyToPoint(pt), 0, -2);
+    expectPoint(new Rotate("3:4").applyToPoint(P("5 m", 0)), 4, 3);
+    expect(() => new Rotate(NaN)).toThrow("invalid rotation NaN");
+    expect(() => new Rotate("sideways")).toThrow();
+  });
+
+  test("RotateAbout, Shear and ReflectAcross", () => {
+    const about = new RotateAbout(P("1 m", "1 m"), ROT90);
+    expectPoint(about.applyToPoint(P("2 m", "1 m")), 1, 2);
+    expectPoint(about.applyToPoint(P("1 m", "1 m")), 1, 1);
+
+    const shear = new Shear(0.5);
+    expectPoint(shear.applyToPoint(P("1 m", "2 m")), 2, 2);
+    expectPoint(new Shear(0, 2).applyToPoint(P("1 m", "2 m")), 1, 4);
+
+    // y = x + 1
+    const mirror = new ReflectAcross(new Segment(P(0, "1 m"), P("1 m", "2 m")));
+    expectPoint(mirror.applyToPoint(P("1 m", 0)), -1, 2);
+    expectPoint(mirror.applyToPoint(P("3 m", "4 m")), 3, 4);
+    expect(() => new ReflectAcross(P(0, 0))).toThrow(
+      "ReflectAcross.constructor needs a Segment");
+    expect(() => new ReflectAcross(new Segment(P(0, 0), P(0, 0)))).toThrow(
+      "ReflectAcross.constructor: line has zero length");
+  });
+
+  test("applyToVector() and applyToExtent() ignore translation", () => {
+    const xform = new Translate("10 m", "20 m").compose(new Rotate(ROT90));
+    const v = xform.applyToVector(V("3 m", "1 m"));
+    expect(v.type()).toBe(VECTOR);
+    expectPoint(v, -1, 3);
+    const size = xform.applyToExtent(extent("3 m", "1 m"));
+    expect(size.type()).toBe(EXTENT);
+    expectPoint(size, 1, 3);
+    const tilted = new Rotate("45 deg").applyToExtent(extent("1 m", "1 m"));
+    expectPoint(tilted, Math.SQRT2, Math.SQRT2);
+
+    expect(() => xform.applyToPoint(V(0, 0))).toThrow(
+      "is not a point");
+    expect(() => xform.applyToVector(P(0, 0))).toThrow(
+      "is not a vector");
+    expect(() => xform.applyToExtent(V(0, 0))).toThrow(
+      "is not an extent");
+  });
+
+  test("transformations have input and output frames", () => {
+    const toPage = new Resize(1000).withFrames(WORLD, PRINTED);
+    expect(new Rotate(ROT90).inputFrame()).toBe(WORLD);
+    expect(toPage.inputFrame()).toBe(WORLD);
+    expect(toPage.outputFrame()).toBe(PRINTED);
+    const shifted = new Translate(printedM("1 mm"), printedM("2 mm"));
+    expect(shifted.inputFrame()).toBe(PRINTED);
+    expect(shifted.outputFrame()).toBe(PRINTED);
+
+    const pt = toPage.applyToPoint(P("2 m", "3 m"));
+    expect(pt.referenceFrame()).toBe(PRINTED);
+    expect(toPage.applyToVector(V("1 m", 0)).referenceFrame()).toBe(PRINTED);
+    expect(() => toPage.applyToPoint(pt)).toThrow(
+      "AffineTransformation.applyToPoint: expected a world point but got " +
+      "a printed one");
+
+    // the page chain from Kit.generate(), in the right and wrong order
+    const flip = new ReflectAroundXAxis();
+    const shift = new Translate(0, "10 m");
+    const chain = toPage.compose(shift).compose(flip);
+    expect(chain.inputFrame()).toBe(WORLD);
+    expect(chain.outputFrame()).toBe(PRINTED);
+    expectPoint(chain.applyToPoint(P("1 m", "1 m")), 1000, 9000);
+    expect(() => shift.compose(toPage)).toThrow(
+      "AffineTransformation.compose: cannot feed printed output into a " +
+      "transformation expecting world input");
+
+    const back = chain.inverse();
+    expect(back.inputFrame()).toBe(PRINTED);
+    expect(back.outputFrame()).toBe(WORLD);
+    expectPoint(back.applyToPoint(chain.applyToPoint(P("1 m", "1 m"))), 1, 1);
+    expect(chain.compose(back).isIdentity()).toBe(true);
+    expect(new Identity().withFrames(WORLD, PRINTED).isIdentity()).toBe(false);
+    expect(() => new Identity().withFrames("paper")).toThrow(
+      'AffineTransformation.constructor: invalid referenceFrame "paper"');
+  });
+
+  test("isIdentity() and inverse()", () => {
+    expect(new Identity().isIdentity()).toBe(true);
+    expect(new Rotate(360).isIdentity()).toBe(true);
+    expect(new Rotate(ROT90).isIdentity()).toBe(false);
+    expect(new Translate("1 mm", 0).isIdentity()).toBe(false);
+
+    const xform = new Translate("3 m", "-2 m")
+      .compose(new Rotate("25 deg"))
+      .compose(new Shear(0.3))
+      .compose(new Resize(2, 0.5))
+      .compose(new ReflectAroundXAxis());
+    expect(xform.compose(xform.inverse()).isIdentity()).toBe(true);
+    expect(xform.inverse().compose(xform).isIdentity()).toBe(true);
+    const pt = P("7 m", "11 m");
+    const back = xform.inverse().applyToPoint(xform.applyToPoint(pt));
+    expectPoint(back, 7, 11);
+
+    expect(() => new Resize(0).inverse()).toThrow(
+      "AffineTransformation.inverse: transformation is not invertible");
+  });
+
+  test("decompose()", () => {
+    const xform = new Translate("3 m", "-2 m")
+      .compose(new Rotate("25 deg"))
+      .compose(new Shear(0.3))
+      .compose(new Resize(2, 0.5));
+    const parts = xform.decompose();
+    expect(parts.translation.type()).toBe(VECTOR);
+    expect(parts.translation.x()._toBare()).toBeCloseTo(3);
+    expect(parts.translation.y()._toBare()).toBeCloseTo(-2);
+    expect(parts.rotation.degrees()).toBeCloseTo(25);
+    expect(parts.shear).toBeCloseTo(0.3);
+    expect(parts.xFactor).toBeCloseTo(2);
+    expect(parts.yFactor).toBeCloseTo(0.5);
+
+    const rebuilt = new Translate(parts.translation.x(),
+                                  parts.translation.y())
+      .compose(new Rotate(parts.rotation))
+      .compose(new Shear(parts.shear, 0))
+      .compose(new Resize(parts.xFactor, parts.yFactor));
+    expect(rebuilt.compose(xform.inverse()).isIdentity()).toBe(true);
+
+    // a mirror image shows up as a negative yFactor
+    const flipped = new ReflectAroundXAxis().decompose();
+    expect(flipped.rotation.degrees()).toBeCloseTo(0);
+    expect(flipped.yFactor).toBeCloseTo(-1);
+
+    expect(() => new Resize(1, 0).decompose()).toThrow(
+      "AffineTransformation.decompose: transformation is not invertible");
+  });
 });
 
 describe("Component", () => {
@@ -707,6 +1666,924 @@ describe("Component", () => {
     expect(c).toBeInstanceOf(Component);
     expect(c.toString()).toEqual("Component()");
   });
+
+  // A 2 m by 1 m rectangle.
+  class Box extends Component {
+    getExtent() {
+      return extent("2 m", "1 m");
+    }
+    render(pen) {
+      pen.polygon([P(0, 0), P("2 m", 0), P("2 m", "1 m"), P(0, "1 m")],
+                  "stroke");
+    }
+  }
+
+  function placedBox(placement) {
+    const parent = new Box({}, {});
+    const box = new Box({}, {});
+    parent.addSubComponent(box, P("5 m", "3 m"), placement);
+    return box;
+  }
+
+  function expectBounds(box, x0, y0, x1, y1) {
+    const bounds = box._boundsInParent();
+    expect(bounds.min.x()._toBare()).toBeCloseTo(x0);
+    expect(bounds.min.y()._toBare()).toBeCloseTo(y0);
+    expect(bounds.max.x()._toBare()).toBeCloseTo(x1);
+    expect(bounds.max.y()._toBare()).toBeCloseTo(y1);
+  }
+
+  test("drawnBounds() and measured getExtent()", () => {
+    class Ring extends Component {
+      render(pen) {
+        pen.circle(P("2 m", "2 m"), "1 m", "stroke");
+        pen.bezierPath([P("1 m", "3 m"),
+                        [P("1 m", "5 m"), P("3 m", "5 m"), P("3 m", "3 m")]]);
+      }
+    }
+    const ring = new Ring({}, {});
+    const bounds = ring.drawnBounds();
+    expect(bounds.min._bare()[0]).toBeCloseTo(1);
+    expect(bounds.min._bare()[1]).toBeCloseTo(1);
+    expect(bounds.max._bare()[0]).toBeCloseTo(3);
+    // the arch peaks at 3/4 of the way to its control points
+    expect(bounds.max._bare()[1]).toBeCloseTo(4.5);
+    expect(bounds.extent._bare()[1]).toBeCloseTo(3.5);
+    expect(ring.getExtent().type()).toBe(EXTENT);
+    expect(ring.getExtent()._bare()[0]).toBeCloseTo(3);
+    expect(ring.getExtent()._bare()[1]).toBeCloseTo(4.5);
+    expect(ring._extentMismatch()).toBe(null);
+
+    class Blank extends Component {
+      render() {}
+    }
+    expect(new Blank({}, {}).drawnBounds()).toBe(null);
+    expect(() => new Blank({}, {}).getExtent()).toThrow(
+      '"Component.getExtent()" must be overridden, or render() must draw ' +
+      'something.');
+  });
+
+  test("_extentMismatch() compares getExtent() with the drawing", () => {
+    expect(new Box({}, {})._extentMismatch()).toBe(null);
+    class Tall extends Box {
+      render(pen) {
+        pen.polygon([P(0, 0), P("2 m", 0), P("2 m", "3 m")], "stroke");
+      }
+    }
+    expect(new Tall({}, {})._extentMismatch()).toEqual(
+      "Tall().getExtent() is 2 m by 1 m, but render() draws from " +
+      "(0 m, 0 m) to (2 m, 3 m)");
+    class Low extends Box {
+      render(pen) {
+        pen.polygon([P(0, "-1 m"), P("2 m", 0), P("2 m", "1 m")], "stroke");
+      }
+    }
+    expect(new Low({}, {})._extentMismatch()).toMatch(
+      "render() draws from (0 m, -1 m) to (2 m, 1 m)");
+  });
+
+  test("addSubComponent() with a plain position", () => {
+    const box = placedBox();
+    expect(box._positionXform._matrix).toStrictEqual(
+      [[1, 0, 5], [0, 1, 3], [0, 0, 1]]);
+    expectBounds(box, 5, 3, 7, 4);
+  });
+
+  test("addSubComponent() with rotation, mirror and anchor", () => {
+    expectBounds(placedBox({rotation: ROT90}), 4, 3, 5, 5);
+    expectBounds(placedBox({rotation: "45 deg"}),
+      5 - Math.SQRT1_2, 3, 5 + Math.SQRT2, 3 + 1.5 * Math.SQRT2);
+    expectBounds(placedBox({mirror: true}), 3, 3, 5, 4);
+    expectBounds(placedBox({mirror: "vertical"}), 5, 2, 7, 3);
+    expectBounds(placedBox({mirror: "horizontal", anchor: P("1 m", 0)}),
+      4, 3, 6, 4);
+    // turn about the box's center, which stays at (5, 3)
+    expectBounds(placedBox({rotation: ROT90, anchor: P("1 m", "0.5 m")}),
+      4.5, 2, 5.5, 4);
+    expectBounds(placedBox({transform: new Shear(1)}), 5, 3, 8, 4);
+  });
+
+  describe("layout helpers", () => {
+    class Wall extends Component {
+      getExtent() {
+        return extent("10 m", "5 m");
+      }
+      render() {}
+    }
+    // 2 m by 1 m each
+    const boxes = (n) => Array.from({length: n}, () => new Box({}, {}));
+    const xy = (positions) => positions.map((pt) => pt._bare());
+
+    test("layoutRow() justification", () => {
+      const wall = new Wall({}, {});
+      const row = boxes(3);
+      expect(xy(wall.layoutRow(row, {y: "1 m"}))).toEqual(
+        [[1, 1], [4, 1], [7, 1]]);
+      expect(wall._subComponents).toEqual(row);
+      expect(row[1]._boundsInParent().min._bare()).toEqual([4, 1]);
+      expect(xy(new Wall({}, {}).layoutRow(boxes(3),
+        {justify: "between", margin: "1 m"}))).toEqual(
+        [[1, 0], [4, 0], [7, 0]]);
+      expect(xy(new Wall({}, {}).layoutRow(boxes(2),
+        {justify: "center", gap: "1 m"}))).toEqual([[2.5, 0], [5.5, 0]]);
+      expect(xy(new Wall({}, {}).layoutRow(boxes(2),
+        {justify: "start", gap: "1 m", margin: "0.5 m"}))).toEqual(
+        [[0.5, 0], [3.5, 0]]);
+      expect(xy(new Wall({}, {}).layoutRow(boxes(2),
+        {justify: "end", left: "2 m", right: "8 m"}))).toEqual(
+        [[4, 0], [6, 0]]);
+      expect(xy(new Wall({}, {}).layoutRow(boxes(1),
+        {justify: "between"}))).toEqual([[4, 0]]);
+    });
+
+    test("layoutRow() alignment", () => {
+      expect(xy(new Wall({}, {}).layoutRow(boxes(2),
+        {y: "3 m", align: "center"}))).toEqual([[2, 2.5], [6, 2.5]]);
+      expect(xy(new Wall({}, {}).layoutRow(boxes(2),
+        {y: ["3 m", "4 m"], align: "top"}))).toEqual([[2, 2], [6, 3]]);
+    });
+
+    test("layoutGrid()", () => {
+      expect(xy(new Wall({}, {}).layoutGrid(boxes(5),
+        {columns: 3, y: "0.5 m", rowPitch: "2 m"}))).toEqual(
+        [[1, 0.5], [4, 0.5], [7, 0.5], [1, 2.5], [4, 2.5]]);
+      expect(xy(new Wall({}, {}).layoutGrid(boxes(4),
+        {columns: 2, justify: "center", gap: "1 m", rowGap: "0.5 m"})))
+        .toEqual([[2.5, 0], [5.5, 0], [2.5, 1.5], [5.5, 1.5]]);
+      const wide = new Wall({}, {});
+      wide.getExtent = () => extent("4 m", "2 m");
+      const mixed = [wide].concat(boxes(3));
+      expect(xy(new Wall({}, {}).layoutGrid(mixed,
+        {columns: 2, justify: "start", align: "center"}))).toEqual(
+        [[0, 0], [4, 0.5], [0, 2], [4, 2]]);
+      // a single column is how to stack children vertically
+      expect(xy(new Wall({}, {}).layoutGrid(boxes(3),
+        {columns: 1, rowGap: "0.5 m"}))).toEqual([[4, 0], [4, 1.5], [4, 3]]);
+    });
+
+    test("parseFacade()", () => {
+      const W = {kind: "W", overrides: {}};
+      const D = {kind: "D", overrides: {}};
+      const blank = {kind: ".", overrides: {}};
+      expect(parseFacade("W . D . W / W W W")).toEqual(
+        [[W, blank, D, blank, W], [W, W, W]]);
+      expect(parseFacade("WDW")).toEqual([[W, D, W]]);
+      expect(parseFacade("D[doorWidth=4 ft, color = red] W")).toEqual([[
+        {kind: "D", overrides: {doorWidth: "4 ft", color: "red"}}, W]]);
+      expect(() => parseFacade("W + W")).toThrow(
+        'parseFacade: unexpected "+" at index 2 of "W + W"');
+      expect(() => parseFacade("W[width] W")).toThrow(
+        'parseFacade: invalid override "width" in "W[width] W"');
+      expect(() => parseFacade("W W //")).toThrow(
+        'parseFacade: story 2 of "W W //" is empty');
+      expect(() => parseFacade(3)).toThrow("parseFacade: 3 is not a string");
+    });
+
+    test("layoutFacade()", () => {
+      class Opening extends Component {
+        getExtent() {
+          return extent(this.get("width"), "1 m");
+        }
+        render() {}
+      }
+      const wall = new Wall({width: "2 m", sill: "1 m"}, {});
+      const openings = {
+        W: {make: (overrides) => new Opening(wall._options, overrides),
+            sill: (opening) => opening.get("sill")},
+        D: {make: (overrides) => new Opening(wall._options, overrides)},
+      };
+      const made = wall.layoutFacade(
+        "W D[width=4 m] / W . W[sill=0.5 m]", openings,
+        {y: "0.5 m", storyHeight: "2 m", blankWidth: "1 m",
+         justify: "between"});
+      expect(made.map((story) => story.length)).toEqual([2, 2]);
+      expect(wall._subComponents.length).toBe(4);
+      expect(wall._subComponents.map(
+        (sub) => sub._boundsInParent().min._bare())).toEqual(
+        [[0, 1.5], [6, 0.5], [0, 3.5], [8, 3]]);
+      expect(made[0][1].getExtent().x()._toBare()).toBe(4);
+
+      // align says which part of each opening goes at its sill
+      const centered = new Wall({width: "2 m", sill: "1 m"}, {});
+      centered.layoutFacade("W D", openings, {y: "0.5 m", align: "center",
+                                              justify: "between"});
+      expect(centered._subComponents.map(
+        (sub) => sub._boundsInParent().min._bare())).toEqual(
+        [[0, 1], [8, 0]]);
+
+      expect(() => wall.layoutFacade("W / W", openings)).toThrow(
+        'Wall().layoutFacade: "W / W" has 2 stories but no storyHeight');
+      expect(() => wall.layoutFacade("W Q", openings)).toThrow(
+        'Wall().layoutFacade: unknown opening "Q" in "W Q" (expected one ' +
+        'of W, D, .)');
+      expect(() => wall.layoutFacade("W[widht=1 m]", openings)).toThrow(
+        'Wall().layoutFacade: unknown option "widht" (did you mean ' +
+        '"width"?)');
+      expect(() => wall.layoutFacade("W W W W W W", openings)).toThrow(
+        "Wall().layoutFacade: the openings on story 1 need 12 m but only " +
+        "10 m is available");
+    });
+
+    test("layout errors", () => {
+      const wall = new Wall({}, {});
+      expect(() => wall.layoutRow(boxes(6))).toThrow(
+        "Wall().layoutRow: the children need 12 m but only 10 m is " +
+        "available");
+      expect(() => wall.layoutRow(boxes(3), {gap: "2 m"})).toThrow(
+        "Wall().layoutRow: the children need 14 m but only 10 m is " +
+        "available");
+      expect(() => wall.layoutGrid(boxes(4), {columns: 4, margin: "1.5 m"}))
+        .toThrow("Wall().layoutGrid: the columns need 8 m but only 7 m is " +
+                 "available");
+      // exactly full is fine
+      expect(xy(new Wall({}, {}).layoutGrid(boxes(4),
+        {columns: 4, margin: "1 m"}))).toEqual(
+        [[1, 0], [3, 0], [5, 0], [7, 0]]);
+      expect(wall._subComponents.length).toBe(0);
+      expect(() => wall.layoutRow(boxes(2), {justfy: "center"})).toThrow(
+        'Wall().layoutRow: unknown option "justfy" (did you mean ' +
+        '"justify"?)');
+      expect(() => wall.layoutRow(boxes(2), {justify: "spread"})).toThrow(
+        'Wall().layoutRow: invalid justify "spread"');
+      expect(() => wall.layoutRow(boxes(2), {align: "middle"})).toThrow(
+        'Wall().layoutRow: invalid align "middle"');
+      expect(() => wall.layoutRow(boxes(2), {y: [0]})).toThrow(
+        "Wall().layoutRow: 2 children but 1 y values");
+      expect(() => wall.layoutGrid(boxes(2), {columns: 0})).toThrow(
+        "Wall().layoutGrid: columns must be a positive integer");
+      expect(() => wall.layoutGrid(boxes(2),
+        {columns: 1, rowGap: 0, rowPitch: "1 m"})).toThrow(
+        "Wall().layoutGrid: give rowGap or rowPitch, not both");
+    });
+  });
+
+  test("addSubComponent() rejects bad placements", () => {
+    expect(() => placedBox({spin: 90})).toThrow(
+      "Component.addSubComponent: unknown placement option spin");
+    expect(() => placedBox({mirror: "diagonal"})).toThrow(
+      "Component.addSubComponent: invalid mirror diagonal");
+    expect(() => placedBox({transform: ROT90})).toThrow(
+      "Component.addSubComponent: transform must be an AffineTransformation");
+    expect(() => placedBox({anchor: V(0, 0)})).toThrow(
+      "Component.addSubComponent: ");
+  });
+
+  test("placement transforms are used when rendering", () => {
+    const parent = new Box({}, {});
+    parent._setPositionXform(P(0, 0));
+    parent.addSubComponent(new Box({}, {}), P("5 m", "3 m"),
+                           {rotation: ROT90});
+    const pdf = new FakePdf();
+    const kit = Object.create(Kit.prototype);  // just enough Kit to render
+    kit._scaleContext = null;
+    kit._renderTreeNodes(pdf, new Identity(), parent);
+    expect(pdf.calls).toEqual([
+      ["lines", [[2, 0], [0, 1], [-2, 0]], 0, 0, null, "S", true],
+      ["lines", [[0, 2], [-1, 0], [0, -2]], 5, 3, null, "S", true],
+    ]);
+  });
+});
+
+describe("Component glue tabs", () => {
+  // A 4 m square, counterclockwise unless reversed, with the given
+  // edge kinds.  At 1:100, 5 mm tabs are 0.5 m and 1 mm of relief
+  // is 0.1 m.
+  class Tile extends Component {
+    constructor(kinds, tabOptions, reversed) {
+      super({}, {});
+      let outline = new Polygon([P(0, 0), P("4 m", 0), P("4 m", "4 m"),
+                                 P(0, "4 m")]);
+      this.setOutline(reversed ? outline.reversed() : outline, kinds,
+                      tabOptions);
+    }
+    getExtent() {
+      return extent("4 m", "4 m");
+    }
+    render(pen) {
+      pen.polygon(this.outline(), "fill");
+    }
+  }
+
+  const atScale = (action) =>
+    ScaleContext._runWith(new ScaleContext("1:100"), action);
+
+  const bare = (points) => points.map((pt) =>
+    pt._bare().map((v) => Math.round(v * 1000) / 1000));
+
+  test("tabs() are trapezoids outside the outline", () => {
+    const tile = atScale(() => new Tile(["tab", "free", "receives tab",
+                                         "tab"]));
+    const tabs = tile.tabs();
+    expect(tabs.map((tab) => tab.edge)).toEqual([0, 3]);
+    expect(bare(tabs[0].points)).toEqual(
+      [[0.1, 0], [0.6, -0.5], [3.4, -0.5], [3.9, 0]]);
+    expect(bare(tabs[1].points)).toEqual(
+      [[0, 3.9], [-0.5, 3.4], [-0.5, 0.6], [0, 0.1]]);
+    expect(tile.edgeKinds()).toEqual(["tab", "free", "receives tab", "tab"]);
+  });
+
+  test("tabs() stick out of clockwise outlines too", () => {
+    const tile = atScale(() => new Tile(["tab", "free", "free", "free"],
+                                        {}, true));
+    // reversed, edge 0 runs along the top from left to right
+    expect(bare(tile.tabs()[0].points)).toEqual(
+      [[0.1, 4], [0.6, 4.5], [3.4, 4.5], [3.9, 4]]);
+  });
+
+  test("tabs() follow the options, down to a triangle", () => {
+    const wide = atScale(() => new Tile(["tab", "free", "free", "free"],
+      {width: "10 mm", taper: "45 deg", relief: 0}));
+    expect(bare(wide.tabs()[0].points)).toEqual(
+      [[0, 0], [1, -1], [3, -1], [4, 0]]);
+    const huge = atScale(() => new Tile(["tab", "free", "free", "free"],
+      {width: "50 mm", taper: "45 deg", relief: "10 mm"}));
+    expect(bare(huge.tabs()[0].points)).toEqual(
+      [[1, 0], [2, -1], [3, 0]]);
+    const tooBig = atScale(() => new Tile(["tab", "free", "free", "free"],
+      {relief: "20 mm"}));
+    expect(() => tooBig.tabs()).toThrow(
+      "Tile(): edge 0 is too short for a tab with 20 mm of corner relief");
+  });
+
+  test("setOutline() checks its arguments", () => {
+    expect(() => new Tile(["tab", "free"])).toThrow(
+      "Tile().setOutline: the outline has 4 edges, so it needs 4 edge kinds");
+    expect(() => new Tile(["tab", "free", "fre", "free"])).toThrow(
+      'Tile().setOutline: unknown edge kind "fre" (did you mean "free"?)');
+    expect(() => new Tile(["tab", "free", "free", "free"], {widht: 1}))
+      .toThrow('Tile().setOutline: unknown tab option "widht" ' +
+               '(did you mean "width"?)');
+    expect(() => new Tile(["tab", "free", "free", "free"], {taper: 0}))
+      .toThrow("Tile().setOutline: the taper must be more than 0");
+    expect(new Tile(undefined).edgeKinds()).toEqual(
+      ["free", "free", "free", "free"]);
+    expect(Object.keys(TAB_STYLE).sort()).toEqual(
+      ["labelInset", "labelSize", "relief", "taper", "width"]);
+  });
+
+  test("outerBounds() includes the tabs", () => {
+    const tile = atScale(() => new Tile(["tab", "free", "free", "tab"]));
+    const {min, max} = tile.outerBounds();
+    expect(bare([min, max])).toEqual([[-0.5, -0.5], [4, 4]]);
+    expect(new Tile(undefined).outerBounds().min._bare()).toEqual([0, 0]);
+  });
+
+  test("the library draws the outline with folds and tabs", () => {
+    const tile = atScale(() => new Tile(["tab", "free", "free", "free"]));
+    tile._setPositionXform(P(0, 0));
+    const pdf = new FakePdf();
+    pdf.setLineType = (type) => {
+      if (type !== null) {
+        pdf.calls.push(["setLineType", type]);
+      }
+    };
+    const kit = Object.create(Kit.prototype);  // just enough Kit to render
+    kit._scaleContext = null;
+    atScale(() => kit._renderTreeNodes(pdf, new Identity(), tile));
+    const drawn = [];
+    pdf.calls.forEach((call, i) => {
+      if (call[0] == "lines" && i > 0) {
+        drawn.push([pdf.calls[i - 4][1], call[2], call[3]]);
+      }
+    });
+    expect(drawn.map(([type]) => type)).toEqual(
+      ["cut", "mountain", "cut", "cut", "cut", "cut", "cut"]);
+    expect(drawn[1][1]).toBeCloseTo(0.1);  // fold starts after the relief
+    expect(drawn[3][2]).toBeCloseTo(0);  // then the tab itself
+  });
+
+  test("edge labels go just inside their edges", () => {
+    const label = (reversed) => {
+      const tile = atScale(() => new Tile(undefined, {}, reversed));
+      tile.setEdgeLabel(0, "A");
+      tile._setPositionXform(P(0, 0));
+      const pdf = new FakePdf();
+      const kit = Object.create(Kit.prototype);
+      kit._scaleContext = null;
+      atScale(() => kit._renderTreeNodes(pdf, new Identity(), tile));
+      return pdf.calls.filter((call) => call[0] == "text")[0];
+    };
+    // 1 mm of inset and half of a 2.5 mm capital, at 1:100
+    const ccw = label(false);
+    expect(ccw[1]).toEqual("A");
+    expect(ccw[2]).toBeCloseTo(2);
+    expect(ccw[3]).toBeCloseTo(0.1875);
+    const cw = label(true);  // edge 0 is now the top
+    expect(cw[2]).toBeCloseTo(2);
+    expect(cw[3]).toBeCloseTo(4 - 0.1875);
+  });
+
+  test("setEdgeLabel() checks its arguments", () => {
+    class Plain extends Component {
+      render() {}
+    }
+    expect(() => new Plain({}, {}).setEdgeLabel(0, "A")).toThrow(
+      "Plain().setEdgeLabel: call setOutline() first");
+    const tile = new Tile(undefined);
+    expect(() => tile.setEdgeLabel(4, "A")).toThrow(
+      "Tile().setEdgeLabel: edge 4 is not one of 0 to 3");
+    expect(() => tile.setEdgeLabel(1, "")).toThrow(
+      "Tile().setEdgeLabel: the label must be a non-empty string");
+    tile.setEdgeLabel(1, "B");
+    expect(tile.edgeLabels()).toEqual({1: "B"});
+  });
+});
+
+describe("DrawingPen", () => {
+  test("polygon() takes a list of points or a Polygon", () => {
+    const pts = [P(0, 0), P("2 m", 0), P("2 m", "1 m")];
+    const pdf1 = new FakePdf();
+    new DrawingPen(pdf1, new Identity()).polygon(pts, "stroke");
+    const pdf2 = new FakePdf();
+    new DrawingPen(pdf2, new Identity()).polygon(new Polygon(pts), "stroke");
+    expect(pdf2.calls).toEqual(pdf1.calls);
+    expect(pdf1.calls).toEqual(
+      [["lines", [[2, 0], [0, 1]], 0, 0, null, "S", true]]);
+  });
+
+  test("line() draws in the house style and then puts things back", () => {
+    const pdf = new FakePdf();
+    const pen = new DrawingPen(pdf, new Identity());
+    pen.set({drawColor: "red"});
+    pdf.calls = [];
+    pen.line("valley", [P(0, 0), P("2 m", 0), P("2 m", "1 m")]);
+    expect(pdf.calls[0][0]).toEqual("setLineDashPattern");
+    expect(pdf.calls[0][1][0]).toBeCloseTo(3);
+    expect(pdf.calls[0][1][1]).toBeCloseTo(1.5);
+    expect(pdf.calls[1][0]).toEqual("setLineWidth");
+    expect(pdf.calls[1][1]).toBeCloseTo(0.2);
+    expect(pdf.calls[2]).toEqual(["setDrawColor", "black"]);
+    expect(pdf.calls[3]).toEqual(
+      ["lines", [[2, 0], [0, 1]], 0, 0, null, "S", false]);
+    expect(pdf.calls[4]).toEqual(["setLineDashPattern", [], 0]);
+    expect(pdf.calls[6]).toEqual(["setDrawColor", "red"]);
+  });
+
+  test("line() takes a Segment or a Polygon", () => {
+    const pdf = new FakePdf();
+    const pen = new DrawingPen(pdf, new Identity());
+    pen.line("cut", new Segment(P(0, 0), P("1 m", "1 m")));
+    expect(pdf.calls[0]).toEqual(["setLineDashPattern", [], 0]);
+    expect(pdf.calls[3]).toEqual(
+      ["lines", [[1, 1]], 0, 0, null, "S", false]);
+    pdf.calls = [];
+    pen.line("score",
+             new Polygon([P(0, 0), P("1 m", 0), P("1 m", "1 m")]));
+    expect(pdf.calls[2]).toEqual(["setDrawColor", "gray"]);
+    expect(pdf.calls[3][6]).toBe(true);
+  });
+
+  test("line() tells other backends the line type", () => {
+    const pdf = new FakePdf();
+    pdf.setLineType = (type) => pdf.calls.push(["setLineType", type]);
+    new DrawingPen(pdf, new Identity()).line(
+      "mountain", [P(0, 0), P("1 m", 0)]);
+    expect(pdf.calls[0]).toEqual(["setLineType", "mountain"]);
+    expect(pdf.calls[pdf.calls.length - 1]).toEqual(["setLineType", null]);
+  });
+
+  test("line() rejects unknown line types", () => {
+    const pen = new DrawingPen(new FakePdf(), new Identity());
+    expect(() => pen.line("vally", [P(0, 0), P("1 m", 0)])).toThrow(
+      'DrawingPen.line: unknown line type "vally" (did you mean "valley"?)');
+    expect(() => pen.line("cut", [P(0, 0)])).toThrow(
+      "DrawingPen.line needs at least 2 points");
+  });
+
+  test("text() sizes and turns the text on paper", () => {
+    const pdf = new FakePdf();
+    const xform = new Resize(1000).withFrames(WORLD, PRINTED);
+    new DrawingPen(pdf, xform).text("AB", P("0.01 m", "0.02 m"),
+                                    {size: "2 mm", align: "center"});
+    expect(pdf.calls[0][0]).toEqual("setFontSize");
+    expect(pdf.calls[0][1]).toBeCloseTo(2 * 72 / 25.4);
+    const [name, string, x, y, options] = pdf.calls[1];
+    expect([name, string]).toEqual(["text", "AB"]);
+    expect(x).toBeCloseTo(9);  // centered:  back half of 2 mm
+    expect(y).toBeCloseTo(20.7);  // down half a capital (y goes down)
+    expect(options.angle).toBeCloseTo(0);
+    expect(pdf.calls[2]).toEqual(["setFontSize", 16]);
+
+    pdf.calls = [];
+    new DrawingPen(pdf, xform.compose(new Rotate(ROT90))).text(
+      "A", P(0, 0), {direction: V("1 m", 0)});
+    expect(pdf.calls[1][2]).toBeCloseTo(-0.875);  // default 2.5 mm
+    expect(pdf.calls[1][4].angle).toBeCloseTo(-90);
+  });
+
+  test("text() only marks a spot when not printing", () => {
+    const pdf = new FakePdf();
+    new DrawingPen(pdf, new Identity()).text("A", P("1 m", "2 m"));
+    expect(pdf.calls).toEqual([["text", "A", 1, 2]]);
+    expect(() => new DrawingPen(pdf, new Identity()).text(
+      "A", P(0, 0), {sise: "1 mm"})).toThrow(
+      'DrawingPen.text: unknown option "sise" (did you mean "size"?)');
+    expect(() => new DrawingPen(pdf, new Identity()).text(
+      "A", P(0, 0), {align: "right"})).toThrow(
+      'DrawingPen.text: invalid align "right"');
+  });
+
+  test("LINE_STYLES has the four line types", () => {
+    expect(Object.keys(LINE_STYLES).sort()).toEqual(
+      ["cut", "mountain", "score", "valley"]);
+  });
+});
+
+describe("DrawingPen curves", () => {
+  // Turn the relative legs of a recorded jsPDF lines() call back into
+  // absolute points:  a list of legs, each a list of [x, y] points.
+  function absoluteLegs(call) {
+    const [, legs, x0, y0] = call;
+    let x = x0;
+    let y = y0;
+    const result = [];
+    for (const leg of legs) {
+      const pts = [];
+      for (let i = 0; i < leg.length; i += 2) {
+        pts.push([x + leg[i], y + leg[i + 1]]);
+      }
+      [x, y] = pts[pts.length - 1];
+      result.push(pts);
+    }
+    return result;
+  }
+
+  function expectXY(actual, x, y) {
+    expect(actual[0]).toBeCloseTo(x);
+    expect(actual[1]).toBeCloseTo(y);
+  }
+
+  const k = 4 / 3 * Math.tan(Math.PI / 8);
+
+  test("arc", () => {
+    const pdf = new FakePdf();
+    new DrawingPen(pdf, new Identity()).arc(
+      P("1 m", "1 m"), "2 m", "0 deg", "90 deg");
+    expect(pdf.calls.length).toBe(1);
+    const call = pdf.calls[0];
+    expect(call.slice(2)).toEqual([3, 1, null, "S", false]);
+    const legs = absoluteLegs(call);
+    expect(legs.length).toBe(1);
+    expectXY(legs[0][0], 3, 1 + 2 * k);
+    expectXY(legs[0][1], 1 + 2 * k, 3);
+    expectXY(legs[0][2], 1, 3);
+
+    const pdf2 = new FakePdf();
+    new DrawingPen(pdf2, new Identity()).arc(
+      P(0, 0), "1 m", "90 deg", "-90 deg");  // clockwise half circle
+    const legs2 = absoluteLegs(pdf2.calls[0]);
+    expect(legs2.length).toBe(2);
+    expectXY(legs2[0][2], 1, 0);
+    expectXY(legs2[1][2], 0, -1);
+    expect(() => new DrawingPen(pdf2, new Identity()).arc(
+      P(0, 0), "1 m", "5 deg", "5 deg")).toThrow(
+      "DrawingPen.arc: start and end angles are the same");
+  });
+
+  test("circle through the transformation pipeline", () => {
+    const pdf = new FakePdf();
+    const xform = new Translate("10 m", "20 m").compose(
+      new ReflectAroundXAxis()).compose(new Rotate(ROT90));
+    new DrawingPen(pdf, xform).circle(P("1 m", 0), "1 m", "fill");
+    const call = pdf.calls[0];
+    expect(call.slice(5)).toEqual(["F", true]);
+    // the circle starts at (2, 0), which rotates to (0, 2), flips to
+    // (0, -2) and moves to (10, 18)
+    expect(call[2]).toBeCloseTo(10);
+    expect(call[3]).toBeCloseTo(18);
+    const legs = absoluteLegs(call);
+    expect(legs.length).toBe(4);
+    expectXY(legs[3][2], call[2], call[3]);
+    // the far side of the circle, (0, 0), ends up at (10, 20)
+    expectXY(legs[1][2], 10, 20);
+    // every curve end is 1 m from the transformed center (10, 19)
+    for (const leg of legs) {
+      const [x, y] = leg[2];
+      expect(Math.hypot(x - 10, y - 19)).toBeCloseTo(1);
+    }
+    expect(() => new DrawingPen(pdf, xform).circle(P(0, 0), "1 m", "paint"))
+      .toThrow("invalid style paint in DrawingPen.circle()");
+    expect(() => new DrawingPen(pdf, xform).circle(V(0, 0), "1 m", "fill"))
+      .toThrow("DrawingPen: center must be a point");
+    expect(() => new DrawingPen(pdf, xform).circle(P(0, 0), 0, "fill"))
+      .toThrow("DrawingPen: radius must be positive");
+  });
+
+  test("ellipse", () => {
+    const pdf = new FakePdf();
+    const pen = new DrawingPen(pdf, new Resize(2));
+    pen.ellipse(P(0, 0), "3 m", "1 m", "fillAndStroke");
+    let legs = absoluteLegs(pdf.calls[0]);
+    expect(pdf.calls[0][2]).toBeCloseTo(6);
+    expectXY(legs[0][2], 0, 2);
+    expectXY(legs[1][2], -6, 0);
+    expect(pdf.calls[0][5]).toEqual("FD");
+
+    pen.ellipse(P(0, 0), "3 m", "1 m", "stroke", "90 deg");
+    legs = absoluteLegs(pdf.calls[1]);
+    expect(pdf.calls[1][3]).toBeCloseTo(6);
+    expectXY(legs[0][2], -2, 0);
+  });
+
+  test("bezierPath", () => {
+    const pdf = new FakePdf();
+    const pen = new DrawingPen(pdf, new Identity());
+    pen.bezierPath([
+      P(0, 0),
+      [P(0, "1 m"), P("2 m", "1 m"), P("2 m", 0)],
+      P("2 m", "-1 m"),
+    ]);
+    expect(pdf.calls[0]).toEqual(
+      ["lines", [[0, 1, 2, 1, 2, 0], [0, -1]], 0, 0, null, "S", false]);
+    pen.bezierPath([P(0, 0), P("1 m", 0), P(0, "1 m")], "fill");
+    expect(pdf.calls[1].slice(5)).toEqual(["F", true]);
+    pen.bezierPath([P(0, 0), P("1 m", 0)], "open");
+    expect(pdf.calls[2].slice(5)).toEqual(["S", false]);
+
+    expect(() => pen.bezierPath([P(0, 0)])).toThrow(
+      "DrawingPen.bezierPath needs a start and at least one segment");
+    expect(() => pen.bezierPath([P(0, 0), [P(0, 0), P(0, 0)]])).toThrow(
+      "DrawingPen.bezierPath: each segment must be a point or a list of " +
+      "3 points");
+    expect(() => pen.bezierPath([P(0, 0), P(0, 0)], "dotted")).toThrow(
+      "invalid style dotted in DrawingPen.bezierPath()");
+  });
+});
+
+describe("Nets", () => {
+  const atScale = (action) =>
+    ScaleContext._runWith(new ScaleContext("1:100"), action);
+
+  // Every pair of edges which get glued together has the same length.
+  function expectClosingEdgesMatch(net) {
+    const byLabel = {};
+    const labels = net.edgeLabels();
+    for (const edge of Object.keys(labels)) {
+      byLabel[labels[edge]] = (byLabel[labels[edge]] || []).concat(
+        [net.edgeLength(Number(edge))._toBare()]);
+    }
+    for (const lengths of Object.values(byLabel)) {
+      expect(lengths.length).toEqual(2);
+      expect(lengths[0]).toBeCloseTo(lengths[1]);
+    }
+  }
+
+  function expectValid(net) {
+    const problems = [];
+    net._validate(`${net}`, problems);
+    expect(problems).toEqual([]);
+    expect(net.outline().isSimple()).toBe(true);
+    expectClosingEdgesMatch(net);
+  }
+
+  const faceArea = (net, name) =>
+    net.face(name).outline().area()._toBare();
+
+  test("BoxNet unfolds into a cross", () => {
+    const box = atScale(() => new BoxNet({}, {width: "1 m", depth: "2 m",
+                                              height: "3 m"}));
+    expect(box.faceNames()).toEqual(
+      ["front", "right", "back", "left", "top", "bottom"]);
+    expect(box.getExtent()._bare()).toEqual([6, 7]);
+    expect(box._geometry.folds.length).toEqual(5);
+    // 12 edges, 5 of them folds, leaves 7 to glue
+    expect(box.edgeKinds().filter((k) => k == "tab").length).toEqual(7);
+    expect(box.edgeKinds().filter((k) => k == "receives tab").length)
+      .toEqual(7);
+    expect(faceArea(box, "top")).toBeCloseTo(2);
+    expect(faceArea(box, "right")).toBeCloseTo(6);
+    expectValid(box);
+  });
+
+  test("a NetFace has the face's own coordinates", () => {
+    const box = atScale(() => new BoxNet({}, {width: "1 m", depth: "2 m",
+                                              height: "3 m"}));
+    const right = box.face("right");
+    expect(right.toString()).toEqual("NetFace(right)");
+    expect(right.getExtent()._bare()).toEqual([2, 3]);
+    // its bottom left corner is at the front's bottom right corner
+    const corner = right._positionXform.applyToPoint(P(0, 0))._bare();
+    expect(corner[0]).toBeCloseTo(1);
+    expect(corner[1]).toBeCloseTo(2);
+    expect(() => box.face("rigth")).toThrow(
+      'BoxNet().face: unknown face "rigth" (did you mean "right"?)');
+  });
+
+  test("PrismNet, PyramidNet and FrustumNet fold up", () => {
+    const hexagon = Polygon.regular(6, "1 m");
+    const prism = atScale(() => new PrismNet({}, {
+      footprint: hexagon.reversed(), height: "2 m", top: false}));
+    expect(prism.faceNames().length).toEqual(7);
+    expect(faceArea(prism, "bottom")).toBeCloseTo(3 * Math.sqrt(3) / 2);
+    expectValid(prism);
+
+    const pyramid = atScale(() => new PyramidNet({}, {footprint: hexagon,
+                                                      height: "2 m"}));
+    const slant = Math.hypot(2, Math.sqrt(3) / 2);
+    expect(faceArea(pyramid, "side 3")).toBeCloseTo(slant / 2);
+    expect(pyramid._geometry.folds.length).toEqual(6);
+    expectValid(pyramid);
+    const open = atScale(() => new PyramidNet({}, {footprint: hexagon,
+      height: "2 m", bottom: false}));
+    expect(open.edgeKinds().filter((k) => k == "free").length).toEqual(6);
+    expectValid(open);
+
+    const frustum = atScale(() => new FrustumNet({}, {footprint: hexagon,
+      height: "1 m", topScale: 0.5}));
+    expect(faceArea(frustum, "top")).toBeCloseTo(3 * Math.sqrt(3) / 8);
+    expectValid(frustum);
+    expect(() => atScale(() => new FrustumNet({}, {footprint: hexagon,
+      height: "1 m", topScale: 2}))).toThrow(
+      "FrustumNet(): topScale must be a number between 0 and 1");
+  });
+
+  test("GablePrismNet is a house", () => {
+    const house = atScale(() => new GablePrismNet({}, {width: "6 m",
+      depth: "9 m", wallHeight: "5 m", ridgeHeight: "4 m", bottom: false,
+      faceColors: {"left roof": "gray"}}));
+    expect(house.faceNames()).toEqual(["front", "right", "back", "left",
+                                       "right roof", "left roof"]);
+    expect(house.face("front").getExtent()._bare()).toEqual([6, 9]);
+    expect(house.face("right roof").getExtent().y()._toBare())
+      .toBeCloseTo(5);
+    expectValid(house);
+    const pdf = new FakePdf();
+    atScale(() => house.render(new DrawingPen(pdf, new Identity())));
+    expect(pdf.calls.filter((c) => c[0] == "setFillColor")
+      .map((c) => c[1])).toEqual(
+      ["white", "white", "white", "white", "white", "gray"]);
+  });
+
+  test("a Net checks its solid", () => {
+    class Bad extends Net {
+      solid() {
+        const v = [[0, 0, 0], ["1 m", 0, 0], [0, "1 m", 0], [0, 0, "1 m"]];
+        return {vertices: v, faces: [
+          {name: "base", vertices: [0, 2, 1]},
+          {name: "front", vertices: [0, 1, 3], parent: "side"}]};
+      }
+    }
+    expect(() => new Bad({}, {})).toThrow(
+      'Bad(): face "front" needs the name of an earlier face as its parent');
+    expect(() => new Net({}, {})).toThrow('"Net.solid()" must be overridden.');
+  });
+
+  test("validate() uses outlines to check for overlaps", () => {
+    class Triangle extends Component {
+      constructor() {
+        super({}, {});
+        this.setOutline([P(0, 0), P("2 m", 0), P(0, "2 m")]);
+      }
+      render(pen) {
+        pen.polygon(this.outline(), "fill");
+      }
+    }
+    class Holder extends Component {
+      constructor(offset) {
+        super({}, {});
+        this.addSubComponent(new Triangle(), P("1 m", "1 m"));
+        // turned over, so the boxes overlap but (at 2 m) the triangles don't
+        this.addSubComponent(new Triangle(),
+          P(W("1 m").plus(W(offset)), W("1 m").plus(W(offset))),
+          {rotation: ROT180});
+      }
+      getExtent() {
+        return extent("4 m", "4 m");
+      }
+      render() {}
+    }
+    const check = (offset) => {
+      const problems = [];
+      new Holder(offset)._validate("Holder()", problems);
+      return problems.map((p) => p.kind);
+    };
+    expect(check("2 m")).toEqual([]);
+    expect(check("1.5 m")).toEqual(["overlap"]);
+  });
+
+  const roof = (options) => atScale(() => new RoofNet({}, Object.assign(
+    {width: "6 m", depth: "9 m", pitch: "45 deg"}, options)));
+  const xy = (polygon) => polygon.points().map((p) =>
+    p._bare().map((c) => Math.round(c * 1e6) / 1e6));
+
+  test("RoofNet builds every style", () => {
+    for (const style of ROOF_STYLES) {
+      expectValid(roof({style: style}));
+      expectValid(roof({style: style, eaveOverhang: "0.5 m",
+                        rakeOverhang: "0.3 m", fascia: "0.2 m"}));
+    }
+    expect(roof({style: "hip", fascia: "0.2 m"}).faceNames()).toEqual(
+      ["right", "front", "left", "back", "right fascia", "front fascia",
+       "left fascia", "back fascia"]);
+    expect(roof({style: "mansard"}).faceNames()).toEqual(
+      ["right upper", "front upper", "left upper", "back upper",
+       "front lower", "right lower", "back lower", "left lower"]);
+    expect(roof({style: "mansard", pitch: 0}).faceNames()).toEqual(
+      ["top", "front lower", "right lower", "back lower", "left lower"]);
+  });
+
+  test("RoofNet panels reach past the walls by the overhangs", () => {
+    const gable = roof({style: "gable", eaveOverhang: "1 m",
+                        rakeOverhang: "0.5 m", fascia: "0.25 m"});
+    // along the eaves, then up the slope from the overhang to the ridge
+    const right = gable.face("right").getExtent()._bare();
+    expect(right[0]).toBeCloseTo(10);
+    expect(right[1]).toBeCloseTo(4 * Math.SQRT2);
+    expect(gable.face("left fascia").getExtent().y()._toBare())
+      .toBeCloseTo(0.25);
+    // the ridge and the tops of the fascia boards are folds
+    expect(gable._geometry.folds.length).toEqual(3);
+    expect(gable.edgeKinds().every((k) => k == "free")).toBe(true);
+
+    const flat = roof({style: "flat", eaveOverhang: "1 m"});
+    expect(flat.getExtent()._bare()).toEqual([8, 11]);
+    // the fascia boards are left open at the corners
+    const boxed = roof({style: "hip", eaveOverhang: "1 m", fascia: "0.2 m"});
+    expect(boxed.edgeKinds().filter((k) => k == "tab").length).toEqual(2);
+  });
+
+  test("a square hip roof is a pyramid", () => {
+    const square = roof({style: "hip", depth: "6 m"});
+    expect(square.face("front").outline().points().length).toEqual(3);
+    expect(square.face("right").outline().points().length).toEqual(3);
+    expectValid(square);
+  });
+
+  test("a hipped roof wider than it is deep turns its ridge", () => {
+    const wide = roof({style: "hip", depth: "4 m", eaveOverhang: "0.5 m",
+                       fascia: "0.2 m"});
+    expectValid(wide);
+    // now the front and back run along the ridge, and the ends are hips
+    expect(wide.face("front").outline().points().length).toEqual(4);
+    expect(wide.face("right").outline().points().length).toEqual(3);
+    expect(wide.face("front").getExtent().x()._toBare()).toBeCloseTo(7);
+    expect(wide.face("front fascia").getExtent().x()._toBare())
+      .toBeCloseTo(7);
+    expect(wide.face("right fascia").getExtent().x()._toBare())
+      .toBeCloseTo(5);
+    expect(wide.edgeLength("front eaves")._toBare()).toBeCloseTo(7);
+    expect(wide.edgeLength("right eaves")._toBare()).toBeCloseTo(5);
+    const mansard = roof({style: "mansard", depth: "4 m", breakInset: "1 m"});
+    expectValid(mansard);
+    expect(mansard.face("front upper").outline().points().length)
+      .toEqual(4);
+    expect(mansard.face("right upper").outline().points().length)
+      .toEqual(3);
+  });
+
+  test("RoofNet.gableEnd() gives the wall its top", () => {
+    expect(xy(roof({style: "gable"}).gableEnd("front"))).toEqual(
+      [[0, 0], [6, 0], [3, 3]]);
+    expect(xy(roof({style: "shed"}).gableEnd("front"))).toEqual(
+      [[0, 0], [6, 0], [0, 6]]);
+    expect(xy(roof({style: "shed"}).gableEnd("back"))).toEqual(
+      [[0, 0], [6, 0], [6, 6]]);
+    const gambrel = roof({style: "gambrel", breakInset: "1 m",
+                          lowerPitch: "45 deg", pitch: "0.5:1"})
+      .gableEnd("back");
+    expect(gambrel.isCounterClockwise()).toBe(true);
+    const top = xy(gambrel).slice(2);
+    expect(top.map((p) => p[0])).toEqual([5, 3, 1]);
+    expect(top[1][1]).toBeCloseTo(2);
+    expect(roof({style: "hip"}).gableEnd("front")).toBe(null);
+    expect(() => roof({style: "gable"}).gableEnd("side")).toThrow(
+      'RoofNet().gableEnd: unknown end "side"');
+  });
+
+  test("RoofNet.eaves() and sideWallHeight() fit it to the walls", () => {
+    const shed = roof({style: "shed", eaveOverhang: "0.5 m",
+                       rakeOverhang: "0.25 m", fascia: "0.2 m"});
+    expect(shed.eaves().map((e) => [e.side, e.edge,
+                                     e.overhang._toBare()])).toEqual(
+      [["right", "right eaves", 0.25], ["left", "left eaves", 0.25]]);
+    expect(shed.edgeLength("right eaves")._toBare()).toBeCloseTo(9.5);
+    expect(shed.edgeLength("left eaves")._toBare()).toBeCloseTo(9.5);
+    expect(shed.sideWallHeight("left")._toBare()).toBeCloseTo(6);
+    expect(shed.sideWallHeight("right")._toBare()).toBe(0);
+    expect(() => shed.sideWallHeight("front")).toThrow(
+      'RoofNet().sideWallHeight: unknown side "front"');
+
+    const hip = roof({style: "hip", eaveOverhang: "0.5 m"});
+    expect(hip.eaves().map((e) => e.edge)).toEqual(
+      ["front eaves", "right eaves", "back eaves", "left eaves"]);
+    expect(hip.edgeLength("front eaves")._toBare()).toBeCloseTo(7);
+    // the other edges are named after their faces
+    expect(hip.edgeName(hip._edgeIndex("left 3", "test")))
+      .toEqual('edge "left 3"');
+  });
+
+  test("RoofNet checks its options", () => {
+    expect(() => roof({style: "gabel"})).toThrow(
+      'RoofNet(): unknown roof style "gabel" (did you mean "gable"?)');
+    expect(() => roof({style: "gambrel", breakInset: "3 m"})).toThrow(
+      "RoofNet(): breakInset must be more than 0 and less than 3 m");
+    expect(() => roof({style: "gable", pitch: "90 deg"})).toThrow(
+      "RoofNet(): pitch must be at least 0 and less than 90 degrees");
+    expect(() => roof({style: "shed", pitch: 0})).toThrow(
+      "RoofNet(): a shed roof needs a pitch of more than 0");
+    expect(() => roof({style: "flat", fascia: "-1 m"})).toThrow(
+      "RoofNet(): the overhangs and fascia can't be negative");
+  });
 });
 
 describe("Page", () => {
@@ -717,7 +2594,202 @@ describe("Page", () => {
   });
 });
 
+describe("OptionSchema", () => {
+  const schema = new OptionSchema({
+    width: {type: "length", default: "20 ft", min: "4 ft", max: "100 ft",
+            help: "how wide"},
+    pitch: {type: "angle", default: "6:12", max: "60 deg"},
+    stories: {type: "integer", default: 2, min: 1, max: 3},
+    siding: {type: "enum", values: ["clapboard", "brick"],
+             default: "clapboard"},
+    chimney: {type: "boolean", default: true},
+    wallColor: {type: "color", default: "peachpuff"},
+    label: {type: "string", default: ""},
+  });
+
+  test("defaults() and describe()", () => {
+    expect(schema.names()).toEqual(["width", "pitch", "stories", "siding",
+                                    "chimney", "wallColor", "label"]);
+    expect(schema.defaults()).toEqual({width: "20 ft", pitch: "6:12",
+      stories: 2, siding: "clapboard", chimney: true, wallColor: "peachpuff",
+      label: ""});
+    const described = schema.describe();
+    expect(described[0]).toEqual({name: "width", type: "length",
+      default: "20 ft", min: "4 ft", max: "100 ft", help: "how wide"});
+    expect(described[3]).toEqual({name: "siding", type: "enum",
+      default: "clapboard", values: ["clapboard", "brick"], help: ""});
+    // plain data, ready to send to a browser
+    expect(JSON.parse(JSON.stringify(described))).toEqual(described);
+  });
+
+  test("convert()", () => {
+    const result = schema.convert({width: "30 ft", stories: "3",
+                                   chimney: "false", wallColor: "#ABC"});
+    expect(result.width).toBeInstanceOf(Measurement);
+    expect(result.width._toBare()).toBeCloseTo(9.144);
+    expect(result.pitch).toBeInstanceOf(Angle);
+    expect(result.pitch.pitch()).toBeCloseTo(6);
+    expect(result.stories).toBe(3);
+    expect(result.siding).toBe("clapboard");
+    expect(result.chimney).toBe(false);
+    expect(result.wallColor).toBe("#ABC");
+  });
+
+  test("convert() reports every problem", () => {
+    expect(() => schema.convert({widht: "30 ft"}, "MyKit")).toThrow(
+      'MyKit: unknown option "widht" (did you mean "width"?)');
+    expect(() => schema.convert({roof: 1})).toThrow(
+      'OptionSchema: unknown option "roof"');
+    expect(() => schema.convert({roof: 1})).not.toThrow("did you mean");
+    expect(() => schema.convert({
+      width: "2 ft", pitch: "70 deg", stories: 2.5, siding: "stucco",
+      chimney: "yes", wallColor: "rgb(1,2,3)", label: 7,
+    })).toThrow("OptionSchema: 7 problems with options:\n" +
+      '  option "width": "2 ft" is less than the minimum of "4 ft"\n' +
+      '  option "pitch": "70 deg" is more than the maximum of "60 deg"\n' +
+      '  option "stories": 2.5 is not an integer\n' +
+      '  option "siding": "stucco" is not one of "clapboard", "brick"\n' +
+      '  option "chimney": "yes" is not true or false\n' +
+      '  option "wallColor": "rgb(1,2,3)" is not a color\n' +
+      '  option "label": 7 is not a string');
+  });
+
+  test("derived options", () => {
+    const house = new OptionSchema({
+      ridgeHeight: {type: "length",
+                    default: "houseWidth / 2 * tan(roofPitch)"},
+      houseWidth: {type: "length", default: "20 ft"},
+      roofPitch: {type: "angle", default: "6:12"},
+      storyHeight: {type: "length", default: "10 ft"},
+      windowHeight: {type: "length", default: "5 ft"},
+      sillHeight: {type: "length",
+                   default: "storyHeight - windowHeight - 1 ft 6 in"},
+      eaveAngle: {type: "angle", default: "90 deg - roofPitch"},
+      panes: {type: "integer", default: "windowHeight / (1 ft) - 1",
+              min: 1},
+    });
+    let result = house.convert({});
+    expect(result.ridgeHeight._toBare()).toBeCloseTo(5 * 0.3048);
+    expect(result.sillHeight._toBare()).toBeCloseTo(3.5 * 0.3048);
+    expect(result.eaveAngle.degrees()).toBeCloseTo(90 - 26.565, 3);
+    expect(result.panes).toBe(4);
+
+    result = house.convert({houseWidth: "30 ft",
+                            windowHeight: "(storyHeight - 2 ft) / 2",
+                            roofPitch: "12:12"});
+    expect(result.ridgeHeight._toBare()).toBeCloseTo(15 * 0.3048);
+    expect(result.windowHeight._toBare()).toBeCloseTo(4 * 0.3048);
+    expect(result.panes).toBe(3);
+
+    expect(() => house.convert({sillHeight: "storyHeight * windowHeight"}))
+      .toThrow('option "sillHeight": cannot evaluate ' +
+               '"storyHeight * windowHeight": the result is an area, not ' +
+               'a length');
+    expect(() => house.convert({sillHeight: "storyHeight - 2 zorks"}))
+      .toThrow('option "sillHeight": cannot evaluate ' +
+               '"storyHeight - 2 zorks": unknown unit "zorks"');
+    expect(() => house.convert({sillHeight: "(storyHeight - 1 ft"}))
+      .toThrow('cannot evaluate "(storyHeight - 1 ft": unexpected end of ' +
+               'expression');
+    expect(() => house.convert({sillHeight: "storyHeight + oops"}))
+      .toThrow('unknown name "oops"');
+    expect(() => house.convert({sillHeight: "tan(storyHeight)"}))
+      .toThrow('tan() needs an angle');
+    // a literal with units hangs together, so this is 5 ft / 10 ft
+    expect(() => house.convert({panes: "windowHeight / 10 ft"}))
+      .toThrow('option "panes": 0.5 is not an integer');
+    expect(() => house.convert({panes: "10 / windowHeight"}))
+      .toThrow('option "panes": cannot evaluate "10 / windowHeight": ' +
+               'cannot divide a number by a Measurement');
+    expect(() => house.convert({storyHeight: "12 zorks",
+                                panes: "storyHeight / (1 ft)"}))
+      .toThrow('option "panes": cannot evaluate "storyHeight / (1 ft)": ' +
+               'depends on "storyHeight", which is invalid');
+    expect(() => house.convert({panes: "windowHeight / (1 ft) - 5"}))
+      .toThrow('option "panes": "windowHeight / (1 ft) - 5" (0) is less ' +
+               'than the minimum of 1');
+
+    // arithmetic on literals alone is an expression too
+    result = house.convert({houseWidth: "3 ft + 2 in",
+                            storyHeight: "2 * 3 ft",
+                            roofPitch: "20 deg + 10 deg", panes: "2 * 3"});
+    expect(result.houseWidth._toBare()).toBeCloseTo(38 * 0.0254);
+    expect(result.storyHeight._toBare()).toBeCloseTo(6 * 0.3048);
+    expect(result.roofPitch.degrees()).toBeCloseTo(30);
+    expect(result.panes).toBe(6);
+    // but a value the type takes as it is stays a plain value
+    result = house.convert({windowHeight: "1/2 in", houseWidth: "-3 ft",
+                            panes: 1});
+    expect(result.windowHeight._toBare()).toBeCloseTo(0.0127);
+    expect(result.houseWidth._toBare()).toBeCloseTo(-3 * 0.3048);
+    expect(() => house.convert({storyHeight: "3 ft +"})).toThrow(
+      'option "storyHeight": cannot evaluate "3 ft +": unexpected end of ' +
+      'expression');
+
+    const trim = new OptionSchema({
+      width: {type: "length", default: "10 ft"},
+      inset: {type: "length", default: "width / 20", min: "6 in"},
+      slope: {type: "angle", default: "45 deg", max: "60 deg"},
+      eave: {type: "angle", default: "90 deg - slope", max: "60 deg"},
+    });
+    expect(() => trim.convert({width: "8 ft", slope: "20 deg"})).toThrow(
+      "OptionSchema: 2 problems with options:\n" +
+      '  option "inset": "width / 20" (0.12192 m) is less than the minimum ' +
+      'of "6 in"\n' +
+      '  option "eave": "90 deg - slope" (70 deg) is more than the ' +
+      'maximum of "60 deg"');
+  });
+
+  test("cycles among derived options", () => {
+    const loopy = {
+      a: {type: "length", default: "1 m"},
+      b: {type: "length", default: "a * 2"},
+      c: {type: "length", default: "b + 1 m"},
+      d: {type: "integer", default: 1},
+    };
+    const schema = new OptionSchema(loopy);
+    expect(() => schema.convert({a: "c - 1 m"})).toThrow(
+      "OptionSchema: option cycle: a -> c -> b -> a");
+    expect(() => schema.convert({a: "a + 1 m", d: "d + 1"})).toThrow(
+      "OptionSchema: 4 problems with options:\n" +
+      "  option cycle: a -> a\n" +
+      '  option "b": cannot evaluate "a * 2": depends on "a", which is ' +
+      "invalid\n" +
+      '  option "c": cannot evaluate "b + 1 m": depends on "b", which is ' +
+      "invalid\n" +
+      "  option cycle: d -> d");
+    loopy.a = {type: "length", default: "c"};
+    expect(() => new OptionSchema(loopy)).toThrow(
+      "OptionSchema: invalid defaults: option cycle: a -> c -> b -> a");
+  });
+
+  test("bad schemas", () => {
+    expect(() => new OptionSchema({a: {type: "lenght", default: 0}}))
+      .toThrow('OptionSchema: option "a" has unknown type "lenght" ' +
+               '(did you mean "length"?)');
+    expect(() => new OptionSchema({a: {type: "length", defualt: 0}}))
+      .toThrow('OptionSchema: option "a" has unknown setting "defualt" ' +
+               '(did you mean "default"?)');
+    expect(() => new OptionSchema({a: {type: "length"}}))
+      .toThrow('OptionSchema: option "a" has no default');
+    expect(() => new OptionSchema({a: {type: "enum", default: "x"}}))
+      .toThrow('OptionSchema: option "a" is an enum without any values');
+    expect(() => new OptionSchema({a: {type: "color", default: "red",
+                                       min: "blue"}}))
+      .toThrow('OptionSchema: option "a": min and max only apply to ' +
+               'lengths, angles and integers');
+    expect(() => new OptionSchema({a: {type: "integer", default: 0, min: 1}}))
+      .toThrow('OptionSchema: option "a" has an invalid default: 0 is less ' +
+               'than the minimum of 1');
+  });
+});
+
 describe("Kit", () => {
+  // Kits which really generate save their PDFs here, not in the repo.
+  const pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), "psflib-test-"));
+  afterAll(() => fs.rmSync(pdfDir, {recursive: true, force: true}));
+  const tempPdf = (name) => path.join(pdfDir, `${name}.pdf`);
+
   test("Kit.constructor", () => {
     const k = new Kit();
     expect(k).toBeInstanceOf(Kit);
@@ -729,6 +2801,7 @@ describe("Kit", () => {
   const dummyOptions = {
     color: "blue",
     number: 5,
+    pdfFileName: tempPdf("DummyKit"),
    };
 
   class Box extends Component {
@@ -841,6 +2914,370 @@ describe("Kit", () => {
     expect(pieces[2]._position.toString()).toEqual('point(worldM("0 m"), worldM("18 m"))');
   });
 
+  test("Kit.generate() works at several scales in one process", () => {
+    const printedWidths = [];
+    class ScaleKit extends Kit {
+      build(oldOpt) {
+        const box = new Box(
+          oldOpt, {}, extent("8 m", "4 m"), "black", "yellow");
+        printedWidths.push(box.getExtent().x().toPrinted()._toBare());
+        expect(box.scaleContext()).toBe(this.scaleContext());
+        this.addPiece(box);
+      }
+    }
+    const k1 = new ScaleKit();
+    const k2 = new ScaleKit();
+    k1.set("pdfFileName", tempPdf("ScaleKit1"));
+    k2.set("pdfFileName", tempPdf("ScaleKit2"));
+    k1.generate({scale: "HO"});
+    k2.generate({scale: "N"});
+    k1.generate({scale: "O"});
+    expect(k1.scaleContext().scaleName()).toEqual("O");
+    expect(k2.scaleContext().scaleName()).toEqual("N");
+    expect(printedWidths[0]).toBeCloseTo(8 / 87.1);
+    expect(printedWidths[1]).toBeCloseTo(8 / 160);
+    expect(printedWidths[2]).toBeCloseTo(8 / 48);
+    expect(ScaleContext.current()).toBe(null);
+  });
+
+  test("Kit.getLineStyles() changes the house style", () => {
+    class BlueKit extends DummyKit {
+      getLineStyles() {
+        return {valley: {color: "blue", width: "0.5 mm"}};
+      }
+    }
+    const k = new BlueKit();
+    k.generate({});
+    expect(k._lineStyles.valley.color).toEqual("blue");
+    expect(k._lineStyles.valley.width._toBare()).toBeCloseTo(0.0005);
+    expect(k._lineStyles.cut.color).toEqual("black");
+
+    class BadKit extends DummyKit {
+      getLineStyles() {
+        return {valley: {colour: "blue"}};
+      }
+    }
+    expect(() => new BadKit().generate({})).toThrow(
+      'line styles: valley has unknown setting "colour" ' +
+      '(did you mean "color"?)');
+  });
+
+  test("Kit.pack() makes room for glue tabs", () => {
+    class TabbedBox extends Box {
+      constructor(oldOpt) {
+        super(oldOpt, {}, extent("8 m", "4 m"), "black", "yellow");
+        this.setOutline([P(0, 0), P(0, "4 m"), P("8 m", "4 m"),
+                         P("8 m", 0)], ["tab", "free", "free", "free"]);
+      }
+    }
+    class TabKit extends Kit {
+      build(oldOpt) {
+        this.addPiece(new TabbedBox(oldOpt));
+      }
+    }
+    const k = new TabKit();
+    k.set("pdfFileName", tempPdf("TabKit"));
+    k.generate({scale: "1:100"});
+    const piece = k._pieceList[0];
+    expect(piece.width).toBeCloseTo(8.5);
+    expect(piece.height).toBeCloseTo(4);
+    // the tab is on the left, so the Component moves right to make room
+    expect(piece._position.x()._toBare()).toBeCloseTo(0.5);
+  });
+
+  test("Kit.join() labels both edges", () => {
+    class Square extends Component {
+      constructor() {
+        super({}, {});
+        this.setOutline([P(0, 0), P("1 m", 0), P("1 m", "1 m"),
+                         P(0, "1 m")]);
+      }
+      render() {}
+    }
+    const k = new Kit();
+    const [a, b] = [new Square(), new Square()];
+    expect(k.join(a, 0, b, 2)).toEqual("A");
+    expect(k.join(a, 1, b, 3, "B")).toEqual("B");
+    expect(k.join(a, 2, b, 0)).toEqual("C");
+    expect(a.edgeLabels()).toEqual({0: "A", 1: "B", 2: "C"});
+    expect(b.edgeLabels()).toEqual({2: "A", 3: "B", 0: "C"});
+    expect(k.joins().length).toEqual(3);
+    expect(() => k.join(a, 3, b, 1, "A")).toThrow(
+      'Kit().join: label "A" is already used');
+    expect(() => k.join(a, 0, b, 1)).toThrow(
+      'Kit().join: edge 0 of Square() is already joined ("A")');
+    expect([0, 25, 26, 27, 701, 702].map(Kit._autoLabel)).toEqual(
+      ["A", "Z", "AA", "AB", "ZZ", "AAA"]);
+  });
+
+  // A rectangle with named edges, a piece for the join tests below.
+  class Panel extends Component {
+    constructor(width, height) {
+      super({}, {});
+      this.setOutline([P(0, 0), P(width, 0), P(width, height),
+                       P(0, height)]);
+      this.setEdgeNames(["bottom", "right", "top", "left"]);
+    }
+    render(pen) {
+      pen.polygon(this.outline(), "fill");
+    }
+  }
+
+  test("Kit.join() takes edge names", () => {
+    const k = new Kit();
+    const [a, b] = [new Panel("1 m", "2 m"), new Panel("3 m", "2 m")];
+    k.join(a, "right", b, "left");
+    expect(a.edgeLabels()).toEqual({1: "A"});
+    expect(b.edgeLabels()).toEqual({3: "A"});
+    expect(a.edgeName(1)).toEqual('edge "right"');
+    expect(b.edgeLength("bottom")._toBare()).toBeCloseTo(3);
+    expect(() => k.join(a, "rigth", b, "top")).toThrow(
+      'Panel().join: unknown edge "rigth" (did you mean "right"?)');
+    expect(() => k.join(a, "top", b, "left")).toThrow(
+      'Kit().join: edge "left" of Panel() is already joined ("A")');
+    expect(() => a.setEdgeNames(["a", "b", "c"])).toThrow(
+      "Panel().setEdgeNames: the outline has 4 edges, so it needs 4 names");
+    expect(() => a.setEdgeNames(["a", "b", "a", "c"])).toThrow(
+      "Panel().setEdgeNames: the names must be different non-empty strings");
+  });
+
+  test("Kit.validate() checks that joined edges are the same length", () => {
+    class JoinKit extends Kit {
+      build(oldOpt) {
+        const a = new Panel("2 m", oldOpt.height);
+        const b = new Panel("3 m", "2 m");
+        this.addPiece(a);
+        this.addPiece(b);
+        this.join(a, "right", b, "left");
+        this.join(a, "bottom", b, "top", "base");
+      }
+      getDefaultOptions() {
+        return {height: "2 m"};
+      }
+    }
+    const k = new JoinKit();
+    expect(() => k.generate({scale: "1:100"})).toThrow(
+      'JoinKit(): found 1 problem(s):\n' +
+      '  Panel() #1: edge "bottom" is 2 m long, but edge "top" of ' +
+      'Panel() #2, which it joins ("base"), is 3 m');
+    const problems = k.validate();
+    expect(problems.map((p) => [p.kind, p.path])).toEqual(
+      [["join", "Panel() #1"]]);
+    // within 0.25 mm on paper (2.5 cm at 1:100) is close enough
+    expect(() => new JoinKit().generate({scale: "1:100",
+                                         height: "2.02 m"})).toThrow(
+      "found 1 problem(s)");
+    expect(() => new JoinKit().generate({scale: "1:100",
+                                         height: "2.05 m"})).toThrow(
+      /edge "right" is 2\.05 m long, but edge "left" of Panel\(\) #2/);
+  });
+
+  test("Kit.join() allows for an overhang", () => {
+    const k = new Kit();
+    k._scaleContext = new ScaleContext("1:100");
+    const roof = new Panel("5 m", "1 m");
+    const wall = new Panel("3 m", "2 m");
+    k.addPiece(roof);
+    k.addPiece(wall);
+    expect(k.join(roof, "bottom", wall, "top", {overhang: "1 m"}))
+      .toEqual("A");
+    expect(k.join(roof, "top", wall, "bottom", {label: "eaves",
+                                                overhang: "0.5 m"}))
+      .toEqual("eaves");
+    expect(k.joins()[0].overhang._toBare()).toBe(1);
+    expect(k.validate().map((p) => p.message)).toEqual([
+      'Panel() #1: edge "top" is 5 m long, but edge "bottom" of ' +
+      'Panel() #2, which it joins ("eaves") and which it should overhang ' +
+      'by 0.5 m at each end, is 3 m']);
+    expect(() => k.join(roof, "left", wall, "right", {overhnag: "1 m"}))
+      .toThrow('Kit().join: unknown option "overhnag" (did you mean ' +
+               '"overhang"?)');
+  });
+
+  test("Kit.addPiece() warns about getExtent() mismatches", () => {
+    // drawing less than the extent is odd, but not an error
+    class Tall extends Component {
+      getExtent() {
+        return extent("2 m", "3 m");
+      }
+      render(pen) {
+        pen.polygon([P(0, 0), P("2 m", 0), P("2 m", "1 m")], "stroke");
+      }
+    }
+    class Measured extends Component {
+      render(pen) {
+        pen.circle(P("2 m", "2 m"), "2 m", "stroke");
+      }
+    }
+    class WarnKit extends Kit {
+      build() {
+        const outer = new Measured({}, {});
+        outer.addSubComponent(new Tall({}, {}), P("1 m", "1 m"));
+        this.addPiece(outer);
+        this.addPiece(new Box({}, {}, extent("3 m", "3 m"), "black", "red"));
+      }
+    }
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const k = new WarnKit();
+      k.set("pdfFileName", tempPdf("WarnKit"));
+      k.generate({});
+      expect(k.warnings()).toEqual([
+        "Tall().getExtent() is 2 m by 3 m, but render() draws from " +
+        "(0 m, 0 m) to (2 m, 1 m)"]);
+      // they are for the caller to report, not printed
+      expect(warn).not.toHaveBeenCalled();
+      k.generate({});
+      expect(k.warnings().length).toBe(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test("Kit.validate() reports geometry problems", () => {
+    // A rectangle of the given size, drawn exactly to its extent.
+    class Plate extends Component {
+      constructor(size) {
+        super({}, {});
+        this._size = size;
+      }
+      getExtent() {
+        return this._size;
+      }
+      render(pen) {
+        const [w, h] = [this._size.x(), this._size.y()];
+        if (w._toBare() > 0 && h._toBare() > 0) {
+          pen.polygon([P(0, 0), P(w, 0), P(w, h), P(0, h)], "stroke");
+        }
+      }
+    }
+    class Overdrawn extends Plate {
+      render(pen) {
+        pen.circle(P(0, 0), "1 m", "stroke");
+      }
+    }
+    class BadKit extends Kit {
+      build() {
+        const wall = new Plate(extent("10 m", "5 m"));
+        wall.addSubComponent(new Plate(extent("2 m", "2 m")), P("1 m", "1 m"));
+        // touches the first one, which is fine
+        wall.addSubComponent(new Plate(extent("2 m", "2 m")), P("3 m", "1 m"));
+        // overlaps the second one
+        wall.addSubComponent(new Plate(extent("2 m", "2 m")), P("4 m", "2 m"));
+        // sticks out of the top once it is turned
+        wall.addSubComponent(new Plate(extent("4 m", "1 m")), P("8 m", "2 m"),
+                             {rotation: ROT90});
+        wall.addSubComponent(new Plate(extent("1 m", 0)), P(0, 0));
+        this.addPiece(wall);
+        this.addPiece(new Overdrawn(extent("2 m", "2 m")));
+      }
+    }
+    const k = new BadKit();
+    expect(() => k.generate({})).toThrow(
+      "BadKit(): found 4 problem(s):\n" +
+      "  Plate() #1 > Plate() #4: placed from (7 m, 2 m) to (8 m, 6 m), " +
+      "outside its parent's extent of 10 m by 5 m\n" +
+      "  Plate() #1 > Plate() #2: overlaps Plate() #3\n" +
+      "  Plate() #1 > Plate() #5: extent is 1 m by 0 m, but both must be " +
+      "positive\n" +
+      "  Overdrawn() #2: render() draws from (-1 m, -1 m) to (1 m, 1 m), " +
+      "outside its extent of 2 m by 2 m");
+    expect(k.validate().map((p) => [p.kind, p.path])).toEqual([
+      ["outside", "Plate() #1 > Plate() #4"],
+      ["overlap", "Plate() #1 > Plate() #2"],
+      ["extent", "Plate() #1 > Plate() #5"],
+      ["drawing", "Overdrawn() #2"],
+    ]);
+    const good = new DummyKit();
+    expect(good.validate()).toEqual([]);
+    good.generate({});
+    expect(good.validate()).toEqual([]);
+  });
+
+  test("Kit.getOptionSchema()", () => {
+    let seen = null;
+    class TypedKit extends Kit {
+      getOptionSchema() {
+        return {
+          width: {type: "length", default: "8 m", help: "box width"},
+          color: {type: "color", default: "yellow"},
+        };
+      }
+      build(options) {
+        seen = options;
+        this.addPiece(new Box(options, {}, extent(options.width, "4 m"),
+                              "black", options.color));
+      }
+    }
+    const k = new TypedKit();
+    expect(k.getDefaultOptions()).toEqual({width: "8 m", color: "yellow",
+      format: "letter", scale: "HO", pdfFileName: "TypedKit.pdf"});
+    expect(k.optionSchema().names()).toEqual(
+      ["format", "scale", "pdfFileName", "width", "color"]);
+    k.set("pdfFileName", tempPdf("TypedKit"));
+    expect(() => k.set("colour", "red")).toThrow(
+      'TypedKit().set: unknown option "colour" (did you mean "color"?)');
+    expect(() => k.get("widht")).toThrow(
+      'TypedKit().get: unknown option "widht" (did you mean "width"?)');
+    expect(() => k.generate({scale: "H0"})).toThrow(
+      'TypedKit().generate: option "scale": unknown scale "H0" (did you ' +
+      'mean "HO"?), and not a ratio like "1:120"');
+    expect(() => k.generate({wdith: "2 m"})).toThrow(
+      'TypedKit().generate: unknown option "wdith" (did you mean "width"?)');
+    k.generate({width: "6 m"});
+    expect(seen.width).toBeInstanceOf(Measurement);
+    expect(k.get("width")._toBare()).toBeCloseTo(6);
+    expect(k.get("color")).toBe("yellow");
+    // the failed attempts above left no trace
+    expect(k._settings).toEqual({width: "6 m", color: "yellow",
+      format: "letter", scale: "HO", pdfFileName: tempPdf("TypedKit")});
+    expect(new DummyKit().optionSchema()).toBe(null);
+  });
+
+  test("a Kit with a schema takes any scale ScaleContext does", () => {
+    class ScaledKit extends Kit {
+      getOptionSchema() {
+        return {};
+      }
+      build(options) {
+        this.addPiece(new Box(options, {}, extent("8 m", "4 m"),
+                              "black", "yellow"));
+      }
+    }
+    const k = new ScaledKit();
+    k.set("pdfFileName", tempPdf("ScaledKit"));
+    k.generate({scale: "1:120"});
+    expect(k.scaleContext().ratio()).toBeCloseTo(1 / 120);
+    // registered after the Kit was made
+    ConversionFactors.registerScale("Zt3", "1:300");
+    k.generate({scale: "Zt3"});
+    expect(k.scaleContext().scaleName()).toEqual("Zt3");
+    expect(k.get("scale")).toEqual("Zt3");
+  });
+
+  test("Component.get() rejects unknown options", () => {
+    const box = new Box({color: "red"}, {size: 3}, extent("1 m", "1 m"),
+                        "black", "red");
+    expect(box.get("size")).toBe(3);
+    expect(() => box.get("colr")).toThrow(
+      'Box().get: unknown option "colr" (did you mean "color"?)');
+  });
+
+  test("Kit.paperUsage()", () => {
+    const k = new DummyKit();
+    expect(() => k.paperUsage()).toThrow(
+      "Kit.paperUsage: call generate() first");
+    k.generate({});
+    const usage = k.paperUsage();
+    const ho = 87.1 * 87.1;
+    expect(usage.pages).toEqual(2);
+    expect(usage.pieceArea.referenceFrame()).toEqual(PRINTED);
+    // 85 + 35 + 198 + 143 + 108 + 108 square meters, in HO
+    expect(usage.pieceArea._toBare()).toBeCloseTo(677 / ho, 8);
+    expect(usage.paperArea._toBare()).toBeCloseTo(2 * 0.2159 * 0.2794, 8);
+    expect(usage.coverage).toBeCloseTo(677 / ho / (2 * 0.2159 * 0.2794));
+  });
+
   test("Kit.generate() invokes render()", () => {
     const k = new DummyKit();
     k.generate({});